@@ -6,45 +6,32 @@ const CONFIG = {
     maxZoom: 18,
     basemaps: {
         streets: {
+            name: 'Ruas',
             url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
             attribution: '© OpenStreetMap contributors'
         },
         satellite: {
+            name: 'Satélite',
             url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
             attribution: '© Esri'
         },
         terrain: {
+            name: 'Terreno',
             url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
             attribution: '© OpenTopoMap contributors'
         }
     },
-    layers: {
-        distritos: {
-            file: 'data/bairros_nat.geojson',
-            color: '#667eea',
-            name: 'Distritos'
-        },
-        setores: {
-            file: 'data/setores1_nat.geojson',
-            color: '#f093fb',
-            name: 'Setores Censitários'
-        },
-        urb_rur: {
-            file: 'data/urb_rur_nat.geojson',
-            color: '#4facfe',
-            name: 'Urbano / Rural'
-        },
-        deficit_hab: {
-            file: 'data/deficit_hab_nat.geojson',
-            color: '#fa709a',
-            name: 'Déficit Habitacional'
-        },
-        residencia: {
-            file: 'data/residencias_nat.geojson',
-            color: '#43e97b',
-            name: 'Residências'
-        }
-    }
+    // Manifest with the data layers and the groups, labels and units of their
+    // attributes (see Layer Catalog)
+    catalog: 'data/catalog.json',
+    // Filled from the catalog: file, name, color, the attribute groups and,
+    // optionally, `crs` (e.g. 'EPSG:31983') when the file has no "crs" member,
+    // `topojson` with the compact copy of the file loaded in its place (see
+    // tools/build-topojson.js; the GeoJSON is loaded if it is missing),
+    // `search` with the fields the header search box looks up,
+    // `geometry: "point"` for point layers and `style` with default
+    // symbology other than the layer color (see Layer Styles)
+    layers: {}
 };
 
 // ==================== Global Variables ====================
@@ -53,28 +40,85 @@ let currentBasemap = 'streets';
 let basemapLayers = {};
 let dataLayers = {};
 let loadingIndicator;
-let selectedAttributes = new Set(['CD_SETOR', 'NM_MUN', 'NM_DIST', 'AREA_KM2', 'v0001', 'v0002', 'v0007']);
+// Attributes shown in popups and the grid; the catalog marks the defaults
+let selectedAttributes = new Set();
 
 // ==================== Initialize Map ====================
 function initMap() {
-    // Create map
+    const benchmark = getBenchmarkOptions();
+
+    // Create map; vector layers are drawn on canvas, which keeps thousands of
+    // features responsive where one SVG element per feature does not. The data
+    // layers share the map's canvas, so all of them get the mouse and are
+    // drawn in the order of the layer list (see Layer Styles)
     map = L.map('map', {
         center: CONFIG.center,
         zoom: CONFIG.zoom,
         minZoom: CONFIG.minZoom,
         maxZoom: CONFIG.maxZoom,
         zoomControl: false,
-        attributionControl: true
+        attributionControl: true,
+        preferCanvas: !(benchmark && benchmark.renderer === 'svg')
+    });
+
+    // Swap in the outlines simplified for the new zoom before the renderers
+    // project them
+    map.on('zoomend', simplifyVisibleLayers);
+    map.on('layeradd', scheduleLayerOrder);
+
+    // Sides of the map comparison, below the data layers so that these keep
+    // their outlines and interaction
+    COMPARE_SIDES.forEach(side => {
+        const pane = map.createPane(getComparePaneName(side));
+        pane.style.zIndex = 350;
+        pane.style.pointerEvents = 'none';
     });
+    map.on('move resize', updateCompareClip);
+
+    // Proportional circles and dot density are drawn above the polygons
+    map.createPane('symbolPane');
+    map.getPane('symbolPane').style.zIndex = 450;
+
+    // Drawn and measured shapes stay above every data layer
+    map.createPane('drawPane');
+    map.getPane('drawPane').style.zIndex = 460;
+    drawLayerGroup = L.featureGroup().addTo(map);
+    map.on('click', handleDrawClick);
+    map.on('mousemove', handleDrawMove);
+    map.on('dblclick', handleDrawDoubleClick);
 
     // Add initial basemap
     addBasemap('streets');
 
-    // Load data layers
-    loadDataLayers();
+    // Register the projections used by municipal data
+    registerCRSDefinitions();
+
+    // Load saved derived indicators and vulnerability index settings
+    loadDerivedIndicators();
+    loadVulnerabilitySettings();
+
+    // Read the layer catalog and load the data layers, then restore the
+    // state encoded in the URL, if any
+    loadCatalog().then(loadDataLayers).then(() => {
+        if (benchmark) {
+            runBenchmark(benchmark);
+            return;
+        }
+        const state = parseMapState(window.location.hash);
+        if (state) {
+            restoreMapState(state);
+        }
+        updateOfflineTileEstimate();
+    }).catch(error => {
+        console.error('Error loading layer catalog:', error);
+        alert(`Erro ao carregar o catálogo de camadas (${CONFIG.catalog}): ${error.message}`);
+    });
 
     // Setup event listeners
     setupEventListeners();
+
+    // Cache the app for offline use
+    setupOfflineMode();
 }
 
 // ==================== Basemap Management ====================
@@ -101,671 +145,8737 @@ function addBasemap(basemapName) {
         option.classList.remove('active');
     });
     document.querySelector(`[data-basemap="${basemapName}"]`).classList.add('active');
+    updateOfflineTileEstimate();
 }
 
-// ==================== Data Layer Management ====================
-async function loadDataLayers() {
-    showLoading();
+// ==================== Offline Mode ====================
+// sw.js caches the app and the catalog layers and serves them when there is
+// no connection. From this panel the user downloads the tiles of the current
+// basemap over the municipality for a zoom range, sees how much is stored and
+// how old it is, and refreshes the stored layers. The header shows "Offline"
+// while the network is down or a layer on screen came from the cache.
+// Cache names and CACHED_AT_HEADER (layer-data.js) must match sw.js.
+const OFFLINE_DATA_CACHE = 'geoportal-data';
+const OFFLINE_TILE_CACHE = 'geoportal-tiles';
+const OFFLINE_TILES_STORAGE_KEY = 'geoportal-natividade:offline-tiles';
+// The tile servers' usage policies forbid bulk downloads, so one download is
+// capped and fetches only a few tiles at a time
+const MAX_OFFLINE_TILES = 5000;
+const TILE_DOWNLOAD_CONCURRENCY = 4;
+// Average size of a tile, for the download estimate
+const AVERAGE_TILE_BYTES = 20000;
 
-    try {
-        // Load distritos layer by default
-        await loadLayer('distritos');
-        hideLoading();
-    } catch (error) {
-        console.error('Error loading initial layers:', error);
-        hideLoading();
-        alert('Erro ao carregar camadas. Verifique o console para mais detalhes.');
-    }
+// Time each data file served from the cache was stored, by display name
+let cachedDataTimes = {};
+// { total, done, failed, cancelled } while tiles are being downloaded
+let tileDownload = null;
+// Deferred browser prompt to install the app
+let installPrompt = null;
+
+function isOfflineModeSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window && window.location.protocol.startsWith('http');
 }
 
-async function loadLayer(layerName) {
-    if (dataLayers[layerName]) {
-        return; // Already loaded
-    }
+function setupOfflineMode() {
+    updateOfflineIndicator();
+    window.addEventListener('online', updateOfflineIndicator);
+    window.addEventListener('offline', updateOfflineIndicator);
 
-    try {
-        const config = CONFIG.layers[layerName];
-        console.log(`Loading layer: ${layerName} from ${config.file}`);
+    if (!isOfflineModeSupported()) {
+        document.getElementById('offlinePanel').style.display = 'none';
+        return;
+    }
 
-        const response = await fetch(config.file);
+    const zoomOptions = Array.from({ length: CONFIG.maxZoom - CONFIG.minZoom + 1 }, (_, i) => CONFIG.minZoom + i);
+    ['offlineMinZoomSelect', 'offlineMaxZoomSelect'].forEach(id => {
+        const select = document.getElementById(id);
+        zoomOptions.forEach(zoom => select.appendChild(new Option(zoom, zoom)));
+    });
+    document.getElementById('offlineMinZoomSelect').value = CONFIG.minZoom;
+    document.getElementById('offlineMaxZoomSelect').value = 15;
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+    navigator.serviceWorker.register('sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(() => {
+            console.log('Service worker ready: app and data layers cached for offline use');
+            updateOfflineCacheInfo();
+        })
+        .catch(error => console.error('Service worker registration failed:', error));
 
-        const geojsonData = await response.json();
-        console.log(`Layer ${layerName} loaded successfully with ${geojsonData.features?.length || 0} features`);
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        installPrompt = e;
+        document.getElementById('installAppBtn').style.display = '';
+    });
+}
 
-        // Check if coordinates need reprojection (for deficit_hab layer)
-        if (layerName === 'deficit_hab' && geojsonData.features.length > 0) {
-            const firstCoord = geojsonData.features[0].geometry.coordinates[0][0][0];
-
-            // If coordinates are very large (> 180), they're likely in UTM projection
-            if (Math.abs(firstCoord[0]) > 180) {
-                console.log('Reprojecting deficit_hab coordinates from UTM to WGS84...');
-
-                // Define UTM Zone 23S projection (EPSG:31983 - SIRGAS 2000)
-                proj4.defs("EPSG:31983", "+proj=utm +zone=23 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs");
-
-                // Reproject all coordinates
-                geojsonData.features.forEach(feature => {
-                    if (feature.geometry.type === 'MultiPolygon') {
-                        feature.geometry.coordinates = feature.geometry.coordinates.map(polygon =>
-                            polygon.map(ring =>
-                                ring.map(coord => {
-                                    const [lng, lat] = proj4('EPSG:31983', 'EPSG:4326', coord);
-                                    return [lng, lat];
-                                })
-                            )
-                        );
-                    } else if (feature.geometry.type === 'Polygon') {
-                        feature.geometry.coordinates = feature.geometry.coordinates.map(ring =>
-                            ring.map(coord => {
-                                const [lng, lat] = proj4('EPSG:31983', 'EPSG:4326', coord);
-                                return [lng, lat];
-                            })
-                        );
-                    }
-                });
+// Remembers whether a data file came from the service worker's cache, given
+// the CACHED_AT_HEADER of its response
+function trackCachedData(name, cachedAt) {
+    if (cachedAt) {
+        cachedDataTimes[name] = new Date(cachedAt);
+    } else {
+        delete cachedDataTimes[name];
+    }
+    updateOfflineIndicator();
+}
 
-                console.log('Reprojection complete!');
-            }
-        }
+function updateOfflineIndicator() {
+    const times = Object.values(cachedDataTimes);
+    const offline = !navigator.onLine || times.length > 0;
+    const indicator = document.getElementById('offlineIndicator');
 
-        const layer = L.geoJSON(geojsonData, {
-            style: feature => getFeatureStyle(feature, config.color),
-            pointToLayer: (feature, latlng) => {
-                // For point geometries (like residencias), create circle markers
-                return L.circleMarker(latlng, {
-                    radius: 6,
-                    fillColor: config.color,
-                    color: '#ffffff',
-                    weight: 2,
-                    opacity: 1,
-                    fillOpacity: 0.7
-                });
-            },
-            onEachFeature: (feature, layer) => {
-                layer.on({
-                    mouseover: highlightFeatureFixed,
-                    mouseout: resetHighlight,
-                    click: showFeatureInfo
-                });
+    indicator.classList.toggle('hidden', !offline);
+    if (!offline) return;
 
-                // Add permanent label for distritos (formerly bairros)
-                if (layerName === 'distritos' && feature.properties.NM_DIST) {
-                    const label = feature.properties.NM_DIST;
-                    layer.bindTooltip(label, {
-                        permanent: true,
-                        direction: 'center',
-                        className: 'neighborhood-label'
-                    });
-                }
-            }
-        });
+    if (times.length > 0) {
+        const oldest = new Date(Math.min(...times));
+        document.getElementById('offlineIndicatorText').textContent = `Offline · dados de ${formatCacheDate(oldest)}`;
+        indicator.title = `Camadas carregadas do armazenamento do aparelho: ${Object.keys(cachedDataTimes).join(', ')}. ` +
+            'Recarregue a página com conexão para atualizá-las.';
+    } else {
+        document.getElementById('offlineIndicatorText').textContent = 'Offline';
+        indicator.title = 'Sem conexão: só as camadas e o mapa base salvos no aparelho estão disponíveis.';
+    }
+}
 
-        dataLayers[layerName] = layer;
+function formatCacheDate(date) {
+    return date.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+}
 
-        // Apply black borders to distritos layer
-        if (layerName === 'distritos') {
-            layer.eachLayer(feature => {
-                feature.setStyle({
-                    color: '#000000',  // Black borders
-                    weight: 2
-                });
-            });
-        }
+function formatByteSize(bytes) {
+    const megabytes = bytes / (1024 * 1024);
+    return `${megabytes.toLocaleString('pt-BR', { maximumFractionDigits: megabytes < 10 ? 1 : 0 })} MB`;
+}
 
-        // Add to map if checkbox is checked
-        const checkbox = document.getElementById(`layer-${layerName}`);
-        if (checkbox && checkbox.checked) {
-            layer.addTo(map);
-            console.log(`Layer ${layerName} added to map`);
-        }
+// Extent of the municipality: the districts layer, loaded if needed
+async function getMunicipalBounds() {
+    await loadLayer('distritos');
+    return dataLayers.distritos.getBounds();
+}
 
-        return layer;
-    } catch (error) {
-        console.error(`Error loading layer ${layerName}:`, error);
-        alert(`Erro ao carregar camada ${layerName}: ${error.message}\n\nVerifique se o arquivo ${CONFIG.layers[layerName].file} existe.`);
-        throw error;
+// Tile ranges that cover bounds at each zoom of the range
+function getTileRanges(bounds, minZoom, maxZoom) {
+    const ranges = [];
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const northWest = map.project(bounds.getNorthWest(), zoom).divideBy(256).floor();
+        const southEast = map.project(bounds.getSouthEast(), zoom).divideBy(256).floor();
+        ranges.push({ zoom, minX: northWest.x, maxX: southEast.x, minY: northWest.y, maxY: southEast.y });
     }
+    return ranges;
 }
 
-function getFeatureStyle(feature, color) {
-    return {
-        fillColor: color,
-        weight: 2,
-        opacity: 1,
-        color: color,
-        dashArray: '',
-        fillOpacity: 0.3
-    };
+function countTiles(ranges) {
+    return ranges.reduce((sum, range) => sum + (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1), 0);
 }
 
-function highlightFeatureFixed(e) {
-    const layer = e.target;
-    const currentFillColor = layer.options.fillColor;
-    const currentFillOpacity = layer.options.fillOpacity;
+// URL of a tile as the service worker looks it up, on the "a" subdomain
+function getTileUrl(basemapName, zoom, x, y) {
+    return L.Util.template(CONFIG.basemaps[basemapName].url, { s: 'a', z: zoom, x, y });
+}
 
-    if (layer instanceof L.CircleMarker) {
-        layer.setStyle({
-            radius: 8,
-            weight: 3,
-            color: '#ffffff',
-            fillOpacity: currentFillOpacity,
-            fillColor: currentFillColor
-        });
-    } else {
-        const style = {
-            weight: 3,
-            color: '#ffffff',
-            dashArray: '',
-            fillOpacity: currentFillOpacity // Mantém a opacidade original
-        };
+// Start shared by the stored tile URLs of a basemap
+function getTileUrlPrefix(basemapName) {
+    return CONFIG.basemaps[basemapName].url.split('{z}')[0].replace('{s}', 'a');
+}
 
-        layer.setStyle(style);
-        layer.bringToFront();
-    }
+function readOfflineZoomRange() {
+    const minZoom = parseInt(document.getElementById('offlineMinZoomSelect').value, 10);
+    const maxZoom = parseInt(document.getElementById('offlineMaxZoomSelect').value, 10);
+    return { minZoom: Math.min(minZoom, maxZoom), maxZoom: Math.max(minZoom, maxZoom) };
 }
 
-function resetHighlight(e) {
-    const layer = e.target;
-    const layerName = getLayerName(layer);
+function updateOfflineTileEstimate() {
+    const estimate = document.getElementById('offlineTileEstimate');
+    if (!estimate || !dataLayers.distritos) return;
 
-    // Check if it's a circle marker (point)
-    const isCircleMarker = layer instanceof L.CircleMarker;
+    const { minZoom, maxZoom } = readOfflineZoomRange();
+    const count = countTiles(getTileRanges(dataLayers.distritos.getBounds(), minZoom, maxZoom));
+    const basemap = CONFIG.basemaps[currentBasemap].name;
+    estimate.textContent = count > MAX_OFFLINE_TILES
+        ? `${basemap}: ${count.toLocaleString('pt-BR')} blocos, acima do limite de ${MAX_OFFLINE_TILES.toLocaleString('pt-BR')}. Reduza o zoom máximo.`
+        : `${basemap}: ${count.toLocaleString('pt-BR')} blocos, cerca de ${formatByteSize(count * AVERAGE_TILE_BYTES)}.`;
+    document.getElementById('downloadTilesBtn').disabled = count > MAX_OFFLINE_TILES || tileDownload !== null;
+}
 
-    // If thematic mapping is active, restore thematic color
-    if (currentThematicAttribute && layerName === 'setores') {
-        const value = layer.feature.properties[currentThematicAttribute];
-        const color = getColorForValue(value, thematicBreaks, thematicColors);
+// Stores the tiles of a basemap over the municipality in the tile cache,
+// skipping those already stored; resolves with the download's counts
+async function downloadBasemapTiles(basemapName, minZoom, maxZoom) {
+    const ranges = getTileRanges(await getMunicipalBounds(), minZoom, maxZoom);
+    const total = countTiles(ranges);
+    if (total > MAX_OFFLINE_TILES) {
+        throw new Error(`A área pede ${total.toLocaleString('pt-BR')} blocos, acima do limite de ${MAX_OFFLINE_TILES.toLocaleString('pt-BR')}. Reduza o zoom máximo.`);
+    }
 
-        layer.setStyle({
-            fillColor: color,
-            weight: 1,
-            opacity: 1,
-            color: '#000000',
-            fillOpacity: 0.7
-        });
-    } else {
-        // Otherwise, restore original style
-        const config = CONFIG.layers[layerName];
-        if (config) {
-            if (isCircleMarker) {
-                layer.setStyle({
-                    radius: 6,
-                    fillColor: config.color,
-                    color: '#ffffff',
-                    weight: 2,
-                    opacity: 1,
-                    fillOpacity: 0.7
-                });
-            } else {
-                layer.setStyle(getFeatureStyle(layer.feature, config.color));
-                if (layerName === 'distritos') {
-                    layer.setStyle({
-                        color: '#000000',  // Restore black border
-                        weight: 2
-                    });
-                }
+    const urls = [];
+    ranges.forEach(({ zoom, minX, maxX, minY, maxY }) => {
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                urls.push(getTileUrl(basemapName, zoom, x, y));
             }
         }
+    });
+
+    // Ask the browser not to evict the stored tiles under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist();
     }
-}
 
-function getLayerName(layer) {
-    for (const [name, dataLayer] of Object.entries(dataLayers)) {
-        if (dataLayer.hasLayer(layer)) {
-            return name;
+    const cache = await caches.open(OFFLINE_TILE_CACHE);
+    const download = { total, done: 0, failed: 0, cancelled: false };
+    tileDownload = download;
+    renderTileDownloadProgress();
+
+    const worker = async () => {
+        while (urls.length > 0 && !download.cancelled) {
+            const url = urls.shift();
+            try {
+                if (!(await cache.match(url))) {
+                    const response = await fetch(url, { mode: 'cors' });
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    await cache.put(url, response);
+                }
+            } catch (error) {
+                download.failed++;
+            }
+            download.done++;
+            renderTileDownloadProgress();
         }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: TILE_DOWNLOAD_CONCURRENCY }, worker));
+    } finally {
+        tileDownload = null;
     }
-    return null;
+
+    if (!download.cancelled) {
+        saveOfflineTileRecord(basemapName, minZoom, maxZoom);
+    }
+    return download;
 }
 
-function showFeatureInfo(e) {
-    const feature = e.target.feature;
-    const props = feature.properties;
-    const layerName = getLayerName(e.target);
+function renderTileDownloadProgress() {
+    const progress = document.getElementById('tileDownloadProgress');
+    const downloading = tileDownload !== null;
 
-    // If it's a census sector, also populate the attribute table
-    if (layerName === 'setores') {
-        populateAttributeTable(props);
+    document.getElementById('cancelTilesBtn').style.display = downloading ? '' : 'none';
+    document.getElementById('downloadTilesBtn').disabled = downloading;
+    if (!downloading) {
+        progress.innerHTML = '';
+        return;
     }
 
-    let content = '<div class="popup-content">';
+    const { total, done, failed } = tileDownload;
+    const percent = total > 0 ? Math.round(done / total * 100) : 100;
+    progress.innerHTML = `
+        <div class="offline-progress-bar"><span style="width: ${percent}%;"></span></div>
+        <p>${done.toLocaleString('pt-BR')} de ${total.toLocaleString('pt-BR')} blocos${failed > 0 ? ` · ${failed.toLocaleString('pt-BR')} com falha` : ''}</p>
+    `;
+}
 
-    // Title
-    if (layerName === 'distritos' && props.NM_DIST) {
-        content += `<h3>${props.NM_DIST}</h3>`;
-    } else if (props.NM_DIST) {
-        content += `<h3>${props.NM_DIST}</h3>`;
-    } else if (props.NM_BAIRRO && props.NM_BAIRRO !== '.' && props.NM_BAIRRO !== null) {
-        content += `<h3>${props.NM_BAIRRO}</h3>`;
-    } else if (props.CD_SETOR) {
-        content += `<h3>Setor ${props.CD_SETOR}</h3>`;
-    } else {
-        content += `<h3>Informações</h3>`;
+// Zoom range covered by the downloads of each basemap and date of the last one
+function loadOfflineTileRecords() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_TILES_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Não foi possível ler o registro do mapa base salvo:', error);
+        return {};
     }
+}
 
-    // Define all possible properties with labels
-    const allProps = {
-        'CD_SETOR': 'Código do Setor',
-        'NM_MUN': 'Município',
-        'NM_DIST': 'Distrito',
-        'NM_BAIRRO': 'Bairro',
-        'AREA_KM2': 'Área (km²)',
-        'v0001': 'População Total',
-        'v0002': 'Domicílios Particulares',
-        'v0003': 'Domicílios Ocupados',
-        'v0004': 'Domicílios Vagos',
-        'v0005': 'Moradores por Domicílio',
-        'v0006': 'Área Média (km²)',
-        'v0007': 'Número de Residências',
-        'NÚMERO DE RESIDÊNCIAS POR SETOR': 'Número de Residências',
-        'RENDIMENTO NOMINAL MÉDIO POR SETOR': 'Renda Média (R$)'
+function saveOfflineTileRecord(basemapName, minZoom, maxZoom) {
+    const records = loadOfflineTileRecords();
+    const previous = records[basemapName];
+    records[basemapName] = {
+        minZoom: previous ? Math.min(previous.minZoom, minZoom) : minZoom,
+        maxZoom: previous ? Math.max(previous.maxZoom, maxZoom) : maxZoom,
+        downloadedAt: new Date().toISOString()
     };
+    try {
+        localStorage.setItem(OFFLINE_TILES_STORAGE_KEY, JSON.stringify(records));
+    } catch (error) {
+        console.warn('Não foi possível salvar o registro do mapa base:', error);
+    }
+}
 
-    // For census sectors, use selected attributes; for others, show all relevant data
-    const propsToShow = (layerName === 'setores') ?
-        Object.fromEntries(Object.entries(allProps).filter(([key]) => selectedAttributes.has(key))) :
-        allProps;
+// Storage used, date of the stored layers and the basemaps downloaded
+async function updateOfflineCacheInfo() {
+    const container = document.getElementById('offlineCacheInfo');
+    if (!isOfflineModeSupported()) return;
 
-    for (const [key, label] of Object.entries(propsToShow)) {
-        if (props[key] !== undefined && props[key] !== null && props[key] !== '') {
-            let value = props[key];
-
-            // Format numbers
-            if (key === 'AREA_KM2' || key === 'v0006') {
-                value = parseFloat(value).toFixed(4);
-            } else if (key === 'v0005') {
-                value = parseFloat(value).toFixed(1);
-            } else if (!isNaN(value) && value !== '') {
-                const numValue = parseFloat(value);
-                if (Number.isInteger(numValue)) {
-                    value = parseInt(value).toLocaleString('pt-BR');
-                } else {
-                    value = numValue.toLocaleString('pt-BR');
-                }
-            }
+    const dataCache = await caches.open(OFFLINE_DATA_CACHE);
+    const responses = await Promise.all((await dataCache.keys()).map(request => dataCache.match(request)));
+    const times = responses
+        .map(response => new Date(response.headers.get(CACHED_AT_HEADER)))
+        .filter(date => !isNaN(date));
 
-            content += `<p><strong>${label}:</strong> ${value}</p>`;
-        }
-    }
+    let content = times.length > 0
+        ? `<p><strong>Camadas:</strong> ${times.length} arquivo(s), salvos em ${formatCacheDate(new Date(Math.min(...times)))}` +
+            (Math.max(...times) - Math.min(...times) > 60000 ? ` a ${formatCacheDate(new Date(Math.max(...times)))}` : '') + '</p>'
+        : '<p><strong>Camadas:</strong> ainda não salvas</p>';
 
-    content += '</div>';
+    const records = loadOfflineTileRecords();
+    const tileCache = await caches.open(OFFLINE_TILE_CACHE);
+    const tileUrls = (await tileCache.keys()).map(request => request.url);
+    const basemaps = Object.keys(CONFIG.basemaps).filter(name => records[name]);
+    content += basemaps.length > 0
+        ? basemaps.map(name => {
+            const { minZoom, maxZoom, downloadedAt } = records[name];
+            const count = tileUrls.filter(url => url.startsWith(getTileUrlPrefix(name))).length;
+            return `<p><strong>${CONFIG.basemaps[name].name}:</strong> zoom ${minZoom} a ${maxZoom}, ${count.toLocaleString('pt-BR')} blocos, baixados em ${formatCacheDate(new Date(downloadedAt))}</p>`;
+        }).join('')
+        : '<p><strong>Mapa base:</strong> nenhum salvo</p>';
 
-    L.popup()
-        .setLatLng(e.latlng)
-        .setContent(content)
-        .openOn(map);
+    if (navigator.storage && navigator.storage.estimate) {
+        const { usage, quota } = await navigator.storage.estimate();
+        content += `<p><strong>Espaço usado:</strong> ${formatByteSize(usage)} de ${formatByteSize(quota)}</p>`;
+    }
+
+    container.innerHTML = content;
 }
 
-// ==================== Attribute Table Functions ====================
-function populateAttributeTable(properties) {
-    const tableBody = document.getElementById('attributeTableBody');
-    const tablePanel = document.getElementById('attributeTablePanel');
+// Fetches the catalog and its layers again; the service worker stores the
+// fresh copies
+async function refreshOfflineData() {
+    const catalog = await (await fetch(CONFIG.catalog, { cache: 'no-cache' })).json();
+    const files = [CONFIG.catalog, ...catalog.layers.map(getLayerDataFile)];
+    const responses = await Promise.all(files.map(async (file, i) => {
+        const response = await fetch(file, { cache: 'no-cache' });
+        // Deploys without the TopoJSON copies serve the GeoJSON
+        const layer = catalog.layers[i - 1];
+        if (response.status === 404 && layer && layer.topojson) {
+            files[i] = layer.file;
+            return fetch(layer.file, { cache: 'no-cache' });
+        }
+        return response;
+    }));
+    const failed = files.filter((file, i) => !responses[i].ok || responses[i].headers.get(CACHED_AT_HEADER));
+    if (failed.length > 0) {
+        throw new Error(`Não foi possível atualizar: ${failed.join(', ')}. Verifique a conexão.`);
+    }
+}
 
-    // Show the table panel
-    tablePanel.style.display = 'block';
+async function clearOfflineTiles() {
+    await caches.delete(OFFLINE_TILE_CACHE);
+    localStorage.removeItem(OFFLINE_TILES_STORAGE_KEY);
+}
 
-    // Clear existing rows
-    tableBody.innerHTML = '';
+// ==================== Layer Catalog ====================
+// The data layers and the attributes offered for them come from a JSON
+// manifest (CONFIG.catalog). Each layer names the attribute groups that
+// describe it; a group lists fields with their label and, optionally, unit.
+// When a file loads, only the catalog fields it really has are offered in
+// the attribute lists, and the missing ones are reported below the layer
+// list. Groups marked `computed` hold fields the app adds in the browser
+// (spatial join, vulnerability index), so they are never missing.
 
-    // Define all attributes with friendly names
-    const attributeLabels = {
-        'CD_SETOR': 'Código do Setor',
-        'CD_REGIAO': 'Código da Região',
-        'NM_REGIAO': 'Nome da Região',
-        'CD_UF': 'Código da UF',
-        'NM_UF': 'Nome da UF',
-        'CD_MUN': 'Código do Município',
-        'NM_MUN': 'Nome do Município',
-        'CD_DIST': 'Código do Distrito',
-        'NM_DIST': 'Nome do Distrito',
-        'CD_SUBDIST': 'Código do Subdistrito',
-        'NM_SUBDIST': 'Nome do Subdistrito',
-        'CD_BAIRRO': 'Código do Bairro',
-        'NM_BAIRRO': 'Nome do Bairro',
-        'CD_RGINT': 'Código da Região Intermediária',
-        'NM_RGINT': 'Nome da Região Intermediária',
-        'CD_RGI': 'Código da Região Imediata',
-        'NM_RGI': 'Nome da Região Imediata',
-        'CD_CONCURB': 'Código da Concentração Urbana',
-        'NM_CONCURB': 'Nome da Concentração Urbana',
-        'AREA_KM2': 'Área (km²)',
-        'v0001': 'População Total',
-        'v0002': 'Domicílios Particulares Permanentes',
-        'v0003': 'Domicílios Particulares Ocupados',
-        'v0004': 'Domicílios Particulares Vagos',
-        'v0005': 'Moradores por Domicílio',
-        'v0006': 'Área Média por Domicílio (km²)',
-        'v0007': 'Número de Residências',
-        'NÚMERO DE RESIDÊNCIAS POR SETOR': 'Número de Residências',
-        'RENDIMENTO NOMINAL MÉDIO POR SETOR': 'Renda Média (R$)',
-        'Utiliza rede geral de distribuição': 'Água: Rede Geral',
-        'Utiliza poço profundo ou artesiano': 'Água: Poço Artesiano',
-        'Utiliza poço raso, freático ou cacimba': 'Água: Poço Raso',
-        'Utiliza fonte, nascente ou mina': 'Água: Nascente',
-        'Rede geral ou pluvial': 'Esgoto: Rede Geral',
-        'fossa séptica ou fossa filtro ligada à rede': 'Esgoto: Fossa Séptica (ligada)',
-        'fossa séptica ou fossa filtro não ligada à rede': 'Esgoto: Fossa Séptica (não ligada)',
-        'fossa rudimentar ou buraco': 'Esgoto: Fossa Rudimentar',
-        'vala': 'Esgoto: Vala',
-        'rio, lago, córrego ou mar': 'Esgoto: Rio/Lago',
-        'Lixo coletado no domicílio por serviço de limpeza': 'Lixo: Coletado',
-        'Lixo queimado na propriedade': 'Lixo: Queimado',
-        'Lixo enterrado na propriedade': 'Lixo: Enterrado'
-    };
+// Attribute groups of the catalog, in display order
+let catalogAttributeGroups = [];
+// Catalog fields not found in each loaded layer
+let missingCatalogAttributes = {};
 
-    // Populate table with all properties
-    for (const [key, value] of Object.entries(properties)) {
-        if (key === 'geometry') continue; // Skip geometry
+async function loadCatalog() {
+    const response = await fetch(CONFIG.catalog);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
 
-        const row = document.createElement('tr');
-        const labelCell = document.createElement('td');
-        const valueCell = document.createElement('td');
+    trackCachedData('Catálogo de camadas', response.headers.get(CACHED_AT_HEADER));
+    const catalog = await response.json();
+    if (!Array.isArray(catalog.layers) || catalog.layers.some(layer => !layer.id || !layer.file || !layer.name)) {
+        throw new Error('Cada camada do catálogo precisa de "id", "file" e "name".');
+    }
 
-        // Use friendly label or key itself
-        labelCell.textContent = attributeLabels[key] || key;
+    catalogAttributeGroups = catalog.attributeGroups || [];
+    const groupIds = new Set(catalogAttributeGroups.map(group => group.id));
 
-        // Format value
-        let formattedValue = value;
-        if (value === null || value === undefined || value === '') {
-            formattedValue = '-';
-        } else if (key === 'AREA_KM2' || key === 'v0006') {
-            formattedValue = parseFloat(value).toFixed(4);
-        } else if (key === 'v0005') {
-            formattedValue = parseFloat(value).toFixed(1);
-        } else if (!isNaN(value) && typeof value === 'number') {
-            formattedValue = value.toLocaleString('pt-BR');
+    catalog.layers.forEach(({ id, ...config }) => {
+        const groups = (config.groups || []).filter(group => groupIds.has(group));
+        if (groups.length < (config.groups || []).length) {
+            console.warn(`Layer ${id}: unknown attribute groups in the catalog`, config.groups.filter(group => !groupIds.has(group)));
         }
+        CONFIG.layers[id] = { ...config, groups };
+    });
+    loadLayerStyles();
 
-        valueCell.textContent = formattedValue;
+    selectedAttributes = new Set(catalogAttributeGroups
+        .flatMap(group => group.attributes)
+        .filter(attribute => attribute.checked)
+        .map(attribute => attribute.field));
 
-        row.appendChild(labelCell);
-        row.appendChild(valueCell);
-        tableBody.appendChild(row);
-    }
+    renderLayerList();
+    populateGridLayerOptions();
+    populateExportSourceOptions();
+    // Attribute selects filled before the catalog arrived
+    updateThematicAttributeOptions();
+    populateCompareAttributeOptions();
+    populateSpatialStatsAttributeOptions();
+    console.log(`Catalog loaded: ${catalog.layers.length} layers, ${catalogAttributeGroups.length} attribute groups`);
+}
 
-    // Scroll to top of table
-    document.getElementById('attributeTableContainer').scrollTop = 0;
+// Layer items in draw order, the first on top
+function renderLayerList() {
+    const list = document.getElementById('layersList');
+    list.innerHTML = '';
+    layerOrder.forEach(layerName => list.appendChild(createLayerItem(layerName)));
 }
 
-// ==================== Event Listeners ====================
-function setupEventListeners() {
-    // Basemap selection
-    document.querySelectorAll('.basemap-option').forEach(option => {
-        option.addEventListener('click', () => {
-            const basemap = option.dataset.basemap;
-            addBasemap(basemap);
-        });
+function createLayerItem(layerName) {
+    const config = CONFIG.layers[layerName];
+    const visible = dataLayers[layerName] && map.hasLayer(dataLayers[layerName]);
+    const item = document.createElement('div');
+    item.className = 'layer-item';
+    item.dataset.layer = layerName;
+    item.innerHTML = `
+        <span class="layer-drag-handle" draggable="true" title="Arraste para mudar a ordem de desenho">⋮⋮</span>
+        <label class="layer-checkbox">
+            <input type="checkbox" id="layer-${layerName}" ${visible ? 'checked' : ''}>
+            <span class="checkmark"></span>
+        </label>
+        <div class="layer-info">
+            <span class="layer-name">${escapeHtml(config.name)}</span>
+            <span class="layer-color"></span>
+        </div>
+        <button class="layer-style-toggle" title="Estilo da camada">
+            <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                <path d="M2 4H14M2 8H14M2 12H14" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+                <circle cx="5" cy="4" r="1.5" fill="currentColor" />
+                <circle cx="11" cy="8" r="1.5" fill="currentColor" />
+                <circle cx="7" cy="12" r="1.5" fill="currentColor" />
+            </svg>
+        </button>
+    `;
+    // Layers opened from local files can be dropped again
+    if (config.userFile) {
+        item.insertAdjacentHTML('beforeend', `
+            <button class="layer-remove" title="Remover camada">
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                    <path d="M12 4L4 12M4 4L12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+                </svg>
+            </button>
+        `);
+    }
+    item.appendChild(createLayerStylePanel(layerName));
+    updateLayerSwatch(item);
+    return item;
+}
+
+// Records the catalog fields of the layer's groups that no feature has
+function checkCatalogAttributes(layerName, geojsonData) {
+    const fields = new Set();
+    (geojsonData.features || []).forEach(feature => {
+        Object.keys(feature.properties || {}).forEach(key => fields.add(key));
     });
 
-    // Layer toggles
-    document.querySelectorAll('.layer-item input[type="checkbox"]').forEach(checkbox => {
-        checkbox.addEventListener('change', async (e) => {
-            const layerName = e.target.id.replace('layer-', '');
+    const missing = catalogAttributeGroups
+        .filter(group => CONFIG.layers[layerName].groups.includes(group.id) && !group.computed)
+        .flatMap(group => group.attributes)
+        .map(attribute => attribute.field)
+        .filter(field => !fields.has(field));
 
-            if (e.target.checked) {
-                showLoading();
-                await loadLayer(layerName);
-                if (dataLayers[layerName]) {
-                    dataLayers[layerName].addTo(map);
-                }
-                hideLoading();
+    missingCatalogAttributes[layerName] = missing;
+    if (missing.length > 0) {
+        console.warn(`Layer ${layerName}: ${missing.length} catalog attribute(s) not found in the data`, missing);
+    }
+    renderCatalogWarnings();
+}
 
-                // Show attribute selector for census sectors
-                if (layerName === 'setores') {
-                    document.getElementById('attributeSelector').style.display = 'block';
-                    // Show thematic mapping panel
-                    document.getElementById('thematicMappingPanel').style.display = 'block';
-                }
-            } else {
-                if (dataLayers[layerName]) {
-                    map.removeLayer(dataLayers[layerName]);
-                }
+function renderCatalogWarnings() {
+    const container = document.getElementById('catalogWarnings');
+    const layers = Object.keys(missingCatalogAttributes).filter(name => missingCatalogAttributes[name].length > 0);
+    const total = layers.reduce((sum, name) => sum + missingCatalogAttributes[name].length, 0);
 
-                // Hide attribute selector when census sectors is unchecked
-                if (layerName === 'setores') {
-                    document.getElementById('attributeSelector').style.display = 'none';
-                    // Hide thematic mapping panel
-                    document.getElementById('thematicMappingPanel').style.display = 'none';
-                    // Reset thematic mapping if active
-                    resetThematicMapping();
-                }
-            }
-        });
-    });
+    container.style.display = total > 0 ? '' : 'none';
+    container.innerHTML = `
+        <summary>⚠️ ${total} atributo(s) do catálogo não encontrado(s) nos dados</summary>
+        ${layers.map(name => `
+            <p><strong>${CONFIG.layers[name].name}:</strong> ${missingCatalogAttributes[name]
+                .map(field => `${getCatalogAttribute(field).label} (${field.trim()})`).join(', ')}</p>
+        `).join('')}
+    `;
+}
 
-    // Attribute selector checkboxes
-    document.querySelectorAll('#attributesList input[type="checkbox"]').forEach(checkbox => {
-        checkbox.addEventListener('change', (e) => {
-            const attribute = e.target.value;
+function getCatalogAttribute(field) {
+    for (const group of catalogAttributeGroups) {
+        const attribute = group.attributes.find(candidate => candidate.field === field);
+        if (attribute) return attribute;
+    }
+    return null;
+}
 
-            if (e.target.checked) {
-                selectedAttributes.add(attribute);
-            } else {
-                selectedAttributes.delete(attribute);
-            }
+// Label of a catalog attribute with its unit, e.g. "Área (km²)"
+function getCatalogAttributeText({ label, unit }) {
+    return unit && !label.includes(unit) ? `${label} (${unit})` : label;
+}
 
-            console.log('Atributos selecionados:', Array.from(selectedAttributes));
-        });
-    });
+// Catalog groups of a layer, each with only the fields its file has once
+// it is loaded
+function getLayerAttributeGroups(layerName) {
+    const config = CONFIG.layers[layerName];
+    if (!config) return [];
 
-    // Map controls
-    document.getElementById('zoomInBtn').addEventListener('click', () => {
-        map.zoomIn();
-    });
+    const missing = new Set(missingCatalogAttributes[layerName] || []);
+    return catalogAttributeGroups
+        .filter(group => config.groups.includes(group.id))
+        .map(group => ({ ...group, attributes: group.attributes.filter(attribute => !missing.has(attribute.field)) }))
+        .filter(group => group.attributes.length > 0);
+}
 
-    document.getElementById('zoomOutBtn').addEventListener('click', () => {
-        map.zoomOut();
-    });
+// Checkboxes of the sector attributes shown in popups and the grid, by group
+function renderAttributeCheckboxes() {
+    const list = document.getElementById('attributesList');
+    const available = new Set(SECTOR_LAYERS
+        .flatMap(getLayerAttributeGroups)
+        .flatMap(group => group.attributes.map(attribute => attribute.field)));
+    list.innerHTML = '';
 
-    document.getElementById('homeBtn').addEventListener('click', () => {
-        map.setView(CONFIG.center, CONFIG.zoom);
-    });
+    catalogAttributeGroups.filter(group => !group.computed).forEach(group => {
+        const attributes = group.attributes.filter(attribute => available.has(attribute.field));
+        if (attributes.length === 0) return;
 
-    // Info modal
-    const infoBtn = document.getElementById('infoBtn');
-    const infoModal = document.getElementById('infoModal');
-    const closeModal = document.getElementById('closeModal');
+        const title = document.createElement('span');
+        title.className = 'attribute-group-title';
+        title.textContent = group.label;
+        list.appendChild(title);
 
-    infoBtn.addEventListener('click', () => {
-        infoModal.classList.add('active');
+        attributes.forEach(attribute => {
+            const label = document.createElement('label');
+            label.className = 'attribute-checkbox';
+            label.innerHTML = `
+                <input type="checkbox">
+                <span class="checkmark"></span>
+                <span class="attribute-name"></span>
+            `;
+            const input = label.querySelector('input');
+            input.value = attribute.field;
+            input.checked = selectedAttributes.has(attribute.field);
+            label.querySelector('.attribute-name').textContent = getCatalogAttributeText(attribute);
+            list.appendChild(label);
+        });
     });
+}
 
-    closeModal.addEventListener('click', () => {
-        infoModal.classList.remove('active');
-    });
+// Fills select with the mappable catalog attributes of the layer and the
+// derived indicators, keeping its choice
+function renderAttributeOptions(select, layerName, placeholder = '-- Selecione --') {
+    const selectedValue = select.value;
+    select.innerHTML = '';
+    select.appendChild(new Option(placeholder, ''));
 
-    infoModal.addEventListener('click', (e) => {
-        if (e.target === infoModal) {
-            infoModal.classList.remove('active');
-        }
+    getLayerAttributeGroups(layerName)
+        .filter(group => group.thematic !== false)
+        .forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.attributes.forEach(attribute => {
+                optgroup.appendChild(new Option(getCatalogAttributeText(attribute), attribute.field));
+            });
+            select.appendChild(optgroup);
+        });
+
+    // Layers opened from files are not in the catalog: offer their numeric fields
+    const fileFields = isUserLayer(layerName) ? getNumericFields(layerName) : [];
+    if (fileFields.length > 0) {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = '📄 Campos do Arquivo';
+        fileFields.forEach(field => {
+            optgroup.appendChild(new Option(field.trim(), field));
+        });
+        select.appendChild(optgroup);
+    }
+
+    if (derivedIndicators.length > 0) {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = '🧮 Indicadores Derivados';
+        derivedIndicators.forEach(indicator => {
+            optgroup.appendChild(new Option(indicator.name, `derived:${indicator.id}`));
+        });
+        select.appendChild(optgroup);
+    }
+
+    select.value = selectedValue;
+    disableMissingAttributeOptions(select, layerName);
+}
+
+// ==================== Layer Styles ====================
+// Symbology of the data layers, edited in the style panel of each item of the
+// layer list. Defaults come from the catalog (the layer `color` and, when
+// set, its `style`); only what the user changes is kept in layerStyles. The
+// list is also the draw order, first item on top: all data layers share one
+// canvas, on which a layer is drawn above another by bringing it to the front
+// after it. Catalog layers keep their styles and order in local storage, and
+// the same settings can be saved to and read from a style file.
+const LAYER_STYLES_STORAGE_KEY = 'geoportal-natividade:layer-styles';
+const LAYER_STYLE_FILE_TYPE = 'geoportal-natividade-styles';
+const LAYER_STYLE_FILE_VERSION = 1;
+
+// Stroke patterns; the keys double as the CSS border style of the swatches
+const LAYER_DASH_STYLES = {
+    solid: { label: 'Contínuo', dashArray: '' },
+    dashed: { label: 'Tracejado', dashArray: '8 6' },
+    dotted: { label: 'Pontilhado', dashArray: '2 5' }
+};
+
+// Corners of the point symbols, in radii from the point; circles have none
+const POINT_SHAPES = {
+    circle: { label: 'Círculo' },
+    square: { label: 'Quadrado', vertices: [[-0.8, -0.8], [0.8, -0.8], [0.8, 0.8], [-0.8, 0.8]] },
+    diamond: { label: 'Losango', vertices: [[0, -1], [1, 0], [0, 1], [-1, 0]] },
+    triangle: { label: 'Triângulo', vertices: [[0, -1], [0.87, 0.5], [-0.87, 0.5]] }
+};
+
+// Fill and stroke colors default to the layer color, except for the white
+// outline of point layers
+const DEFAULT_LAYER_STYLE = { fillOpacity: 0.3, weight: 2, dash: 'solid', radius: 6, shape: 'circle' };
+const DEFAULT_POINT_LAYER_STYLE = { ...DEFAULT_LAYER_STYLE, color: '#ffffff', fillOpacity: 0.7 };
+// Features filled by the classes of a thematic, bivariate or LISA map; the
+// opacity, outline and dash the user set for the layer still apply
+const CLASSIFIED_LAYER_STYLE = { fillOpacity: 0.8, weight: 1, color: '#333333', dash: 'solid' };
+
+// Accepted range of the numeric style settings
+const LAYER_STYLE_RANGES = {
+    fillOpacity: [0, 1],
+    weight: [0, 10],
+    radius: [2, 20]
+};
+
+// Style settings the user changed, by layer
+let layerStyles = {};
+// Layer names in draw order, the top one first
+let layerOrder = [];
+let layerOrderScheduled = false;
+let draggedLayerItem = null;
+
+// Circle marker drawn as one of POINT_SHAPES; it still hovers and clicks as
+// the circle of its radius
+const ShapeMarker = L.CircleMarker.extend({
+    _updatePath() {
+        const shape = POINT_SHAPES[this.options.shape];
+        if (!shape || !shape.vertices) {
+            L.CircleMarker.prototype._updatePath.call(this);
+            return;
+        }
+        this._parts = [getPointShapeVertices(shape, this._point, this._radius)];
+        this._renderer._updatePoly(this, true);
+    }
+});
+
+function getPointShapeVertices(shape, center, radius) {
+    return shape.vertices.map(([dx, dy]) => L.point(center.x + dx * radius, center.y + dy * radius));
+}
+
+function isPointLayer(layerName) {
+    return CONFIG.layers[layerName].geometry === 'point';
+}
+
+// Known settings with valid values; anything else is dropped
+function sanitizeLayerStyle(style) {
+    const sanitized = {};
+    if (!style || typeof style !== 'object') return sanitized;
+
+    ['fillColor', 'color'].forEach(key => {
+        if (/^#[0-9a-f]{6}$/i.test(style[key])) sanitized[key] = style[key].toLowerCase();
+    });
+    Object.entries(LAYER_STYLE_RANGES).forEach(([key, [min, max]]) => {
+        if (typeof style[key] === 'number' && style[key] >= min && style[key] <= max) sanitized[key] = style[key];
+    });
+    if (LAYER_DASH_STYLES[style.dash]) sanitized.dash = style.dash;
+    if (POINT_SHAPES[style.shape]) sanitized.shape = style.shape;
+    return sanitized;
+}
+
+function getDefaultLayerStyle(layerName) {
+    const config = CONFIG.layers[layerName];
+    const defaults = isPointLayer(layerName)
+        ? { ...DEFAULT_POINT_LAYER_STYLE, fillColor: config.color }
+        : { ...DEFAULT_LAYER_STYLE, fillColor: config.color, color: config.color };
+    return { ...defaults, ...sanitizeLayerStyle(config.style) };
+}
+
+function getLayerStyle(layerName) {
+    return { ...getDefaultLayerStyle(layerName), ...layerStyles[layerName] };
+}
+
+// Leaflet path options of a layer style
+function getLayerPathOptions(style) {
+    return {
+        fillColor: style.fillColor,
+        fillOpacity: style.fillOpacity,
+        color: style.color,
+        weight: style.weight,
+        opacity: 1,
+        dashArray: LAYER_DASH_STYLES[style.dash].dashArray
+    };
+}
+
+function getClassifiedPathOptions(layerName, fillColor) {
+    return getLayerPathOptions({ ...CLASSIFIED_LAYER_STYLE, ...layerStyles[layerName], fillColor });
+}
+
+function loadLayerStyles() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(LAYER_STYLES_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Não foi possível ler os estilos de camada salvos:', error);
+    }
+    applyLayerStyleSettings(stored || {});
+}
+
+function saveLayerStyles() {
+    try {
+        localStorage.setItem(LAYER_STYLES_STORAGE_KEY, JSON.stringify(getLayerStyleSettings()));
+    } catch (error) {
+        console.warn('Não foi possível salvar os estilos de camada:', error);
+    }
+}
+
+// Styles and order of the catalog layers, as stored and in style files;
+// layers opened from files only last for the session
+function getLayerStyleSettings() {
+    return {
+        type: LAYER_STYLE_FILE_TYPE,
+        version: LAYER_STYLE_FILE_VERSION,
+        order: layerOrder.filter(name => !isUserLayer(name)),
+        layers: Object.fromEntries(Object.entries(layerStyles)
+            .filter(([name, style]) => !isUserLayer(name) && Object.keys(style).length > 0))
+    };
+}
+
+// Takes the catalog layer styles and order of stored or imported settings,
+// skipping layers the catalog no longer has. Catalog layers missing from the
+// order go below it, points first; opened files stay on top.
+function applyLayerStyleSettings(settings) {
+    const isCatalogLayer = name => Boolean(CONFIG.layers[name]) && !isUserLayer(name);
+
+    const styles = Object.fromEntries(Object.entries(layerStyles).filter(([name]) => isUserLayer(name)));
+    Object.entries(settings.layers || {}).filter(([name]) => isCatalogLayer(name)).forEach(([name, style]) => {
+        styles[name] = sanitizeLayerStyle(style);
+    });
+    layerStyles = styles;
+
+    const order = [...new Set(Array.isArray(settings.order) ? settings.order : [])].filter(isCatalogLayer);
+    const others = Object.keys(CONFIG.layers).filter(name => isCatalogLayer(name) && !order.includes(name));
+    layerOrder = [
+        ...layerOrder.filter(isUserLayer),
+        ...order,
+        ...others.filter(isPointLayer),
+        ...others.filter(name => !isPointLayer(name))
+    ];
+}
+
+// Applies a setting changed in a style panel; value comes from its input
+function updateLayerStyle(layerName, key, value) {
+    const style = sanitizeLayerStyle({ [key]: LAYER_STYLE_RANGES[key] ? Number(value) : value });
+    if (!(key in style)) return;
+
+    layerStyles[layerName] = { ...layerStyles[layerName], ...style };
+    saveLayerStyles();
+    restyleLayer(layerName);
+}
+
+function resetLayerStyle(layerName) {
+    delete layerStyles[layerName];
+    saveLayerStyles();
+    restyleLayer(layerName);
+
+    // The panel shows the defaults again
+    const panel = createLayerStylePanel(layerName);
+    panel.hidden = false;
+    document.querySelector(`.layer-item[data-layer="${layerName}"] .layer-style-panel`).replaceWith(panel);
+}
+
+// Redraws the features of a layer and its swatch in the layer list; thematic,
+// bivariate and LISA maps keep their colors
+function restyleLayer(layerName) {
+    restyleThematicLayer(layerName);
+    const item = document.querySelector(`.layer-item[data-layer="${layerName}"]`);
+    if (item) updateLayerSwatch(item);
+}
+
+function updateLayerSwatch(item) {
+    const layerName = item.dataset.layer;
+    const style = getLayerStyle(layerName);
+    const swatch = item.querySelector('.layer-color');
+    swatch.style.background = style.fillColor;
+    swatch.style.border = `${Math.min(style.weight, 4)}px ${style.dash} ${style.color}`;
+    swatch.classList.toggle('layer-color-point', isPointLayer(layerName));
+}
+
+function createLayerStylePanel(layerName) {
+    const style = getLayerStyle(layerName);
+    const options = (choices, selected) => Object.entries(choices)
+        .map(([key, choice]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${choice.label}</option>`)
+        .join('');
+
+    const panel = document.createElement('div');
+    panel.className = 'layer-style-panel';
+    panel.hidden = true;
+    panel.innerHTML = `
+        <label class="layer-style-field">
+            <span>Preenchimento</span>
+            <input type="color" data-style="fillColor" value="${style.fillColor}">
+        </label>
+        <label class="layer-style-field">
+            <span>Opacidade</span>
+            <input type="range" data-style="fillOpacity" min="0" max="1" step="0.05" value="${style.fillOpacity}">
+        </label>
+        <label class="layer-style-field">
+            <span>Contorno</span>
+            <input type="color" data-style="color" value="${style.color}">
+        </label>
+        <label class="layer-style-field">
+            <span>Espessura</span>
+            <input type="number" class="thematic-input" data-style="weight" min="0" max="10" step="0.5" value="${style.weight}">
+        </label>
+        <label class="layer-style-field">
+            <span>Traço</span>
+            <select class="thematic-select" data-style="dash">${options(LAYER_DASH_STYLES, style.dash)}</select>
+        </label>
+    `;
+    if (isPointLayer(layerName)) {
+        panel.insertAdjacentHTML('beforeend', `
+            <label class="layer-style-field">
+                <span>Tamanho</span>
+                <input type="range" data-style="radius" min="2" max="20" step="1" value="${style.radius}">
+            </label>
+            <label class="layer-style-field">
+                <span>Forma</span>
+                <select class="thematic-select" data-style="shape">${options(POINT_SHAPES, style.shape)}</select>
+            </label>
+        `);
+    }
+    panel.insertAdjacentHTML('beforeend', '<button class="btn-secondary layer-style-reset">Restaurar Padrão</button>');
+
+    // Residences are filled by address species (see Residence Points)
+    if (layerName === 'residencia') {
+        const fill = panel.querySelector('[data-style="fillColor"]');
+        fill.disabled = true;
+        fill.title = 'Cor pela espécie do endereço';
+    }
+    return panel;
+}
+
+function toggleLayerStylePanel(item) {
+    const panel = item.querySelector('.layer-style-panel');
+    panel.hidden = !panel.hidden;
+    item.classList.toggle('styling', !panel.hidden);
+}
+
+// Draws the visible data layers from the bottom of the list up
+function applyLayerOrder() {
+    [...layerOrder].reverse().forEach(bringLayerToFront);
+}
+
+function bringLayerToFront(layerName) {
+    const layer = dataLayers[layerName];
+    if (layer && map.hasLayer(layer)) {
+        layer.bringToFront();
+    }
+}
+
+// A data layer that is shown, or the residences drawn again in another mode,
+// are drawn above all others; the order is restored once they are in. Single
+// features added later, such as the points of a breaking up cluster, are left
+// where they are drawn.
+function scheduleLayerOrder(e) {
+    const isLayerShown = Object.values(dataLayers).includes(e.layer) ||
+        Boolean(residenciaDisplay && residenciaDisplay.hasLayer(e.layer));
+    if (layerOrderScheduled || !isLayerShown) return;
+    layerOrderScheduled = true;
+    requestAnimationFrame(() => {
+        layerOrderScheduled = false;
+        applyLayerOrder();
+    });
+}
+
+// Brings the layers drawn above layerName back on top of the features of it
+// that were just brought to the front
+function restoreLayersAbove(layerName) {
+    layerOrder.slice(0, Math.max(layerOrder.indexOf(layerName), 0)).reverse().forEach(bringLayerToFront);
+}
+
+function bringFeatureToFront(layer) {
+    layer.bringToFront();
+    restoreLayersAbove(getLayerName(layer));
+}
+
+function setLayerOrder(order) {
+    layerOrder = order;
+    applyLayerOrder();
+    saveLayerStyles();
+}
+
+// Layer items are dragged by their handle and moved among the others while
+// dragging; the order is taken from the list when dropped
+function handleLayerDragStart(e) {
+    if (!e.target.classList || !e.target.classList.contains('layer-drag-handle')) return;
+    draggedLayerItem = e.target.closest('.layer-item');
+    draggedLayerItem.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedLayerItem.dataset.layer);
+    e.dataTransfer.setDragImage(draggedLayerItem, 16, 16);
+}
+
+function handleLayerDragOver(e) {
+    const item = e.target.closest('.layer-item');
+    if (!draggedLayerItem || !item) return;
+    e.preventDefault();
+    if (item === draggedLayerItem) return;
+
+    const { top, height } = item.getBoundingClientRect();
+    item.parentNode.insertBefore(draggedLayerItem, e.clientY > top + height / 2 ? item.nextSibling : item);
+}
+
+function handleLayerDragEnd() {
+    if (!draggedLayerItem) return;
+    draggedLayerItem.classList.remove('dragging');
+    draggedLayerItem = null;
+
+    const order = Array.from(document.querySelectorAll('#layersList .layer-item'), item => item.dataset.layer);
+    if (order.join() !== layerOrder.join()) {
+        setLayerOrder(order);
+    }
+}
+
+function exportLayerStyles() {
+    downloadFile(JSON.stringify(getLayerStyleSettings(), null, 2), 'estilos-camadas.json', 'application/json');
+}
+
+async function importLayerStyles(file) {
+    let settings;
+    try {
+        settings = JSON.parse(await file.text());
+    } catch (error) {
+        alert(`Não foi possível ler o arquivo de estilos: ${error.message}`);
+        return;
+    }
+    if (!settings || settings.type !== LAYER_STYLE_FILE_TYPE) {
+        alert('O arquivo não é um arquivo de estilos de camadas do geoportal.');
+        return;
+    }
+
+    applyLayerStyleSettings(settings);
+    saveLayerStyles();
+    renderLayerList();
+    Object.keys(dataLayers).forEach(restyleLayer);
+    applyLayerOrder();
+    console.log(`Layer styles imported: ${Object.keys(settings.layers || {}).length} layer(s)`);
+}
+
+// ==================== Data Layer Management ====================
+async function loadDataLayers() {
+    showLoading();
+
+    try {
+        // Load the layers the catalog shows by default
+        for (const [layerName, config] of Object.entries(CONFIG.layers)) {
+            if (config.visible) {
+                await setLayerVisibility(layerName, true);
+            }
+        }
+        hideLoading();
+    } catch (error) {
+        console.error('Error loading initial layers:', error);
+        hideLoading();
+        alert('Erro ao carregar camadas. Verifique o console para mais detalhes.');
+    }
+}
+
+async function loadLayer(layerName) {
+    if (dataLayers[layerName]) {
+        return; // Already loaded
+    }
+
+    const config = CONFIG.layers[layerName];
+    try {
+        console.log(`Loading layer: ${layerName} from ${getLayerDataFile(config)}`);
+
+        const { geojsonData, zooms, cachedAt } = await loadCatalogLayerData(config);
+        trackCachedData(config.name, cachedAt);
+        console.log(`Layer ${layerName} loaded successfully with ${geojsonData.features?.length || 0} features`);
+
+        return createDataLayer(layerName, geojsonData, zooms);
+    } catch (error) {
+        console.error(`Error loading layer ${layerName}:`, error);
+        let hint = `Verifique se o arquivo ${config.file} existe.`;
+        if ('crs' in error) {
+            hint = `Declare o sistema de referência no membro "crs" do arquivo ou na opção crs da camada em ${CONFIG.catalog}.`;
+        } else if (!navigator.onLine) {
+            hint = 'Sem conexão, e esta camada ainda não foi salva no aparelho para uso offline.';
+        }
+        alert(`Erro ao carregar camada ${layerName}: ${error.message}\n\n${hint}`);
+        throw error;
+    }
+}
+
+// File the page loads for a catalog layer: its TopoJSON copy, when it has one
+function getLayerDataFile(config) {
+    return config.topojson || config.file;
+}
+
+// Turns the WGS84 GeoJSON of a layer, loaded from the catalog or opened by
+// the user, into its Leaflet layer; zooms are the simplification zooms of
+// its features (see prepareLayerData)
+function createDataLayer(layerName, geojsonData, zooms) {
+    // Canonical field names, then numeric attributes parsed by the layer schema
+    applyFieldAliases(layerName, geojsonData);
+    normalizeLayerAttributes(layerName, geojsonData);
+    checkCatalogAttributes(layerName, geojsonData);
+
+    const featureZooms = new Map((geojsonData.features || []).map((feature, i) => [feature, zooms[i]]));
+    const layer = L.geoJSON(geojsonData, {
+        style: feature => getFeatureStyle(feature, layerName),
+        // Points are drawn with the size and shape of the layer style
+        pointToLayer: (feature, latlng) => new ShapeMarker(latlng, getPointStyle(feature, layerName)),
+        onEachFeature: (feature, layer) => {
+            // Lets getLayerName() find the data layer of a feature directly
+            layer.dataLayerName = layerName;
+            setupFeatureSimplification(layer, featureZooms.get(feature));
+
+            layer.on({
+                mouseover: highlightFeatureFixed,
+                mouseout: resetHighlight,
+                click: showFeatureInfo
+            });
+
+            // Add permanent label for distritos (formerly bairros)
+            if (layerName === 'distritos' && feature.properties.NM_DIST) {
+                const label = feature.properties.NM_DIST;
+                layer.bindTooltip(label, {
+                    permanent: true,
+                    direction: 'center',
+                    className: 'neighborhood-label'
+                });
+            }
+        }
+    });
+
+    dataLayers[layerName] = layer;
+    simplifyLayer(layer);
+    layer.on('add', () => simplifyLayer(layer));
+    layer.on('add', () => restoreQueryIsolation(layerName));
+
+    if (layerName === 'residencia') {
+        setupResidenciaLayer(layer);
+    }
+
+    // Attribute lists now know which catalog fields the file has
+    if (isSectorLayer(layerName)) {
+        renderAttributeCheckboxes();
+    }
+    refreshComputedAttributes(layerName);
+
+    // Add to map if checkbox is checked
+    const checkbox = document.getElementById(`layer-${layerName}`);
+    if (checkbox && checkbox.checked) {
+        layer.addTo(map);
+        console.log(`Layer ${layerName} added to map`);
+    }
+
+    return layer;
+}
+
+// Shows or hides a data layer, loading it on first use, and keeps its
+// checkbox and the census-sector panels in sync
+async function setLayerVisibility(layerName, visible) {
+    const checkbox = document.getElementById(`layer-${layerName}`);
+    if (checkbox) {
+        checkbox.checked = visible;
+    }
+
+    if (visible) {
+        showLoading();
+        try {
+            await loadLayer(layerName);
+        } finally {
+            hideLoading();
+        }
+        if (dataLayers[layerName]) {
+            dataLayers[layerName].addTo(map);
+        }
+
+        // Show attribute selector for census sectors
+        if (isSectorLayer(layerName)) {
+            document.getElementById('attributeSelector').style.display = 'block';
+        }
+
+        // Show thematic mapping panel for polygon layers, pointed at this
+        // layer unless the panel's layer is on the map with a thematic map
+        if (THEMATIC_LAYERS.includes(layerName)) {
+            document.getElementById('thematicMappingPanel').style.display = 'block';
+
+            const thematicLayer = dataLayers[thematicLayerName];
+            const panelLayerMapped = thematicMaps[thematicLayerName] || symbolMaps[thematicLayerName];
+            if (layerName === thematicLayerName) {
+                updateThematicAttributeOptions();
+            } else if (!(thematicLayer && map.hasLayer(thematicLayer) && panelLayerMapped)) {
+                selectThematicLayer(layerName);
+            }
+        }
+
+        if (layerName === 'residencia') {
+            document.getElementById('residenciaPanel').style.display = 'block';
+            updateLegend();
+        }
+
+        if (layerName === 'setores') {
+            // Show derived indicators builder
+            document.getElementById('derivedIndicatorsPanel').style.display = 'block';
+            populateDerivedFieldOptions();
+            // Show attribute query panel
+            document.getElementById('queryPanel').style.display = 'block';
+            populateQueryFieldOptions();
+        }
+    } else {
+        if (dataLayers[layerName]) {
+            map.removeLayer(dataLayers[layerName]);
+        }
+
+        if (layerName === 'setores') {
+            document.getElementById('derivedIndicatorsPanel').style.display = 'none';
+            // Hide attribute query panel and clear the selection
+            document.getElementById('queryPanel').style.display = 'none';
+            resetQueryPanel();
+        }
+
+        if (layerName === 'residencia') {
+            document.getElementById('residenciaPanel').style.display = 'none';
+            updateLegend();
+        }
+
+        // Reset the thematic and symbol maps drawn on this layer
+        if (isComparedLayer(layerName)) {
+            stopComparison();
+        }
+        resetThematicMapping(layerName);
+        resetBivariateMapping(layerName);
+        resetLisaMap(layerName);
+        resetSymbolMapping(layerName);
+
+        // Hide attribute selector and thematic panel when no layer needs them
+        const isVisible = name => dataLayers[name] && map.hasLayer(dataLayers[name]);
+        if (isSectorLayer(layerName) && !SECTOR_LAYERS.some(isVisible)) {
+            document.getElementById('attributeSelector').style.display = 'none';
+        }
+        if (THEMATIC_LAYERS.includes(layerName) && !THEMATIC_LAYERS.some(isVisible)) {
+            document.getElementById('thematicMappingPanel').style.display = 'none';
+        }
+    }
+}
+
+// Default symbology of a feature: the style of its layer (see Layer Styles)
+function getFeatureStyle(feature, layerName) {
+    return getLayerPathOptions(getLayerStyle(layerName));
+}
+
+function getPointStyle(feature, layerName) {
+    const style = getLayerStyle(layerName);
+    const options = { ...getLayerPathOptions(style), radius: style.radius, shape: style.shape };
+    // Residences are colored by address species
+    if (layerName === 'residencia') {
+        options.fillColor = getResidenciaColor(feature.properties);
+    }
+    return options;
+}
+
+// Shows the layer if needed, zooms to the feature and opens its popup,
+// which also keeps it highlighted
+async function focusFeature(layerName, layer) {
+    if (!map.hasLayer(dataLayers[layerName])) {
+        await setLayerVisibility(layerName, true);
+        updatePermalink(true);
+    }
+
+    if (layer.getBounds) {
+        map.fitBounds(layer.getBounds(), { padding: [40, 40], maxZoom: 16 });
+        showFeatureInfo({ target: layer, latlng: layer.getBounds().getCenter() });
+    } else {
+        map.setView(layer.getLatLng(), Math.max(map.getZoom(), 16));
+        showFeatureInfo({ target: layer, latlng: layer.getLatLng() });
+    }
+}
+
+// Hovered features keep their fill and get a white outline a little wider
+// than the one of their layer style; resetHighlight() puts the style back
+function highlightFeatureFixed(e) {
+    const layer = e.target;
+    const style = getLayerStyle(getLayerName(layer));
+
+    if (layer instanceof L.CircleMarker) {
+        layer.setStyle({
+            radius: style.radius + 2,
+            weight: style.weight + 1,
+            color: '#ffffff'
+        });
+    } else {
+        layer.setStyle({
+            weight: style.weight + 1,
+            color: '#ffffff',
+            dashArray: ''
+        });
+        bringFeatureToFront(layer);
+    }
+}
+
+function resetHighlight(e) {
+    const layer = e.target;
+    const layerName = getLayerName(layer);
+
+    const style = getCurrentFeatureStyle(layer, layerName);
+    if (style) {
+        layer.setStyle(style);
+    }
+}
+
+// Style a feature shows when not hovered: its thematic or default symbology,
+// with the attribute query emphasis on top when a query is active
+function getCurrentFeatureStyle(layer, layerName) {
+    let style = getBaseFeatureStyle(layer, layerName);
+    if (style && activeQuery && activeQuery.layerName === layerName) {
+        style = { ...style, ...getQueryStyle(layer) };
+    }
+    if (style && layer === selectedFeatureLayer) {
+        style = { ...style, ...SELECTED_FEATURE_STYLE };
+    }
+    return style;
+}
+
+function getBaseFeatureStyle(layer, layerName) {
+    // Check if it's a circle marker (point)
+    const isCircleMarker = layer instanceof L.CircleMarker;
+
+    // If the layer has a thematic, bivariate or LISA map, restore its color
+    let color = null;
+    if (isThematicMapShown(layerName)) {
+        const thematic = thematicMaps[layerName];
+        const value = getNormalizedValue(layer.feature.properties, thematic.attribute, thematic.settings.normalizeBy);
+        color = getColorForValue(value, thematic.breaks, thematic.colors);
+    } else if (isBivariateMapShown(layerName)) {
+        color = getBivariateColor(layer.feature.properties, bivariateMaps[layerName]);
+    } else if (isLisaMapShown(layerName)) {
+        color = LISA_CLUSTERS[lisaMaps[layerName].clusters.get(layer) || 'NA'].color;
+    }
+
+    if (color) {
+        return getClassifiedPathOptions(layerName, color);
+    }
+
+    // Otherwise, restore original style
+    const config = CONFIG.layers[layerName];
+    if (!config) return null;
+
+    if (isCircleMarker) {
+        return getPointStyle(layer.feature, layerName);
+    }
+
+    const style = getFeatureStyle(layer.feature, layerName);
+    if (isComparedLayer(layerName)) {
+        style.fillOpacity = 0;  // The comparison panes below paint the fill
+    }
+    return style;
+}
+
+// Feature layers carry the name of their data layer (see createDataLayer)
+function getLayerName(layer) {
+    const layerName = layer.dataLayerName;
+    return layerName && dataLayers[layerName] ? layerName : null;
+}
+
+function showFeatureInfo(e) {
+    // Clicks belong to the drawing tool while one is active
+    if (isDrawing()) return;
+
+    const feature = e.target.feature;
+    const props = feature.properties;
+    const layerName = getLayerName(e.target);
+
+    // Keep the feature highlighted and in sync with the attribute grid
+    selectFeature(e.target);
+    if (attributeGrid.layerName === layerName) {
+        scrollGridToFeature(e.target);
+    }
+
+    // If it's a census sector, also populate the attribute table
+    if (isSectorLayer(layerName)) {
+        populateAttributeTable(props);
+    }
+
+    let content = '<div class="popup-content">';
+
+    // Title
+    if (layerName === 'distritos' && props.NM_DIST) {
+        content += `<h3>${escapeHtml(props.NM_DIST)}</h3>`;
+    } else if (props.NM_DIST) {
+        content += `<h3>${escapeHtml(props.NM_DIST)}</h3>`;
+    } else if (props.NM_BAIRRO && props.NM_BAIRRO !== '.' && props.NM_BAIRRO !== null) {
+        content += `<h3>${escapeHtml(props.NM_BAIRRO)}</h3>`;
+    } else if (props.CD_SETOR) {
+        content += `<h3>Setor ${escapeHtml(props.CD_SETOR)}</h3>`;
+    } else if (layerName === 'residencia' && CNEFE_SPECIES[props.COD_ESPECIE]) {
+        content += `<h3>${CNEFE_SPECIES[props.COD_ESPECIE]}</h3>`;
+    } else if (isUserLayer(layerName)) {
+        content += `<h3>${escapeHtml(props.name || props.nome || props.NOME || CONFIG.layers[layerName].name)}</h3>`;
+    } else {
+        content += `<h3>Informações</h3>`;
+    }
+
+    // Define all possible properties with labels
+    const allProps = {
+        'CD_SETOR': 'Código do Setor',
+        'NM_MUN': 'Município',
+        'NM_DIST': 'Distrito',
+        'NM_BAIRRO': 'Bairro',
+        'AREA_KM2': 'Área (km²)',
+        'v0001': 'População Total',
+        'v0002': 'Domicílios Particulares',
+        'v0003': 'Domicílios Ocupados',
+        'v0004': 'Domicílios Vagos',
+        'v0005': 'Moradores por Domicílio',
+        'v0006': 'Área Média (km²)',
+        'v0007': 'Número de Residências',
+        'NÚMERO DE RESIDÊNCIAS POR SETOR': 'Número de Residências',
+        'RENDIMENTO NOMINAL MÉDIO POR SETOR': 'Renda Média (R$)',
+        'COD_ESPECIE': 'Espécie do Endereço',
+        'NV_GEO_COORD': 'Nível de Geocodificação'
+    };
+
+    // For census sectors, use selected attributes; layers opened from files
+    // show every field they have; for others, show all relevant data
+    let propsToShow = allProps;
+    if (isSectorLayer(layerName)) {
+        propsToShow = Object.fromEntries(Object.entries(allProps).filter(([key]) => selectedAttributes.has(key)));
+    } else if (isUserLayer(layerName)) {
+        propsToShow = Object.fromEntries(Object.keys(props).map(key => [key, getAttributeLabel(key, layerName)]));
+    }
+
+    for (const [key, label] of Object.entries(propsToShow)) {
+        if (props[key] !== undefined && props[key] !== null && props[key] !== '') {
+            const value = formatAttributeValue(key, props[key], layerName);
+
+            content += `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`;
+        }
+    }
+
+    // Value shown by the layer's thematic map
+    const thematic = thematicMaps[layerName];
+    if (thematic) {
+        const thematicValue = getNormalizedValue(props, thematic.attribute, thematic.settings.normalizeBy);
+        if (thematicValue !== null) {
+            content += `<p><strong>${escapeHtml(getThematicTitle(layerName))}:</strong> ${formatLegendNumber(thematicValue, layerName)}</p>`;
+        }
+    }
+
+    // Values crossed by the layer's bivariate map
+    const bivariate = bivariateMaps[layerName];
+    if (bivariate) {
+        [bivariate.attribute, bivariate.attributeY].forEach(attribute => {
+            const value = getAttributeValue(props, attribute);
+            if (value !== null) {
+                content += `<p><strong>${escapeHtml(getAttributeDisplayName(attribute))}:</strong> ${value.toLocaleString('pt-BR', { maximumFractionDigits: 2 })}</p>`;
+            }
+        });
+    }
+
+    // Values compared on each side of the swipe
+    if (isComparedLayer(layerName)) {
+        COMPARE_SIDES.forEach(side => {
+            const compared = comparison[side];
+            const value = getNormalizedValue(props, compared.attribute, compared.settings.normalizeBy);
+            if (value !== null) {
+                content += `<p><strong>${COMPARE_SIDE_LABELS[side]} · ${escapeHtml(getThematicTitle(layerName, compared))}:</strong> ${formatLegendNumber(value, layerName, compared)}</p>`;
+            }
+        });
+    }
+
+    // Derived indicators
+    if (isSectorLayer(layerName)) {
+        const derivedValues = getDerivedIndicatorValues(props);
+        if (derivedValues.length > 0) {
+            content += '<h4>Indicadores Derivados</h4>';
+            derivedValues.forEach(({ indicator, value }) => {
+                content += `<p><strong>${escapeHtml(indicator.name)}:</strong> ${escapeHtml(formatDerivedValue(value, indicator.unit))}</p>`;
+            });
+        }
+    }
+
+    // Residence points counted by the spatial join
+    if (props.CNEFE_TOTAL !== undefined) {
+        content += getSpatialJoinPopupContent(props);
+    }
+
+    // Composite vulnerability index
+    if (props.IVH !== undefined) {
+        content += getVulnerabilityPopupContent(layerName, props);
+    }
+
+    // Local spatial autocorrelation
+    if (props.LISA_CLUSTER !== undefined) {
+        content += getLisaPopupContent(layerName, props);
+    }
+
+    content += '</div>';
+
+    const popup = L.popup()
+        .setLatLng(e.latlng)
+        .setContent(content)
+        .openOn(map);
+
+    setOpenFeature(e.target, layerName, popup);
+}
+
+// ==================== Layer Worker ====================
+// Catalog layers are fetched, parsed, reprojected and prepared for
+// simplification in a Web Worker (layer-worker.js), so that the large files
+// (residences, census sectors) do not freeze the page while they load. The
+// worker and the page share layer-data.js, which the page also uses for the
+// files the user opens. Where workers are not available, the worker fails to
+// start or it cannot load a layer, layers load on the main thread.
+
+const LAYER_WORKER_URL = 'layer-worker.js';
+
+// Created on first use; false when layers load on the main thread
+let layerWorker = null;
+// Requests waiting for the worker, by id
+let layerWorkerRequests = new Map();
+let layerWorkerRequestId = 0;
+
+function getLayerWorker() {
+    if (layerWorker === null) {
+        try {
+            layerWorker = createLayerWorker();
+        } catch (error) {
+            console.warn('Layer worker unavailable, loading layers on the main thread:', error);
+            layerWorker = false;
+        }
+    }
+    return layerWorker;
+}
+
+// The worker loads proj4 from the same URL as the page
+function createLayerWorker() {
+    const proj4Url = document.querySelector('script[src$="/proj4.js"]').src;
+    const worker = new Worker(`${LAYER_WORKER_URL}?proj4=${encodeURIComponent(proj4Url)}`);
+    worker.onmessage = handleLayerWorkerResponse;
+    worker.onerror = handleLayerWorkerError;
+    return worker;
+}
+
+// Fetches a catalog layer and brings it to WGS84 GeoJSON, with the
+// simplification zooms of its features and the date it was cached offline
+function loadLayerData(config, { file = getLayerDataFile(config), useWorker = true } = {}) {
+    const url = new URL(file, document.baseURI).href;
+    const worker = useWorker && getLayerWorker();
+    if (!worker) {
+        return loadLayerDataOnMainThread(url, config);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = ++layerWorkerRequestId;
+        layerWorkerRequests.set(id, { url, config, resolve, reject });
+        worker.postMessage({ id, url, config });
+    });
+}
+
+// Same as loadLayerData, from the TopoJSON copy of the layer or, when that
+// cannot be had, its GeoJSON; `file` is the one loaded
+async function loadCatalogLayerData(config, { useWorker = true } = {}) {
+    const file = getLayerDataFile(config);
+    try {
+        return { ...await loadLayerData(config, { file, useWorker }), file };
+    } catch (error) {
+        if (file === config.file || 'crs' in error) throw error;
+        console.warn(`${file} unavailable, loading ${config.file}:`, error.message);
+        return { ...await loadLayerData(config, { file: config.file, useWorker }), file: config.file };
+    }
+}
+
+async function loadLayerDataOnMainThread(url, config) {
+    const { data, cachedAt } = await fetchLayerFile(url);
+    return { ...prepareLayerData(data, config), cachedAt };
+}
+
+// A layer the worker could not load is loaded again on the main thread;
+// errors of the file itself (an HTTP error, an unknown CRS) would only repeat
+// there and are passed on
+function handleLayerWorkerResponse({ data: { id, error, ...result } }) {
+    const { url, config, resolve, reject } = layerWorkerRequests.get(id);
+    layerWorkerRequests.delete(id);
+
+    if (!error) {
+        resolve(result);
+    } else if (error.crs !== undefined) {
+        reject(createCRSError(error.message, error.crs));
+    } else if (error.status !== undefined) {
+        reject(Object.assign(new Error(error.message), { status: error.status }));
+    } else {
+        console.warn(`Layer worker could not load ${url}, loading it on the main thread:`, error.message);
+        loadLayerDataOnMainThread(url, config).then(resolve, reject);
+    }
+}
+
+// A worker that cannot start (e.g. proj4 failed to load) hands its requests,
+// and the next ones, to the main thread
+function handleLayerWorkerError(event) {
+    console.warn('Layer worker failed, loading layers on the main thread:', event.message);
+    layerWorker.terminate();
+    layerWorker = false;
+
+    layerWorkerRequests.forEach(({ url, config, resolve, reject }) => {
+        loadLayerDataOnMainThread(url, config).then(resolve, reject);
+    });
+    layerWorkerRequests.clear();
+}
+
+// ==================== Geometry Simplification ====================
+// Lines and polygons are drawn with only the vertices that can be told apart
+// at the current zoom. When a layer loads, each vertex gets the zoom from
+// which it is needed: how far the Douglas–Peucker outline would be off without
+// it, on Web Mercator, against SIMPLIFICATION_TOLERANCE pixels at each zoom.
+// On zoom changes the visible features swap in the outline for the new zoom,
+// cached per zoom, so the municipal views project and draw a fraction of the
+// vertices. The features' GeoJSON keeps the full geometry for the analyses,
+// exports and prints.
+// The vertex zooms are computed as the layer loads (getGeometryZooms in
+// layer-data.js).
+
+// Keeps the full outline and vertex zooms of a line or polygon feature
+function setupFeatureSimplification(layer, zooms) {
+    if (!zooms || !(layer instanceof L.Polyline)) return;
+    layer.simplification = { latlngs: layer.getLatLngs(), zooms, outlines: {}, zoom: null };
+}
+
+// Draws the features of a data layer with their outlines for the map's zoom
+function simplifyLayer(dataLayer) {
+    const zoom = map.getZoom();
+    dataLayer.eachLayer(layer => {
+        const simplification = layer.simplification;
+        if (!simplification || simplification.zoom === zoom) return;
+
+        if (!simplification.outlines[zoom]) {
+            simplification.outlines[zoom] = filterLatLngsByZoom(simplification.latlngs, simplification.zooms, zoom);
+        }
+        simplification.zoom = zoom;
+        layer.setLatLngs(simplification.outlines[zoom]);
+    });
+}
+
+function simplifyVisibleLayers() {
+    Object.values(dataLayers).forEach(dataLayer => {
+        if (map.hasLayer(dataLayer)) {
+            simplifyLayer(dataLayer);
+        }
+    });
+}
+
+// Leaflet drops the closing vertex of polygon rings, the last of their zooms
+function filterLatLngsByZoom(latlngs, zooms, zoom) {
+    if (latlngs[0] instanceof L.LatLng) {
+        return latlngs.filter((latlng, i) => zooms[i] <= zoom);
+    }
+    return latlngs.map((child, i) => filterLatLngsByZoom(child, zooms[i], zoom));
+}
+
+// Full outline of a feature, whichever zoom it is drawn for
+function getFullLatLngs(layer) {
+    return layer.simplification ? layer.simplification.latlngs : layer.getLatLngs();
+}
+
+// GeoJSON of a feature with its full geometry
+function getFeatureGeoJSON(layer) {
+    return layer.simplification ? L.GeoJSON.getFeature(layer, layer.feature.geometry) : layer.toGeoJSON();
+}
+
+// ==================== User Files ====================
+// GeoJSON, KML/KMZ, zipped shapefiles and CSV points opened from the user's
+// computer. Files are read in the browser, never uploaded, and go through
+// createDataLayer like the catalog layers, so they are reprojected and get
+// the same popups and highlight; polygon layers also join the thematic and
+// comparison panels. They last until removed or the page is reloaded, so
+// permalinks cannot restore them.
+const USER_FILE_EXTENSIONS = ['geojson', 'json', 'kml', 'kmz', 'zip', 'csv', 'txt'];
+
+const USER_LAYER_COLORS = ['#f6d365', '#a18cd1', '#30cfd0', '#ff9a9e', '#96e6a1', '#fda085'];
+
+// Header names, in lower case, of the coordinate columns of CSV files
+const CSV_COORDINATE_COLUMNS = {
+    x: ['longitude', 'long', 'lon', 'lng', 'x', 'este', 'leste', 'easting', 'utm_e', 'utm_x', 'coord_x'],
+    y: ['latitude', 'lat', 'y', 'norte', 'northing', 'utm_n', 'utm_y', 'coord_y']
+};
+
+// Names ESRI .prj files, which carry no EPSG code, give the systems of CRS_DEFINITIONS
+const PRJ_CRS_NAMES = {
+    'GCS_WGS_1984': 'EPSG:4326',
+    'GCS_SIRGAS_2000': 'EPSG:4674',
+    'SIRGAS_2000_UTM_Zone_23S': 'EPSG:31983',
+    'SIRGAS_2000_UTM_Zone_24S': 'EPSG:31984',
+    'GCS_South_American_1969': 'EPSG:4618',
+    'SAD_1969_UTM_Zone_23S': 'EPSG:29193',
+    'SAD_1969_UTM_Zone_24S': 'EPSG:29194'
+};
+
+let userLayerCount = 0;
+
+function isUserLayer(layerName) {
+    return Boolean(CONFIG.layers[layerName] && CONFIG.layers[layerName].userFile);
+}
+
+function populateUserFileCrsOptions() {
+    const select = document.getElementById('userFileCrsSelect');
+    Object.entries(CRS_DEFINITIONS).forEach(([code, definition]) => {
+        select.appendChild(new Option(`${definition.name} (${code})`, code));
+    });
+}
+
+// Opens every file as new layers; a file that fails does not stop the others
+async function openUserFiles(files) {
+    // Overrides the CRS the files declare; empty to use theirs
+    const crs = document.getElementById('userFileCrsSelect').value;
+
+    for (const file of files) {
+        try {
+            showLoading();
+            const layers = await readUserFile(file);
+            hideLoading();
+
+            for (const { name, geojsonData } of layers) {
+                await addUserLayer(name, geojsonData, crs);
+            }
+        } catch (error) {
+            hideLoading();
+            console.error(`Error opening ${file.name}:`, error);
+            const hint = 'crs' in error
+                ? '\n\nEscolha em "Sistema de referência" o sistema das coordenadas do arquivo e abra-o de novo.'
+                : '';
+            alert(`Erro ao abrir ${file.name}: ${error.message}${hint}`);
+        }
+    }
+}
+
+// GeoJSON of the layers in a file: one per file, or one per shapefile of a zip
+async function readUserFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const name = file.name.replace(/\.[^.]+$/, '');
+
+    if (extension === 'geojson' || extension === 'json') {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('O arquivo não é um JSON válido.');
+        }
+        return [{ name, geojsonData: toFeatureCollection(data) }];
+    }
+    if (extension === 'kml') {
+        return [{ name, geojsonData: parseKML(await file.text()) }];
+    }
+    if (extension === 'kmz' || extension === 'zip') {
+        return readZipFile(name, await file.arrayBuffer());
+    }
+    if (extension === 'csv' || extension === 'txt') {
+        return [{ name, geojsonData: parseCSVPoints(await readTextFile(file)) }];
+    }
+
+    throw new Error(`Formato não suportado. Use um destes: ${USER_FILE_EXTENSIONS.map(ext => `.${ext}`).join(', ')}.`);
+}
+
+// Accepts a FeatureCollection, a single Feature or a bare geometry
+function toFeatureCollection(data) {
+    let geojsonData;
+    if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        geojsonData = data;
+    } else if (data && data.type === 'Feature') {
+        geojsonData = { type: 'FeatureCollection', crs: data.crs, features: [data] };
+    } else if (data && (data.coordinates || data.geometries)) {
+        geojsonData = { type: 'FeatureCollection', crs: data.crs, features: [{ type: 'Feature', geometry: data, properties: {} }] };
+    } else {
+        throw new Error('O arquivo não contém GeoJSON (FeatureCollection, Feature ou geometria).');
+    }
+
+    geojsonData.features.forEach(feature => {
+        feature.properties = feature.properties || {};
+    });
+    return geojsonData;
+}
+
+function parseKML(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('O arquivo KML não é um XML válido.');
+    }
+    return toFeatureCollection(toGeoJSON.kml(doc));
+}
+
+// A zip gives one layer per shapefile (.shp with its .dbf, .prj and .cpg);
+// a KMZ, or a zip without shapefiles, its KML document
+async function readZipFile(name, buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !entry.name.includes('__MACOSX'));
+    const shapefiles = entries.filter(entry => /\.shp$/i.test(entry.name));
+
+    if (shapefiles.length === 0) {
+        const kml = entries.find(entry => /\.kml$/i.test(entry.name));
+        if (!kml) {
+            throw new Error('O arquivo compactado não contém shapefile (.shp) nem KML.');
+        }
+        return [{ name, geojsonData: parseKML(await kml.async('string')) }];
+    }
+
+    return Promise.all(shapefiles.map(async entry => {
+        const base = entry.name.slice(0, -4);
+        const sidecar = extension => entries.find(candidate => candidate.name.toLowerCase() === `${base}.${extension}`.toLowerCase());
+        const dbf = sidecar('dbf');
+        const prj = sidecar('prj');
+        const cpg = sidecar('cpg');
+
+        // Geometries are parsed without the .prj so they keep their own
+        // coordinates and go through reprojectGeoJSON like every layer
+        const geometries = shp.parseShp(await entry.async('arraybuffer'));
+        let records = [];
+        if (dbf) {
+            const table = await dbf.async('arraybuffer');
+            records = shp.parseDbf(table, cpg ? await cpg.async('string') : undefined);
+            // Without a .cpg the table is read as UTF-8; broken accents mean
+            // the Windows-1252 of older GIS software
+            if (!cpg && JSON.stringify(records).includes('\uFFFD')) {
+                records = shp.parseDbf(table, 'windows-1252');
+            }
+        }
+        const geojsonData = shp.combine([geometries, records]);
+        if (prj) {
+            geojsonData.crs = { type: 'name', properties: { name: getPrjCRS(await prj.async('string')) } };
+        }
+
+        return { name: shapefiles.length > 1 ? base.split('/').pop() : name, geojsonData };
+    }));
+}
+
+// CRS name for the WKT of a .prj: its EPSG code when proj4 knows it, one of
+// PRJ_CRS_NAMES, or else the WKT itself registered in proj4 under its name
+function getPrjCRS(wkt) {
+    const authority = wkt.match(/AUTHORITY\["EPSG",\s*"?(\d+)"?\]\]\s*$/i);
+    if (authority && proj4.defs(`EPSG:${authority[1]}`)) {
+        return `EPSG:${authority[1]}`;
+    }
+
+    const name = (wkt.match(/^\s*\w+\["([^"]+)"/) || [])[1];
+    if (!name) {
+        throw createCRSError('O arquivo .prj do shapefile não pôde ser lido.', null);
+    }
+    if (PRJ_CRS_NAMES[name]) {
+        return PRJ_CRS_NAMES[name];
+    }
+    if (!proj4.defs(name)) {
+        proj4.defs(name, wkt.trim());
+    }
+    return name;
+}
+
+// Text of a CSV in UTF-8 or, failing that, in the Windows-1252 Excel uses for Portuguese
+async function readTextFile(file) {
+    const buffer = await file.arrayBuffer();
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+// Points from the rows of a CSV with longitude/latitude or UTM x/y columns
+// (see CSV_COORDINATE_COLUMNS). Numbers may use the decimal comma; columns
+// that only hold numbers become numeric attributes, except codes with
+// leading zeros
+function parseCSVPoints(text) {
+    const workbook = XLSX.read(text, { type: 'string', raw: true });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '', raw: false });
+    if (rows.length === 0) {
+        throw new Error('O CSV não tem linhas de dados.');
+    }
+
+    const columns = Object.keys(rows[0]);
+    const findColumn = names => columns.find(column => names.includes(column.trim().toLowerCase()));
+    const xColumn = findColumn(CSV_COORDINATE_COLUMNS.x);
+    const yColumn = findColumn(CSV_COORDINATE_COLUMNS.y);
+    if (!xColumn || !yColumn) {
+        throw new Error(`Colunas de coordenadas não encontradas. Use longitude e latitude, ou x e y para UTM. Colunas do arquivo: ${columns.join(', ')}.`);
+    }
+
+    const numericColumns = new Set(columns.filter(column => rows.every(row => {
+        const value = String(row[column]).trim();
+        return value === '' || (toNumber(value) !== null && !/^0\d/.test(value));
+    })));
+
+    const features = [];
+    rows.forEach(row => {
+        const x = toNumber(row[xColumn]);
+        const y = toNumber(row[yColumn]);
+        if (x === null || y === null) return;
+
+        const properties = {};
+        columns.filter(column => column !== xColumn && column !== yColumn).forEach(column => {
+            const value = row[column];
+            properties[column] = numericColumns.has(column) ? toNumber(value) : value;
+        });
+        features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: [x, y] }, properties });
+    });
+
+    if (features.length < rows.length) {
+        console.warn(`CSV: ${rows.length - features.length} row(s) without valid coordinates skipped`);
+    }
+    if (features.length === 0) {
+        throw new Error('Nenhuma linha do CSV tem coordenadas válidas.');
+    }
+    return { type: 'FeatureCollection', features };
+}
+
+// Registers a file's GeoJSON as a temporary data layer, shows it and zooms to it
+async function addUserLayer(name, geojsonData, crs) {
+    const features = geojsonData.features || [];
+    if (!features.some(feature => feature.geometry)) {
+        throw new Error('O arquivo não tem feições com geometria.');
+    }
+
+    const layerName = `user_${++userLayerCount}`;
+    CONFIG.layers[layerName] = {
+        name,
+        color: USER_LAYER_COLORS[(userLayerCount - 1) % USER_LAYER_COLORS.length],
+        groups: [],
+        userFile: true
+    };
+    if (crs) {
+        CONFIG.layers[layerName].crs = crs;
+    }
+    if (features.every(feature => !feature.geometry || /Point$/.test(feature.geometry.type))) {
+        CONFIG.layers[layerName].geometry = 'point';
+    }
+
+    try {
+        const prepared = prepareLayerData(geojsonData, CONFIG.layers[layerName]);
+        createDataLayer(layerName, prepared.geojsonData, prepared.zooms);
+    } catch (error) {
+        delete CONFIG.layers[layerName];
+        delete missingCatalogAttributes[layerName];
+        throw error;
+    }
+
+    // Opened files are drawn above the other layers
+    layerOrder.unshift(layerName);
+
+    // Polygon layers can be mapped like the census layers
+    if (features.some(feature => feature.geometry && /Polygon$/.test(feature.geometry.type))) {
+        THEMATIC_LAYERS.push(layerName);
+        ['thematicLayerSelect', 'compareLayerSelect'].forEach(id => {
+            document.getElementById(id).appendChild(new Option(name, layerName));
+        });
+    }
+
+    renderLayerList();
+    populateGridLayerOptions();
+    populateExportSourceOptions();
+    await setLayerVisibility(layerName, true);
+
+    const bounds = dataLayers[layerName].getBounds();
+    if (bounds.isValid()) {
+        map.fitBounds(bounds, { padding: [40, 40], maxZoom: 16 });
+    }
+    console.log(`User layer ${layerName} (${name}) added with ${features.length} features`);
+    updatePermalink(true);
+}
+
+async function removeUserLayer(layerName) {
+    const layer = dataLayers[layerName];
+    await setLayerVisibility(layerName, false);
+
+    if (selectedFeatureLayer && layer.hasLayer(selectedFeatureLayer)) {
+        selectFeature(null);
+    }
+    if (openFeature && openFeature.layerName === layerName) {
+        map.closePopup();
+    }
+    if (attributeGrid.layerName === layerName) {
+        closeAttributeGrid();
+    }
+
+    delete dataLayers[layerName];
+    delete CONFIG.layers[layerName];
+    delete missingCatalogAttributes[layerName];
+    delete layerStyles[layerName];
+    layerOrder = layerOrder.filter(name => name !== layerName);
+
+    if (THEMATIC_LAYERS.includes(layerName)) {
+        THEMATIC_LAYERS.splice(THEMATIC_LAYERS.indexOf(layerName), 1);
+        ['thematicLayerSelect', 'compareLayerSelect'].forEach(id => {
+            document.querySelector(`#${id} option[value="${layerName}"]`).remove();
+        });
+        if (thematicLayerName === layerName) {
+            selectThematicLayer(THEMATIC_LAYERS[0]);
+        }
+        populateCompareAttributeOptions();
+    }
+
+    renderLayerList();
+    populateGridLayerOptions();
+    populateExportSourceOptions();
+    updatePermalink(true);
+}
+
+// ==================== CNEFE Codes ====================
+// CNEFE address species (COD_ESPECIE) and geocoding levels (NV_GEO_COORD),
+// the latter from most to least precise
+const CNEFE_SPECIES = {
+    '1': 'Domicílio particular',
+    '2': 'Domicílio coletivo',
+    '3': 'Estabelecimento agropecuário',
+    '4': 'Estabelecimento de ensino',
+    '5': 'Estabelecimento de saúde',
+    '6': 'Estabelecimento de outras finalidades',
+    '7': 'Edificação em construção',
+    '8': 'Estabelecimento religioso'
+};
+
+const CNEFE_GEOCODING_LEVELS = {
+    '1': 'Endereço (coordenada original)',
+    '2': 'Endereço (coordenada modificada)',
+    '3': 'Endereço (coordenada estimada)',
+    '4': 'Face de quadra',
+    '5': 'Localidade',
+    '6': 'Setor censitário'
+};
+
+// ==================== Attribute Schema ====================
+// Types, units and display rules of the attributes of each layer. Declared
+// numeric fields are parsed at load time with pt-BR rules ("2,6", "13.099"),
+// so the rest of the app only ever sees numbers or null.
+// Fields not declared here keep the type they have in the GeoJSON.
+const CENSUS_FIELD_SCHEMA = {
+    'AREA_KM2': { type: 'number', unit: 'km²', decimals: 4 },
+    'v0001': { type: 'integer', unit: 'hab.' },
+    'v0002': { type: 'integer', unit: 'domicílios' },
+    'v0003': { type: 'integer', unit: 'domicílios' },
+    'v0004': { type: 'integer', unit: 'domicílios' },
+    'v0005': { type: 'number', unit: 'moradores', decimals: 1 },
+    'v0006': { type: 'number', unit: 'km²', decimals: 4 },
+    'v0007': { type: 'integer', unit: 'residências' }
+};
+
+// Residence points counted by the spatial join
+const CNEFE_COUNT_SCHEMA = {
+    'CNEFE_TOTAL': { type: 'integer', label: 'Endereços CNEFE' },
+    ...Object.fromEntries(Object.entries(CNEFE_SPECIES).map(([code, label]) =>
+        [`CNEFE_${code}`, { type: 'integer', label: `CNEFE: ${label}` }]
+    )),
+    'CNEFE_DIFERENCA': { type: 'integer', label: 'Diferença CNEFE - Censo (domicílios)' },
+    'CNEFE_DIFERENCA_PCT': { type: 'number', unit: '%', decimals: 1, label: 'Diferença CNEFE - Censo (%)' },
+    'CNEFE_DIVERGENTE': { type: 'string', label: 'Diverge do Censo' }
+};
+
+// Composite index computed by the vulnerability index builder
+const VULNERABILITY_INDEX_SCHEMA = {
+    'IVH': { type: 'number', decimals: 3, label: 'Índice de Vulnerabilidade Habitacional' },
+    'IVH_RANK': { type: 'integer', label: 'Posição no Ranking de Vulnerabilidade' }
+};
+
+// Local Moran results of the spatial statistics panel
+const LISA_SCHEMA = {
+    'LISA_CLUSTER': { type: 'string', label: 'Agrupamento LISA' },
+    'LISA_I': { type: 'number', decimals: 3, label: 'Moran Local (Ii)' },
+    'LISA_P': { type: 'number', decimals: 3, label: 'Pseudo p-valor LISA' }
+};
+
+const SECTOR_FIELD_SCHEMA = {
+    ...CENSUS_FIELD_SCHEMA,
+    ...CNEFE_COUNT_SCHEMA,
+    ...VULNERABILITY_INDEX_SCHEMA,
+    ...LISA_SCHEMA,
+    'RENDIMENTO NOMINAL MÉDIO POR SETOR': { type: 'number', unit: 'R$', decimals: 2 }
+};
+
+const ATTRIBUTE_SCHEMAS = {
+    distritos: { ...CENSUS_FIELD_SCHEMA, ...CNEFE_COUNT_SCHEMA },
+    setores: SECTOR_FIELD_SCHEMA,
+    urb_rur: CENSUS_FIELD_SCHEMA,
+    // Same fields as setores once FIELD_ALIASES is applied
+    deficit_hab: SECTOR_FIELD_SCHEMA,
+    residencia: {
+        'COD_ESPECIE': { type: 'string', label: 'Espécie do Endereço', values: CNEFE_SPECIES },
+        'NV_GEO_COORD': { type: 'string', label: 'Nível de Geocodificação', values: CNEFE_GEOCODING_LEVELS }
+    }
+};
+
+// Placeholders IBGE tables use for missing or suppressed values
+const MISSING_VALUE_MARKERS = ['', '.', '..', '...', '-', 'X'];
+
+// Unparseable values found while loading, by layer
+const attributeWarnings = {};
+
+function getFieldSchema(layerName, key) {
+    const schema = ATTRIBUTE_SCHEMAS[layerName] || {};
+    return schema[key] || {};
+}
+
+// Parses numbers written either as JSON numbers or as pt-BR text. Returns
+// null for missing values and NaN for text that is not a number. Dots are
+// read as thousand separators only in integer fields ("13.099"), since
+// decimal fields may use them as the decimal point ("0.0154").
+function parseLocaleNumber(value, integer = false) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return isFinite(value) ? value : NaN;
+
+    let text = String(value).replace(/\s/g, '');
+    if (MISSING_VALUE_MARKERS.includes(text)) return null;
+
+    if (text.includes(',')) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else if (integer && /^[+-]?\d{1,3}(\.\d{3})+$/.test(text)) {
+        text = text.replace(/\./g, '');
+    }
+
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(text) ? parseFloat(text) : NaN;
+}
+
+function normalizeLayerAttributes(layerName, geojsonData) {
+    const schema = ATTRIBUTE_SCHEMAS[layerName] || {};
+    const numericFields = Object.entries(schema)
+        .filter(([, field]) => field.type === 'number' || field.type === 'integer');
+    const warnings = [];
+
+    (geojsonData.features || []).forEach((feature, index) => {
+        const props = feature.properties;
+        if (!props) return;
+
+        numericFields.forEach(([key, field]) => {
+            if (!(key in props)) return;
+
+            const value = parseLocaleNumber(props[key], field.type === 'integer');
+            if (Number.isNaN(value)) {
+                warnings.push({ index, field: key, value: props[key] });
+                props[key] = null;
+            } else {
+                if (field.type === 'integer' && value !== null && !Number.isInteger(value)) {
+                    warnings.push({ index, field: key, value: props[key] });
+                }
+                props[key] = value;
+            }
+        });
+    });
+
+    attributeWarnings[layerName] = warnings;
+    if (warnings.length > 0) {
+        const sample = warnings.slice(0, 5)
+            .map(({ index, field, value }) => `#${index} ${field} = ${JSON.stringify(value)}`)
+            .join('; ');
+        console.warn(`Layer ${layerName}: ${warnings.length} attribute value(s) could not be read as numbers (${sample})`);
+    }
+}
+
+// Numeric value of a raw property, for code that reads fields not in the schema
+function toNumber(value) {
+    const number = parseLocaleNumber(value);
+    return number === null || Number.isNaN(number) ? null : number;
+}
+
+// ==================== Field Aliases ====================
+// Layers exported through shapefiles have their field names cut to 10
+// characters and, sometimes, broken accents (\uFFFD). These are renamed on
+// load to the canonical names used by setores, so labels, attribute groups,
+// derived indicators and the thematic map work the same on both layers.
+const FIELD_ALIASES = {
+    deficit_hab: {
+        'N\u00daMERO DE': 'NÚMERO DE RESIDÊNCIAS POR SETOR',
+        '15-29 Anal': '15-29 Analfabetos',
+        '30-59 Anal': '30-59 Analfabetos',
+        '60+ Analfa': '60+ Analfabetos',
+        'N\u00daMERO _1': 'NÚMERO DE PESSOAS ANALFABETAS POR SETOR',
+        '9 a 14 ano': '9 a 14 anos',
+        'TOTAL DE C': 'TOTAL DE CRIAÇAS DE 0-14 ANOS E IDOSOS +70 ANOS POR SETOR',
+        'Pessoas re': 'Pessoas responsáveis em domicílios particulares permanentes ocupados',
+        'Domic\u00edlio': 'Domicílios Particulares Permanentes Ocupados, Quantidade de moradores',
+        'RENDIMENTO': 'RENDIMENTO NOMINAL MÉDIO POR SETOR',
+        'Utiliza re': 'Utiliza rede geral de distribuição',
+        'Utiliza po': 'Utiliza poço profundo ou artesiano',
+        'Utiliza _1': 'Utiliza poço raso, freático ou cacimba',
+        'Utiliza fo': 'Utiliza fonte, nascente ou mina',
+        'Utiliza ca': 'Utiliza carro-pipa',
+        'Utiliza \u00e1': 'Utiliza água da chuva armazenada',
+        'Utiliza ri': 'Utiliza rios, açudes, córregos, lagos e igarapés',
+        'Utiliza ou': 'Utiliza outra forma de abastecimento de água',
+        'TOTAL DE R': 'TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZAM REDE GERAL DE DISTRIBUIÇÃO DE ÁGUA POR SETOR',
+        'Rede geral': 'Rede geral ou pluvial',
+        'fossa s\u00e9p': 'fossa séptica ou fossa filtro ligada à rede',
+        'fossa s\uFFFD_1': 'fossa séptica ou fossa filtro não ligada à rede',
+        'fossa rudi': 'fossa rudimentar ou buraco',
+        'rio, lago,': 'rio, lago, córrego ou mar',
+        'outra form': 'outra forma',
+        'Destina\u00e7\uFFFD': 'Destinação do esgoto inexistente, pois não tinham banheiro nem sanitário',
+        'TOTAL DE_1': 'TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZA REDE DE ESGOTO GERAL OU PLUVIAL POR SETOR',
+        'Lixo colet': 'Lixo coletado no domicílio por serviço de limpeza',
+        'Lixo depos': 'Lixo depositado em caçamba de serviço de limpeza',
+        'Lixo queim': 'Lixo queimado na propriedade',
+        'Lixo enter': 'Lixo enterrado na propriedade',
+        'Lixo jogad': 'Lixo jogado em terreno baldio, encosta ou área pública',
+        ' Outro des': ' Outro destino do lixo',
+        'TOTAL DE_2': 'TOTAL DE RESIDÊNCIAS SEM COLETA DE LIXO POR SERVIÇO DE LIMPEZA POR SETOR',
+        'Casa de vi': 'Casa de vila ou em condomínio',
+        '  apartame': '  apartamento',
+        'habita\u00e7\u00e3': 'habitação em casa de cômodos ou cortiço',
+        ' habita\u00e7\uFFFD': ' habitação indígena sem paredes ou maloca',
+        'TOTAL DE E': 'TOTAL DE ESTRUTURA RESIDENCIAL PERMANENTE DEGRADADA OU INACABADA POR SETOR',
+        'tenda ou b': 'tenda ou barraca de lona, plástico ou tecido',
+        'dentro de': 'dentro de estabelecimento em funcionamento',
+        'abrigo nat': 'abrigo natural e outras estruturas improvisadas',
+        'estrutura': 'estrutura improvisada em logradouro público, exceto tenda ou barraca',
+        'estrutur_1': 'estrutura não residencial permanente degradada ou inacabada',
+        've\u00edculo (': 'veículo (carro, caminhão, trailer, barco etc)',
+        'TOTAL DE M': 'TOTAL DE MORADIAS TEMPORÁRIAS E IMPROVISADAS POR SETOR'
+    }
+};
+
+// Layers of census sectors: same fields, popups, details table and thematic map
+const SECTOR_LAYERS = ['setores', 'deficit_hab'];
+
+function isSectorLayer(layerName) {
+    return SECTOR_LAYERS.includes(layerName);
+}
+
+// Renames aliased properties in place, keeping the original key order
+function applyFieldAliases(layerName, geojsonData) {
+    const aliases = FIELD_ALIASES[layerName];
+    if (!aliases) return;
+
+    (geojsonData.features || []).forEach(feature => {
+        if (!feature.properties) return;
+        feature.properties = Object.fromEntries(Object.entries(feature.properties)
+            .map(([key, value]) => [aliases[key] || key, value]));
+    });
+}
+
+// ==================== Attribute Table Functions ====================
+// Friendly names of the attributes, shared by the details table, the grid and exports
+const attributeLabels = {
+    'CD_SETOR': 'Código do Setor',
+    'CD_REGIAO': 'Código da Região',
+    'NM_REGIAO': 'Nome da Região',
+    'CD_UF': 'Código da UF',
+    'NM_UF': 'Nome da UF',
+    'CD_MUN': 'Código do Município',
+    'NM_MUN': 'Nome do Município',
+    'CD_DIST': 'Código do Distrito',
+    'NM_DIST': 'Nome do Distrito',
+    'CD_SUBDIST': 'Código do Subdistrito',
+    'NM_SUBDIST': 'Nome do Subdistrito',
+    'CD_BAIRRO': 'Código do Bairro',
+    'NM_BAIRRO': 'Nome do Bairro',
+    'ID_SETOR': 'Identificador do Setor',
+    'CD_RGINT': 'Código da Região Intermediária',
+    'NM_RGINT': 'Nome da Região Intermediária',
+    'CD_RGI': 'Código da Região Imediata',
+    'NM_RGI': 'Nome da Região Imediata',
+    'CD_CONCURB': 'Código da Concentração Urbana',
+    'NM_CONCURB': 'Nome da Concentração Urbana',
+    'AREA_KM2': 'Área (km²)',
+    'v0001': 'População Total',
+    'v0002': 'Domicílios Particulares Permanentes',
+    'v0003': 'Domicílios Particulares Ocupados',
+    'v0004': 'Domicílios Particulares Vagos',
+    'v0005': 'Moradores por Domicílio',
+    'v0006': 'Área Média por Domicílio (km²)',
+    'v0007': 'Número de Residências',
+    'NÚMERO DE RESIDÊNCIAS POR SETOR': 'Número de Residências',
+    'RENDIMENTO NOMINAL MÉDIO POR SETOR': 'Renda Média (R$)',
+    'Utiliza rede geral de distribuição': 'Água: Rede Geral',
+    'Utiliza poço profundo ou artesiano': 'Água: Poço Artesiano',
+    'Utiliza poço raso, freático ou cacimba': 'Água: Poço Raso',
+    'Utiliza fonte, nascente ou mina': 'Água: Nascente',
+    'Rede geral ou pluvial': 'Esgoto: Rede Geral',
+    'fossa séptica ou fossa filtro ligada à rede': 'Esgoto: Fossa Séptica (ligada)',
+    'fossa séptica ou fossa filtro não ligada à rede': 'Esgoto: Fossa Séptica (não ligada)',
+    'fossa rudimentar ou buraco': 'Esgoto: Fossa Rudimentar',
+    'vala': 'Esgoto: Vala',
+    'rio, lago, córrego ou mar': 'Esgoto: Rio/Lago',
+    'Lixo coletado no domicílio por serviço de limpeza': 'Lixo: Coletado',
+    'Lixo queimado na propriedade': 'Lixo: Queimado',
+    'Lixo enterrado na propriedade': 'Lixo: Enterrado'
+};
+
+function getAttributeLabel(key, layerName = 'setores') {
+    return getFieldSchema(layerName, key).label || attributeLabels[key] || key.trim();
+}
+
+function formatAttributeValue(key, value, layerName = 'setores') {
+    if (value === null || value === undefined || value === '') {
+        return '-';
+    } else if (typeof value === 'number') {
+        const { decimals } = getFieldSchema(layerName, key);
+        return decimals === undefined ?
+            value.toLocaleString('pt-BR') :
+            value.toLocaleString('pt-BR', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    }
+
+    // Coded fields show the code with its meaning
+    const { values } = getFieldSchema(layerName, key);
+    if (values && values[value]) {
+        return `${value} - ${values[value]}`;
+    }
+    return value;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Text that may come from a data file (layer and field names, values), made
+// safe to put in HTML: KML descriptions, for one, often hold markup
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function populateAttributeTable(properties) {
+    const tableBody = document.getElementById('attributeTableBody');
+    const tablePanel = document.getElementById('attributeTablePanel');
+
+    // Show the table panel
+    tablePanel.style.display = 'block';
+
+    // Clear existing rows
+    tableBody.innerHTML = '';
+
+
+    // Populate table with all properties
+    for (const [key, value] of Object.entries(properties)) {
+        if (key === 'geometry') continue; // Skip geometry
+
+        const row = document.createElement('tr');
+        const labelCell = document.createElement('td');
+        const valueCell = document.createElement('td');
+
+        // Use friendly label or key itself
+        labelCell.textContent = getAttributeLabel(key);
+        valueCell.textContent = formatAttributeValue(key, value);
+
+        row.appendChild(labelCell);
+        row.appendChild(valueCell);
+        tableBody.appendChild(row);
+    }
+
+    // Append derived indicators after the raw attributes
+    getDerivedIndicatorValues(properties).forEach(({ indicator, value }) => {
+        const row = document.createElement('tr');
+        row.className = 'attribute-derived';
+        const labelCell = document.createElement('td');
+        const valueCell = document.createElement('td');
+
+        labelCell.textContent = indicator.name;
+        valueCell.textContent = formatDerivedValue(value, indicator.unit);
+
+        row.appendChild(labelCell);
+        row.appendChild(valueCell);
+        tableBody.appendChild(row);
+    });
+
+    // Scroll to top of table
+    document.getElementById('attributeTableContainer').scrollTop = 0;
+}
+
+// ==================== Attribute Grid ====================
+const GRID_PAGE_SIZE = 200;
+
+const SELECTED_FEATURE_STYLE = {
+    color: '#ffd166',
+    weight: 4,
+    opacity: 1
+};
+
+let selectedFeatureLayer = null;
+
+let attributeGrid = {
+    layerName: null,
+    rows: [],
+    filteredRows: [],
+    columns: [],
+    sortColumn: null,
+    sortDirection: 1,
+    search: '',
+    renderedCount: 0
+};
+
+// Columns the user hid in the grid, a Set by layer; apart from the popup
+// attributes (selectedAttributes), which only seed them
+let gridHiddenColumns = {};
+
+// Keeps one feature highlighted (grid row or map click) until another is chosen
+function selectFeature(layer) {
+    const previous = selectedFeatureLayer;
+    selectedFeatureLayer = layer;
+
+    if (previous && previous !== layer) {
+        const previousStyle = getCurrentFeatureStyle(previous, getLayerName(previous));
+        if (previousStyle) previous.setStyle(previousStyle);
+    }
+
+    if (layer) {
+        const style = getCurrentFeatureStyle(layer, getLayerName(layer));
+        if (style) layer.setStyle(style);
+        if (layer.bringToFront) bringFeatureToFront(layer);
+        setDashboardTrigger({ type: 'feature', layer });
+    }
+}
+
+function populateGridLayerOptions() {
+    const select = document.getElementById('gridLayerSelect');
+    select.innerHTML = '';
+
+    for (const [name, config] of Object.entries(CONFIG.layers)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = config.name;
+        select.appendChild(option);
+    }
+}
+
+async function openAttributeGrid(layerName) {
+    showLoading();
+    try {
+        await loadLayer(layerName);
+    } finally {
+        hideLoading();
+    }
+    if (!dataLayers[layerName]) return;
+
+    const rows = [];
+    const columns = new Set();
+    dataLayers[layerName].eachLayer(layer => {
+        rows.push({ index: rows.length, layer, properties: layer.feature.properties });
+        Object.keys(layer.feature.properties).forEach(key => columns.add(key));
+    });
+
+    attributeGrid = {
+        layerName,
+        rows,
+        filteredRows: rows,
+        columns: Array.from(columns),
+        sortColumn: null,
+        sortDirection: 1,
+        search: '',
+        renderedCount: 0
+    };
+
+    // The first time, a layer shows the attributes selected for the popups;
+    // one that has none of them (e.g. Residências) shows all of its columns
+    if (!gridHiddenColumns[layerName]) {
+        const selected = attributeGrid.columns.filter(column => selectedAttributes.has(column));
+        gridHiddenColumns[layerName] = new Set(selected.length > 0 ?
+            attributeGrid.columns.filter(column => !selectedAttributes.has(column)) : []);
+    }
+
+    document.getElementById('gridLayerSelect').value = layerName;
+    document.getElementById('gridSearchInput').value = '';
+    document.getElementById('attributeGridPanel').classList.add('active');
+    document.querySelector('.map-container').classList.add('grid-open');
+    map.invalidateSize();
+
+    renderGridColumnsMenu();
+    refreshAttributeGrid();
+}
+
+function closeAttributeGrid() {
+    document.getElementById('attributeGridPanel').classList.remove('active');
+    document.getElementById('gridColumnsMenu').classList.remove('active');
+    document.querySelector('.map-container').classList.remove('grid-open');
+    attributeGrid.layerName = null;
+    map.invalidateSize();
+}
+
+function isAttributeGridOpen() {
+    return attributeGrid.layerName !== null;
+}
+
+function getVisibleGridColumns() {
+    const hidden = gridHiddenColumns[attributeGrid.layerName];
+    return attributeGrid.columns.filter(column => !hidden.has(column));
+}
+
+function refreshAttributeGrid() {
+    const columns = getVisibleGridColumns();
+    const search = normalizeSearchText(attributeGrid.search);
+
+    let rows = attributeGrid.rows;
+    if (search) {
+        rows = rows.filter(row => columns.some(column =>
+            normalizeSearchText(String(formatAttributeValue(column, row.properties[column], attributeGrid.layerName))).includes(search)
+        ));
+    }
+
+    if (attributeGrid.sortColumn) {
+        const column = attributeGrid.sortColumn;
+        const direction = attributeGrid.sortDirection;
+        rows = rows.slice().sort((a, b) => compareGridValues(a.properties[column], b.properties[column]) * direction);
+    }
+
+    attributeGrid.filteredRows = rows;
+    attributeGrid.renderedCount = 0;
+
+    renderGridHeader(columns);
+    document.getElementById('attributeGridBody').innerHTML = '';
+    renderMoreGridRows();
+
+    document.getElementById('gridCount').textContent =
+        `${rows.length.toLocaleString('pt-BR')} de ${attributeGrid.rows.length.toLocaleString('pt-BR')} feições`;
+}
+
+function compareGridValues(a, b) {
+    const emptyA = a === null || a === undefined || a === '';
+    const emptyB = b === null || b === undefined || b === '';
+    if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+
+    if (!isNaN(a) && !isNaN(b)) {
+        return parseFloat(a) - parseFloat(b);
+    }
+    return String(a).localeCompare(String(b), 'pt-BR', { numeric: true });
+}
+
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function renderGridHeader(columns) {
+    const head = document.getElementById('attributeGridHead');
+    const row = document.createElement('tr');
+
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = getAttributeLabel(column, attributeGrid.layerName);
+        th.title = column;
+        th.dataset.column = column;
+
+        if (attributeGrid.sortColumn === column) {
+            th.classList.add(attributeGrid.sortDirection === 1 ? 'sort-asc' : 'sort-desc');
+        }
+
+        th.addEventListener('click', () => {
+            if (attributeGrid.sortColumn === column) {
+                attributeGrid.sortDirection *= -1;
+            } else {
+                attributeGrid.sortColumn = column;
+                attributeGrid.sortDirection = 1;
+            }
+            refreshAttributeGrid();
+        });
+
+        row.appendChild(th);
+    });
+
+    head.innerHTML = '';
+    head.appendChild(row);
+}
+
+// Rows are rendered in pages so large layers such as Residências stay responsive
+function renderMoreGridRows(until = 0) {
+    const body = document.getElementById('attributeGridBody');
+    const columns = getVisibleGridColumns();
+    const rows = attributeGrid.filteredRows;
+    const end = Math.min(rows.length, Math.max(attributeGrid.renderedCount + GRID_PAGE_SIZE, until + 1));
+
+    const fragment = document.createDocumentFragment();
+    for (let i = attributeGrid.renderedCount; i < end; i++) {
+        const row = rows[i];
+        const tr = document.createElement('tr');
+        tr.dataset.index = row.index;
+        if (row.layer === selectedFeatureLayer) {
+            tr.classList.add('selected');
+        }
+
+        columns.forEach(column => {
+            const td = document.createElement('td');
+            td.textContent = formatAttributeValue(column, row.properties[column], attributeGrid.layerName);
+            tr.appendChild(td);
+        });
+
+        tr.addEventListener('click', () => focusGridRow(row));
+        fragment.appendChild(tr);
+    }
+
+    body.appendChild(fragment);
+    attributeGrid.renderedCount = end;
+}
+
+async function focusGridRow(row) {
+    const layerName = attributeGrid.layerName;
+    if (!map.hasLayer(dataLayers[layerName])) {
+        await setLayerVisibility(layerName, true);
+    }
+
+    const layer = row.layer;
+    if (layer.getBounds) {
+        map.fitBounds(layer.getBounds(), { padding: [40, 40], maxZoom: 16 });
+    } else {
+        map.setView(layer.getLatLng(), Math.max(map.getZoom(), 16));
+    }
+
+    const latlng = layer.getBounds ? layer.getBounds().getCenter() : layer.getLatLng();
+    showFeatureInfo({ target: layer, latlng });
+}
+
+// Marks and scrolls to the row of a feature clicked on the map
+function scrollGridToFeature(layer) {
+    const body = document.getElementById('attributeGridBody');
+    body.querySelectorAll('tr.selected').forEach(tr => tr.classList.remove('selected'));
+
+    const position = attributeGrid.filteredRows.findIndex(row => row.layer === layer);
+    if (position === -1) return;
+
+    if (position >= attributeGrid.renderedCount) {
+        renderMoreGridRows(position);
+    }
+
+    const row = attributeGrid.filteredRows[position];
+    const tr = body.querySelector(`tr[data-index="${row.index}"]`);
+    if (tr) {
+        tr.classList.add('selected');
+        tr.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+}
+
+function renderGridColumnsMenu() {
+    const menu = document.getElementById('gridColumnsMenu');
+    const visible = new Set(getVisibleGridColumns());
+    menu.innerHTML = '';
+
+    attributeGrid.columns.forEach(column => {
+        const label = document.createElement('label');
+        label.className = 'attribute-checkbox';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = column;
+        input.checked = visible.has(column);
+        input.addEventListener('change', () => toggleGridColumn(column, input.checked));
+
+        const checkmark = document.createElement('span');
+        checkmark.className = 'checkmark';
+
+        const name = document.createElement('span');
+        name.className = 'attribute-name';
+        name.textContent = getAttributeLabel(column, attributeGrid.layerName);
+
+        label.appendChild(input);
+        label.appendChild(checkmark);
+        label.appendChild(name);
+        menu.appendChild(label);
+    });
+}
+
+function toggleGridColumn(column, visible) {
+    const hidden = gridHiddenColumns[attributeGrid.layerName];
+    if (visible) {
+        hidden.delete(column);
+    } else {
+        hidden.add(column);
+    }
+    refreshAttributeGrid();
+}
+
+// Attributes shown in the popups, from the sidebar attribute list
+function toggleSelectedAttribute(attribute, selected) {
+    if (selected) {
+        selectedAttributes.add(attribute);
+    } else {
+        selectedAttributes.delete(attribute);
+    }
+    updatePermalink(true);
+}
+
+// ==================== Export ====================
+const EXPORT_FIELDS = {
+    VALOR_TEMATICO: 'Valor Temático',
+    CLASSE_TEMATICA: 'Classe Temática',
+    INTERVALO_TEMATICO: 'Intervalo da Classe',
+    COR_TEMATICA: 'Cor da Classe'
+};
+
+function getThematicClassLabel(index, layerName = thematicLayerName, thematic = thematicMaps[layerName]) {
+    const { min, breaks } = thematic;
+    const start = index === 0 ? min : breaks[index - 1];
+    return `${formatLegendNumber(start, layerName, thematic)} - ${formatLegendNumber(breaks[index], layerName, thematic)}`;
+}
+
+// Returns { layerName, features, metadata } for a layer, the active query
+// selection, the thematic map or the drawn shapes; features are WGS84
+// GeoJSON Features
+function collectExportFeatures(source) {
+    let layerName = source;
+    let layers;
+    let metadata = null;
+    let thematic = null;
+
+    if (source === 'drawings') {
+        return { layerName: 'desenhos', features: drawnShapes.map(getDrawnShapeFeature), metadata: null };
+    }
+
+    if (source === 'vulnerability') {
+        // Ranking of the layer chosen in the vulnerability index panel
+        layerName = document.getElementById('vulnerabilityLayerSelect').value;
+        const index = vulnerabilityIndexes[layerName];
+        if (!index) throw new Error('Calcule o índice de vulnerabilidade da camada primeiro.');
+        return {
+            layerName,
+            features: getVulnerabilityExportFeatures(layerName),
+            metadata: {
+                indice: getAttributeLabel(VULNERABILITY_INDEX_FIELD),
+                escala: VULNERABILITY_SCALINGS[index.settings.scaling],
+                pesos: Object.fromEntries(Object.entries(index.settings.weights)
+                    .filter(([, weight]) => weight > 0)
+                    .map(([key, weight]) => [VULNERABILITY_INDICATORS[key].label, weight]))
+            }
+        };
+    }
+
+    if (source === 'lisa') {
+        // Clusters of the layer chosen in the spatial statistics panel
+        layerName = document.getElementById('spatialStatsLayerSelect').value;
+        const lisa = lisaMaps[layerName];
+        if (!lisa) throw new Error('Calcule a autocorrelação espacial da camada primeiro.');
+        return {
+            layerName,
+            features: getLisaExportFeatures(layerName),
+            metadata: {
+                atributo: lisa.settings.attribute,
+                dividirPor: lisa.settings.normalizeBy || null,
+                vizinhanca: CONTIGUITY_TYPES[lisa.settings.contiguity],
+                permutacoes: lisa.moran.permutations,
+                significancia: lisa.settings.alpha,
+                moranI: lisa.moran.value,
+                moranEsperado: lisa.moran.expected,
+                moranZ: lisa.moran.zScore,
+                moranPseudoP: lisa.moran.pValue
+            }
+        };
+    }
+
+    if (source === 'selection') {
+        if (!activeQuery) throw new Error('Nenhuma consulta ativa. Execute uma consulta por atributos primeiro.');
+        layerName = activeQuery.layerName;
+        layers = Array.from(activeQuery.matches);
+        metadata = { consulta: activeQuery.text };
+    } else if (source === 'thematic') {
+        // The map of the layer selected in the thematic panel
+        thematic = thematicMaps[thematicLayerName];
+        if (!thematic) throw new Error('Nenhum mapa temático ativo na camada selecionada no painel.');
+        layerName = thematicLayerName;
+        layers = dataLayers[layerName].getLayers();
+        metadata = {
+            camada: layerName,
+            atributo: thematic.attribute,
+            titulo: getThematicTitle(layerName),
+            metodo: thematic.settings.method,
+            dividirPor: thematic.settings.normalizeBy || null,
+            minimo: thematic.min,
+            limites: thematic.breaks,
+            cores: thematic.colors
+        };
+    } else {
+        if (!dataLayers[layerName]) throw new Error('Camada não carregada.');
+        layers = dataLayers[layerName].getLayers();
+    }
+
+    const features = layers.map(layer => {
+        const feature = getFeatureGeoJSON(layer);
+        const properties = { ...layer.feature.properties };
+
+        getDerivedIndicatorValues(properties).forEach(({ indicator, value }) => {
+            properties[indicator.name] = value;
+        });
+
+        if (thematic) {
+            const value = getNormalizedValue(layer.feature.properties, thematic.attribute, thematic.settings.normalizeBy);
+            if (value === null) {
+                properties.VALOR_TEMATICO = null;
+                properties.CLASSE_TEMATICA = null;
+                properties.INTERVALO_TEMATICO = null;
+                properties.COR_TEMATICA = getColorForValue(value, thematic.breaks, thematic.colors);
+            } else {
+                const index = getClassIndex(value, thematic.breaks);
+                properties.VALOR_TEMATICO = value;
+                properties.CLASSE_TEMATICA = index + 1;
+                properties.INTERVALO_TEMATICO = getThematicClassLabel(index, layerName);
+                properties.COR_TEMATICA = thematic.colors[index];
+            }
+        }
+
+        feature.properties = properties;
+        return feature;
+    });
+
+    return { layerName, features, metadata };
+}
+
+function getExportColumns(features) {
+    const columns = new Set();
+    features.forEach(feature => {
+        Object.keys(feature.properties).forEach(key => columns.add(key));
+    });
+    return Array.from(columns);
+}
+
+function getExportHeader(column, layerName) {
+    return EXPORT_FIELDS[column] || getAttributeLabel(column, layerName);
+}
+
+function exportAsGeoJSON(result, filename) {
+    const collection = {
+        type: 'FeatureCollection',
+        name: filename,
+        features: result.features
+    };
+    // Foreign member with the classification, so the map can be rebuilt
+    if (result.metadata) {
+        collection.geoportal = result.metadata;
+    }
+
+    downloadFile(JSON.stringify(collection), `${filename}.geojson`, 'application/geo+json');
+}
+
+// Semicolon-separated with decimal commas and a BOM, as expected by
+// spreadsheet programs configured for pt-BR
+function exportAsCSV(result, filename) {
+    const columns = getExportColumns(result.features);
+    const escapeCell = value => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'number' ? String(value).replace('.', ',') : String(value);
+        return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(column => escapeCell(getExportHeader(column, result.layerName))).join(';')];
+    result.features.forEach(feature => {
+        lines.push(columns.map(column => escapeCell(feature.properties[column])).join(';'));
+    });
+
+    downloadFile('\uFEFF' + lines.join('\r\n'), `${filename}.csv`, 'text/csv;charset=utf-8');
+}
+
+function exportAsXLSX(result, filename) {
+    if (typeof XLSX === 'undefined') {
+        throw new Error('A biblioteca de planilhas não foi carregada. Verifique a conexão e tente novamente.');
+    }
+
+    const columns = getExportColumns(result.features);
+    const rows = [columns.map(column => getExportHeader(column, result.layerName))];
+    result.features.forEach(feature => {
+        rows.push(columns.map(column => {
+            const value = feature.properties[column];
+            return value === null || value === undefined ? '' : value;
+        }));
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Dados');
+
+    if (result.metadata) {
+        const metadataRows = Object.entries(result.metadata).map(([key, value]) =>
+            [key, Array.isArray(value) ? value.join('; ') : value]
+        );
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(metadataRows), 'Metadados');
+    }
+
+    XLSX.writeFile(workbook, `${filename}.xlsx`);
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportData(source, format) {
+    if (CONFIG.layers[source]) {
+        showLoading();
+        try {
+            await loadLayer(source);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    const result = collectExportFeatures(source);
+    if (result.features.length === 0) {
+        throw new Error('Não há feições para exportar.');
+    }
+
+    const suffixes = { thematic: '_tematico', selection: '_selecao', drawings: '', vulnerability: '_vulnerabilidade', lisa: '_lisa' };
+    const suffix = CONFIG.layers[source] ? '' : suffixes[source];
+    const filename = `${result.layerName}${suffix}_${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'geojson') {
+        exportAsGeoJSON(result, filename);
+    } else if (format === 'csv') {
+        exportAsCSV(result, filename);
+    } else if (format === 'xlsx') {
+        exportAsXLSX(result, filename);
+    }
+}
+
+function populateExportSourceOptions() {
+    const group = document.getElementById('exportLayersOptgroup');
+    group.innerHTML = '';
+
+    for (const [name, config] of Object.entries(CONFIG.layers)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = config.name;
+        group.appendChild(option);
+    }
+}
+
+// ==================== Print Composer ====================
+// Paper sizes in millimetres (portrait width x height)
+const PRINT_PAPER_SIZES = {
+    a4: [210, 297],
+    a3: [297, 420]
+};
+
+const PRINT_LAYOUT = {
+    margin: 10,
+    header: 20,
+    footer: 46,
+    legendColumnWidth: 62,
+    legendRowHeight: 5.5,
+    scaleBlockWidth: 70
+};
+
+const PRINT_FONT = 'Inter, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+function computePrintLayout(paper, orientation, dpi) {
+    const [shortSide, longSide] = PRINT_PAPER_SIZES[paper];
+    const widthMm = orientation === 'landscape' ? longSide : shortSide;
+    const heightMm = orientation === 'landscape' ? shortSide : longSide;
+    const px = mm => Math.round(mm * dpi / 25.4);
+    const { margin, header, footer } = PRINT_LAYOUT;
+
+    return {
+        px,
+        dpi,
+        widthMm,
+        heightMm,
+        width: px(widthMm),
+        height: px(heightMm),
+        // Screen styles are expressed in CSS pixels (96 dpi)
+        strokeScale: dpi / 96,
+        map: {
+            x: px(margin),
+            y: px(margin + header),
+            width: px(widthMm - 2 * margin),
+            height: px(heightMm - 2 * margin - header - footer)
+        },
+        footer: {
+            x: px(margin),
+            y: px(heightMm - margin - footer + 4),
+            width: px(widthMm - 2 * margin),
+            height: px(footer - 4)
+        }
+    };
+}
+
+// Fits the current map view into the print frame and returns the
+// (fractional) zoom and the top-left pixel of the frame at that zoom
+function computePrintView(layout) {
+    const bounds = map.getBounds();
+    const crs = map.options.crs;
+    const northWest = crs.latLngToPoint(bounds.getNorthWest(), 0);
+    const southEast = crs.latLngToPoint(bounds.getSouthEast(), 0);
+    const scale = Math.min(
+        layout.map.width / (southEast.x - northWest.x),
+        layout.map.height / (southEast.y - northWest.y)
+    );
+    const zoom = Math.log2(scale);
+    const center = crs.latLngToPoint(map.getCenter(), zoom);
+
+    return {
+        zoom,
+        center: map.getCenter(),
+        origin: center.subtract(L.point(layout.map.width / 2, layout.map.height / 2))
+    };
+}
+
+function loadPrintImage(url) {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = url;
+    });
+}
+
+async function drawPrintBasemap(ctx, layout, view) {
+    const config = CONFIG.basemaps[currentBasemap];
+    const tileZoom = Math.max(0, Math.min(CONFIG.maxZoom, Math.round(view.zoom)));
+    const tileScale = Math.pow(2, view.zoom - tileZoom);
+    const tileSize = 256 * tileScale;
+    const tileCount = Math.pow(2, tileZoom);
+
+    const minX = Math.floor(view.origin.x / tileSize);
+    const minY = Math.floor(view.origin.y / tileSize);
+    const maxX = Math.floor((view.origin.x + layout.map.width) / tileSize);
+    const maxY = Math.floor((view.origin.y + layout.map.height) / tileSize);
+
+    const tiles = [];
+    for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+            if (y < 0 || y >= tileCount) continue;
+            const url = L.Util.template(config.url, {
+                s: 'abc'[Math.abs(x + y) % 3],
+                z: tileZoom,
+                x: ((x % tileCount) + tileCount) % tileCount,
+                y,
+                r: ''
+            });
+            tiles.push(loadPrintImage(url).then(image => ({ image, x, y })));
+        }
+    }
+
+    let missing = 0;
+    (await Promise.all(tiles)).forEach(({ image, x, y }) => {
+        if (!image) {
+            missing++;
+            return;
+        }
+        ctx.drawImage(
+            image,
+            layout.map.x + x * tileSize - view.origin.x,
+            layout.map.y + y * tileSize - view.origin.y,
+            tileSize + 0.5,
+            tileSize + 0.5
+        );
+    });
+
+    if (missing > 0) {
+        console.warn(`${missing} tile(s) do mapa de fundo não puderam ser carregados para impressão.`);
+    }
+}
+
+function flattenRings(latlngs) {
+    return L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs.flatMap(flattenRings);
+}
+
+// Point symbol of POINT_SHAPES centered on x, y
+function tracePointShape(ctx, shapeName, x, y, radius) {
+    const shape = POINT_SHAPES[shapeName] || POINT_SHAPES.circle;
+    if (!shape.vertices) {
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        return;
+    }
+    getPointShapeVertices(shape, { x, y }, radius).forEach((point, i) => {
+        if (i === 0) ctx.moveTo(point.x, point.y); else ctx.lineTo(point.x, point.y);
+    });
+    ctx.closePath();
+}
+
+function applyPrintDash(ctx, dashArray, scale) {
+    const dashes = dashArray ? String(dashArray).split(/[\s,]+/).map(Number).filter(n => !isNaN(n)) : [];
+    ctx.setLineDash(dashes.map(n => n * scale));
+}
+
+// Draws a vector layer with the style it currently has on screen
+function drawPrintFeature(ctx, layer, layout, view) {
+    const options = layer.options;
+    const crs = map.options.crs;
+    const project = latlng => {
+        const point = crs.latLngToPoint(latlng, view.zoom);
+        return [layout.map.x + point.x - view.origin.x, layout.map.y + point.y - view.origin.y];
+    };
+
+    ctx.beginPath();
+    if (layer instanceof L.CircleMarker) {
+        const [x, y] = project(layer.getLatLng());
+        tracePointShape(ctx, options.shape, x, y, options.radius * layout.strokeScale);
+    } else if (layer instanceof L.Polyline) {
+        flattenRings(getFullLatLngs(layer)).forEach(ring => {
+            ring.forEach((latlng, i) => {
+                const [x, y] = project(latlng);
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            if (layer instanceof L.Polygon) ctx.closePath();
+        });
+    } else {
+        return;
+    }
+
+    const isArea = layer instanceof L.Polygon || layer instanceof L.CircleMarker;
+    if (isArea && options.fill !== false) {
+        ctx.globalAlpha = options.fillOpacity ?? 0.2;
+        ctx.fillStyle = options.fillColor || options.color;
+        ctx.fill('evenodd');
+    }
+    if (options.stroke !== false && options.weight > 0) {
+        ctx.globalAlpha = options.opacity ?? 1;
+        ctx.strokeStyle = options.color;
+        ctx.lineWidth = options.weight * layout.strokeScale;
+        ctx.lineJoin = 'round';
+        applyPrintDash(ctx, options.dashArray, layout.strokeScale);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    ctx.globalAlpha = 1;
+}
+
+function drawPrintLabel(ctx, layer, layout, view) {
+    const tooltip = layer.getTooltip && layer.getTooltip();
+    if (!tooltip || !tooltip.options.permanent || !layer.getBounds) return;
+
+    const center = map.options.crs.latLngToPoint(layer.getBounds().getCenter(), view.zoom);
+    const x = layout.map.x + center.x - view.origin.x;
+    const y = layout.map.y + center.y - view.origin.y;
+
+    ctx.font = `bold ${layout.px(3.5)}px ${PRINT_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = layout.px(0.8);
+    ctx.strokeStyle = '#000000';
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeText(tooltip.getContent(), x, y);
+    ctx.fillText(tooltip.getContent(), x, y);
+}
+
+// Visible layers from the bottom of the layer list up, as on the map
+function drawPrintLayers(ctx, layout, view) {
+    const visible = [...layerOrder].reverse().filter(name => dataLayers[name] && map.hasLayer(dataLayers[name]));
+    const labelled = [];
+
+    // The compared layer has no fill of its own: its two maps lie below it
+    if (comparison && visible.includes(comparison.layerName)) {
+        COMPARE_SIDES.forEach(side => drawPrintCompareSide(ctx, side, layout, view));
+    }
+
+    visible.forEach(name => {
+        dataLayers[name].eachLayer(layer => {
+            if (!map.hasLayer(layer)) return;
+            drawPrintFeature(ctx, layer, layout, view);
+            labelled.push(layer);
+        });
+        if (name === 'residencia') drawPrintResidencias(ctx, layout, view);
+    });
+
+    // Proportional circles and dot density go above every data layer, as
+    // their pane does on screen
+    visible.filter(name => symbolMaps[name] && map.hasLayer(symbolMaps[name].group)).forEach(name => {
+        symbolMaps[name].group.eachLayer(layer => drawPrintFeature(ctx, layer, layout, view));
+    });
+
+    labelled.forEach(layer => drawPrintLabel(ctx, layer, layout, view));
+    return visible;
+}
+
+// Cluster sizes and colours of the default Leaflet.markercluster icons
+const PRINT_CLUSTER_STYLES = [
+    { maxCount: 9, outer: 'rgba(181, 226, 140, 0.6)', inner: 'rgba(110, 204, 57, 0.6)' },
+    { maxCount: 99, outer: 'rgba(241, 211, 87, 0.6)', inner: 'rgba(240, 194, 12, 0.6)' },
+    { maxCount: Infinity, outer: 'rgba(253, 156, 115, 0.6)', inner: 'rgba(241, 128, 23, 0.6)' }
+];
+
+// The residences that are not on the map one by one: the clusters they are
+// grouped in, or the heatmap made again at the print scale. Points out of a
+// cluster are on the map and drawn with the other features.
+function drawPrintResidencias(ctx, layout, view) {
+    if (!residenciaDisplay || residenciaMode === 'points') return;
+
+    const markers = getFilteredResidencias();
+    const project = latlng => {
+        const point = map.options.crs.latLngToPoint(latlng, view.zoom);
+        return [layout.map.x + point.x - view.origin.x, layout.map.y + point.y - view.origin.y];
+    };
+
+    if (residenciaMode === 'heatmap') {
+        drawPrintHeatmap(ctx, markers.map(marker => project(marker.getLatLng())), layout);
+        return;
+    }
+
+    const clusters = residenciaDisplay.getLayers().find(layer => layer instanceof L.MarkerClusterGroup);
+    if (!clusters) return;
+
+    const shown = new Set(markers.map(marker => clusters.getVisibleParent(marker)));
+    const scale = layout.strokeScale;
+    ctx.font = `${12 * scale}px ${PRINT_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    shown.forEach(cluster => {
+        if (!(cluster instanceof L.MarkerCluster)) return;
+        const count = cluster.getChildCount();
+        const style = PRINT_CLUSTER_STYLES.find(({ maxCount }) => count <= maxCount);
+        const [x, y] = project(cluster.getLatLng());
+
+        [[20, style.outer], [15, style.inner]].forEach(([radius, color]) => {
+            ctx.beginPath();
+            ctx.arc(x, y, radius * scale, 0, 2 * Math.PI);
+            ctx.fillStyle = color;
+            ctx.fill();
+        });
+        ctx.fillStyle = '#000000';
+        ctx.fillText(String(count), x, y);
+    });
+    ctx.textAlign = 'left';
+}
+
+// Kernel density of the residences as Leaflet.heat draws it: points weigh
+// less the further the map is zoomed out and are summed in cells of half the
+// radius before simpleheat colours them
+function drawPrintHeatmap(ctx, points, layout) {
+    const { radius, blur, maxZoom, minOpacity, gradient } = RESIDENCIA_HEATMAP_OPTIONS;
+    const scale = layout.strokeScale;
+    const weight = 1 / Math.pow(2, Math.max(0, Math.min(maxZoom - map.getZoom(), 12)));
+    const reach = (radius + blur) * scale;
+    const cellSize = reach / 2;
+
+    const cells = new Map();
+    points.forEach(([x, y]) => {
+        const localX = x - layout.map.x;
+        const localY = y - layout.map.y;
+        if (localX < -reach || localY < -reach || localX > layout.map.width + reach || localY > layout.map.height + reach) return;
+        const key = `${Math.floor(localX / cellSize)}:${Math.floor(localY / cellSize)}`;
+        const cell = cells.get(key);
+        if (cell) {
+            cell[0] = (cell[0] * cell[2] + localX * weight) / (cell[2] + weight);
+            cell[1] = (cell[1] * cell[2] + localY * weight) / (cell[2] + weight);
+            cell[2] += weight;
+        } else {
+            cells.set(key, [localX, localY, weight]);
+        }
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.map.width;
+    canvas.height = layout.map.height;
+    simpleheat(canvas)
+        .data([...cells.values()].map(([x, y, value]) => [Math.round(x), Math.round(y), Math.min(value, 1)]))
+        .max(1)
+        .radius(radius * scale, blur * scale)
+        .gradient(gradient)
+        .draw(minOpacity);
+    ctx.drawImage(canvas, layout.map.x, layout.map.y);
+}
+
+// One side of the map comparison, cut where the divider is across the map
+function drawPrintCompareSide(ctx, side, layout, view) {
+    const divider = layout.map.x + layout.map.width * comparison.position;
+    const [x, width] = side === 'left' ?
+        [layout.map.x, divider - layout.map.x] :
+        [divider, layout.map.x + layout.map.width - divider];
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, layout.map.y, width, layout.map.height);
+    ctx.clip();
+    comparison[side].overlay.eachLayer(layer => drawPrintFeature(ctx, layer, layout, view));
+    ctx.restore();
+
+    if (side === 'right') {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = layout.px(0.6);
+        ctx.beginPath();
+        ctx.moveTo(divider, layout.map.y);
+        ctx.lineTo(divider, layout.map.y + layout.map.height);
+        ctx.stroke();
+    }
+}
+
+// Legend entries: visible layers, plus the thematic classes when active
+function getPrintLegendItems(visibleLayers) {
+    const items = [];
+
+    const thematicLayers = visibleLayers.filter(isThematicMapShown);
+    thematicLayers.forEach(name => {
+        items.push({ heading: getThematicTitle(name) });
+        thematicMaps[name].colors.forEach((color, i) => {
+            items.push({ color, label: getThematicClassLabel(i, name) });
+        });
+    });
+
+    visibleLayers.filter(isBivariateMapShown).forEach(name => {
+        const bivariate = bivariateMaps[name];
+        const colors = BIVARIATE_PALETTES[bivariate.palette].colors;
+        items.push({ heading: getBivariateTitle(bivariate) });
+        [2, 1, 0].forEach(row => [2, 1, 0].forEach(column => {
+            items.push({ color: colors[row][column], label: `${BIVARIATE_LEVELS[column]} × ${BIVARIATE_LEVELS[row]}` });
+        }));
+    });
+
+    visibleLayers.filter(isLisaMapShown).forEach(name => {
+        const lisa = lisaMaps[name];
+        items.push({ heading: `LISA: ${getLisaTitle(lisa)}` });
+        Object.entries(LISA_CLUSTERS).forEach(([key, cluster]) => {
+            items.push({ color: cluster.color, label: `${cluster.label} (${lisa.counts[key]})` });
+        });
+    });
+
+    if (comparison && visibleLayers.includes(comparison.layerName)) {
+        COMPARE_SIDES.forEach(side => {
+            const compared = comparison[side];
+            items.push({ heading: `${COMPARE_SIDE_LABELS[side]}: ${getThematicTitle(comparison.layerName, compared)}` });
+            compared.colors.forEach((color, i) => {
+                items.push({ color, label: getThematicClassLabel(i, comparison.layerName, compared) });
+            });
+        });
+    }
+
+    // Circles are scaled to the largest legend value, like the nested circles
+    visibleLayers.filter(name => symbolMaps[name]).forEach(name => {
+        const symbols = symbolMaps[name];
+        items.push({ heading: `${CONFIG.layers[name].name}: ${getAttributeDisplayName(symbols.attribute)}` });
+        if (symbols.mode === 'dots') {
+            items.push({
+                color: DOT_STYLE.fillColor,
+                border: DOT_STYLE.fillColor,
+                label: `1 ponto = ${formatAttributeValue(symbols.attribute, symbols.dotValue, name)}`,
+                shape: 'circle',
+                scale: 0.4
+            });
+            return;
+        }
+        const values = getSymbolLegendValues(symbols);
+        values.forEach(value => items.push({
+            color: SYMBOL_STYLE.fillColor,
+            border: SYMBOL_STYLE.fillColor,
+            label: formatAttributeValue(symbols.attribute, value, name),
+            shape: 'circle',
+            scale: Math.sqrt(value / values[0])
+        }));
+    });
+
+    const otherLayers = visibleLayers.filter(name => !isComparedLayer(name) &&
+        !isThematicMapShown(name) && !isBivariateMapShown(name) && !isLisaMapShown(name));
+    if (otherLayers.length > 0) {
+        items.push({ heading: 'Camadas' });
+        otherLayers.forEach(name => {
+            const style = getLayerStyle(name);
+            items.push({
+                color: style.fillColor,
+                border: style.color,
+                label: CONFIG.layers[name].name,
+                shape: isPointLayer(name) ? style.shape : null
+            });
+        });
+    }
+
+    return items;
+}
+
+function drawPrintLegend(ctx, layout, items) {
+    const { px } = layout;
+    const rowHeight = px(PRINT_LAYOUT.legendRowHeight);
+    const columnWidth = px(PRINT_LAYOUT.legendColumnWidth);
+    const availableWidth = layout.footer.width - px(PRINT_LAYOUT.scaleBlockWidth);
+    const rowsPerColumn = Math.max(1, Math.floor((layout.footer.height - px(6)) / rowHeight));
+    const swatch = px(4);
+
+    ctx.fillStyle = '#222222';
+    ctx.font = `600 ${px(3.8)}px ${PRINT_FONT}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Legenda', layout.footer.x, layout.footer.y);
+
+    items.forEach((item, index) => {
+        const column = Math.floor(index / rowsPerColumn);
+        const x = layout.footer.x + column * columnWidth;
+        if (x + columnWidth > layout.footer.x + availableWidth + px(1)) return;
+        const y = layout.footer.y + px(6) + (index % rowsPerColumn) * rowHeight;
+
+        ctx.textBaseline = 'middle';
+        if (item.heading) {
+            ctx.fillStyle = '#222222';
+            ctx.font = `600 ${px(3)}px ${PRINT_FONT}`;
+            ctx.fillText(fitPrintText(ctx, item.heading, columnWidth - px(2)), x, y + swatch / 2);
+            return;
+        }
+
+        ctx.fillStyle = item.color;
+        ctx.strokeStyle = item.border || '#333333';
+        ctx.lineWidth = px(0.25);
+        if (item.shape) {
+            ctx.beginPath();
+            tracePointShape(ctx, item.shape, x + swatch / 2, y + swatch / 2, swatch / 2.5 * (item.scale || 1));
+            ctx.fill();
+            ctx.stroke();
+        } else {
+            ctx.fillRect(x, y, swatch * 1.4, swatch);
+            ctx.strokeRect(x, y, swatch * 1.4, swatch);
+        }
+
+        ctx.fillStyle = '#333333';
+        ctx.font = `${px(3)}px ${PRINT_FONT}`;
+        ctx.fillText(fitPrintText(ctx, item.label, columnWidth - swatch * 2), x + swatch * 1.4 + px(2), y + swatch / 2);
+    });
+}
+
+function fitPrintText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+function drawPrintScaleBar(ctx, layout, view) {
+    const { px } = layout;
+    const metersPerPixel = 40075016.686 * Math.cos(view.center.lat * Math.PI / 180) / (256 * Math.pow(2, view.zoom));
+    const maxWidth = px(45);
+    const distance = niceNumber(maxWidth * metersPerPixel);
+    const barWidth = distance / metersPerPixel;
+    const segments = 4;
+    const x = layout.footer.x + layout.footer.width - px(PRINT_LAYOUT.scaleBlockWidth) + px(5);
+    const y = layout.footer.y + layout.footer.height - px(14);
+    const barHeight = px(1.8);
+
+    for (let i = 0; i < segments; i++) {
+        ctx.fillStyle = i % 2 === 0 ? '#222222' : '#ffffff';
+        ctx.fillRect(x + (barWidth / segments) * i, y, barWidth / segments, barHeight);
+    }
+    ctx.strokeStyle = '#222222';
+    ctx.lineWidth = px(0.25);
+    ctx.strokeRect(x, y, barWidth, barHeight);
+
+    const formatDistance = meters => meters >= 1000 ?
+        `${(meters / 1000).toLocaleString('pt-BR')} km` :
+        `${meters.toLocaleString('pt-BR')} m`;
+
+    ctx.fillStyle = '#222222';
+    ctx.font = `${px(2.6)}px ${PRINT_FONT}`;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText('0', x, y + barHeight + px(1));
+    ctx.textAlign = 'right';
+    ctx.fillText(formatDistance(distance), x + barWidth, y + barHeight + px(1));
+    ctx.textAlign = 'left';
+}
+
+function drawPrintNorthArrow(ctx, layout) {
+    const { px } = layout;
+    const size = px(12);
+    const x = layout.footer.x + layout.footer.width - px(12);
+    const y = layout.footer.y + px(2);
+
+    ctx.fillStyle = '#222222';
+    ctx.beginPath();
+    ctx.moveTo(x, y + px(4));
+    ctx.lineTo(x + size / 3, y + size + px(4));
+    ctx.lineTo(x, y + size * 0.75 + px(4));
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeStyle = '#222222';
+    ctx.lineWidth = px(0.3);
+    ctx.beginPath();
+    ctx.moveTo(x, y + px(4));
+    ctx.lineTo(x - size / 3, y + size + px(4));
+    ctx.lineTo(x, y + size * 0.75 + px(4));
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = '#222222';
+    ctx.font = `bold ${px(3.5)}px ${PRINT_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('N', x, y - px(1));
+    ctx.textAlign = 'left';
+}
+
+async function renderPrintCanvas(options) {
+    const layout = computePrintLayout(options.paper, options.orientation, options.dpi);
+    const view = computePrintView(layout);
+    const { px } = layout;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, layout.width, layout.height);
+
+    // Title and date
+    ctx.fillStyle = '#222222';
+    ctx.font = `bold ${px(6)}px ${PRINT_FONT}`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(fitPrintText(ctx, options.title, layout.map.width - px(40)), layout.map.x, px(PRINT_LAYOUT.margin));
+
+    ctx.font = `${px(3.2)}px ${PRINT_FONT}`;
+    ctx.fillStyle = '#555555';
+    if (options.subtitle) {
+        ctx.fillText(fitPrintText(ctx, options.subtitle, layout.map.width - px(40)), layout.map.x, px(PRINT_LAYOUT.margin + 8.5));
+    }
+    ctx.textAlign = 'right';
+    ctx.fillText(new Date().toLocaleDateString('pt-BR'), layout.map.x + layout.map.width, px(PRINT_LAYOUT.margin + 1.5));
+    ctx.textAlign = 'left';
+
+    // Map frame
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(layout.map.x, layout.map.y, layout.map.width, layout.map.height);
+    ctx.clip();
+    await drawPrintBasemap(ctx, layout, view);
+    const visibleLayers = drawPrintLayers(ctx, layout, view);
+    ctx.restore();
+
+    ctx.strokeStyle = '#222222';
+    ctx.lineWidth = px(0.3);
+    ctx.strokeRect(layout.map.x, layout.map.y, layout.map.width, layout.map.height);
+
+    // Legend, scale bar, north arrow and attribution
+    drawPrintLegend(ctx, layout, getPrintLegendItems(visibleLayers));
+    drawPrintScaleBar(ctx, layout, view);
+    drawPrintNorthArrow(ctx, layout);
+
+    const attribution = [
+        options.source,
+        `Mapa de fundo: ${CONFIG.basemaps[currentBasemap].attribution}`,
+        'Geoportal Natividade'
+    ].filter(Boolean).join(' · ');
+    ctx.fillStyle = '#666666';
+    ctx.font = `${px(2.5)}px ${PRINT_FONT}`;
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(fitPrintText(ctx, attribution, layout.footer.width), layout.footer.x, layout.height - px(PRINT_LAYOUT.margin) + px(4));
+
+    return canvas;
+}
+
+function getPrintOptions(dpiOverride) {
+    return {
+        title: document.getElementById('printTitleInput').value.trim() || 'Geoportal Natividade',
+        subtitle: THEMATIC_LAYERS.filter(name => thematicMaps[name]).map(name => getThematicTitle(name)).join(' · '),
+        source: document.getElementById('printSourceInput').value.trim(),
+        paper: document.getElementById('printPaperSelect').value,
+        orientation: document.getElementById('printOrientationSelect').value,
+        dpi: dpiOverride || parseInt(document.getElementById('printDpiSelect').value, 10)
+    };
+}
+
+async function updatePrintPreview() {
+    const preview = document.getElementById('printPreview');
+    const canvas = await renderPrintCanvas(getPrintOptions(40));
+    preview.innerHTML = '';
+    preview.appendChild(canvas);
+}
+
+async function exportPrint(format) {
+    const options = getPrintOptions();
+    const canvas = await renderPrintCanvas(options);
+    const filename = `mapa_natividade_${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'png') {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        downloadFile(blob, `${filename}.png`, 'image/png');
+        return;
+    }
+
+    if (!window.jspdf) {
+        throw new Error('A biblioteca de PDF não foi carregada. Verifique a conexão e tente novamente.');
+    }
+
+    const [shortSide, longSide] = PRINT_PAPER_SIZES[options.paper];
+    const pdf = new window.jspdf.jsPDF({
+        orientation: options.orientation,
+        unit: 'mm',
+        format: options.paper
+    });
+    const width = options.orientation === 'landscape' ? longSide : shortSide;
+    const height = options.orientation === 'landscape' ? shortSide : longSide;
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, width, height);
+    pdf.save(`${filename}.pdf`);
+}
+
+// ==================== Permalinks ====================
+// The map state is kept in the URL hash, e.g.
+// #map=13/-21.04190/-41.97280&base=satellite&layers=distritos,setores&theme=setores|v0001|jenks|5||YlOrRd
+// with one "theme" per thematic map: layer|attribute|method|classes or manual breaks|divide by|palette.
+// Discrete actions add a history entry; panning and zooming replace the current one.
+// Layers opened from local files are left out, since a link cannot carry the file.
+let isRestoringState = false;
+let openFeature = null;
+let permalinkTimer = null;
+let permalinkPush = false;
+
+function serializeMapState() {
+    const params = new URLSearchParams();
+    const center = map.getCenter();
+
+    params.set('map', `${map.getZoom()}/${center.lat.toFixed(5)}/${center.lng.toFixed(5)}`);
+    params.set('base', currentBasemap);
+    params.set('layers', Object.keys(CONFIG.layers)
+        .filter(name => !isUserLayer(name) && dataLayers[name] && map.hasLayer(dataLayers[name]))
+        .join(','));
+    // Attribute names may contain commas, so this list is separated by "|"
+    params.set('attrs', Array.from(selectedAttributes).join('|'));
+
+    const linkedLayers = THEMATIC_LAYERS.filter(name => !isUserLayer(name));
+
+    linkedLayers.filter(name => thematicMaps[name]).forEach(name => {
+        params.append('theme', serializeThemeParam(name, thematicMaps[name]));
+    });
+
+    linkedLayers.filter(name => bivariateMaps[name]).forEach(name => {
+        const { attribute, attributeY, palette } = bivariateMaps[name];
+        params.append('bivariate', [name, attribute, attributeY, palette].join('|'));
+    });
+
+    SECTOR_LAYERS.filter(name => lisaMaps[name]).forEach(name => {
+        const { attribute, normalizeBy, contiguity, permutations, alpha } = lisaMaps[name].settings;
+        params.append('lisa', [name, attribute, normalizeBy, contiguity, permutations, alpha].join('|'));
+    });
+
+    linkedLayers.filter(name => symbolMaps[name]).forEach(name => {
+        const { mode, attribute, dotValue, dotValueAuto, overlay } = symbolMaps[name];
+        params.append('symbols', [name, mode, attribute, dotValueAuto ? '' : dotValue, overlay ? 1 : 0].join('|'));
+    });
+
+    // Residence display, only when it differs from the default
+    if (isResidenciaVisible()) {
+        const species = Object.keys(CNEFE_SPECIES).filter(code => residenciaFilter.species.has(code));
+        const defaults = getDefaultResidenciaFilter();
+        if (residenciaMode !== 'cluster' || species.length < defaults.species.size || residenciaFilter.maxLevel !== defaults.maxLevel) {
+            params.set('residencias', [residenciaMode, species.join(','), residenciaFilter.maxLevel].join('|'));
+        }
+    }
+
+    // Map comparison, one "compare" per side in the "theme" format
+    if (comparison && !isUserLayer(comparison.layerName)) {
+        COMPARE_SIDES.forEach(side => {
+            params.append('compare', `${side}|${serializeThemeParam(comparison.layerName, comparison[side])}`);
+        });
+        params.set('swipe', Math.round(comparison.position * 100));
+    }
+
+    if (openFeature && !isUserLayer(openFeature.layerName)) {
+        params.set('feature', `${openFeature.layerName}:${openFeature.index}`);
+    }
+
+    return params.toString();
+}
+
+function serializeThemeParam(layerName, { attribute, settings }) {
+    const classes = settings.method === 'manual' ? settings.manualBreaks.join(',') : settings.classes;
+    return [layerName, attribute, settings.method, classes, settings.normalizeBy, settings.palette].join('|');
+}
+
+function parseMapState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('map')) return null;
+
+    const [zoom, lat, lng] = params.get('map').split('/').map(Number);
+    if ([zoom, lat, lng].some(isNaN)) return null;
+
+    const state = {
+        zoom,
+        center: [lat, lng],
+        basemap: CONFIG.basemaps[params.get('base')] ? params.get('base') : 'streets',
+        layers: (params.get('layers') || '').split(',').filter(name => CONFIG.layers[name]),
+        attributes: params.has('attrs') ? params.get('attrs').split('|').filter(Boolean) : null,
+        themes: params.getAll('theme').map(parseThemeParam).filter(Boolean),
+        bivariates: params.getAll('bivariate').map(parseBivariateParam).filter(Boolean),
+        lisas: params.getAll('lisa').map(parseLisaParam).filter(Boolean),
+        symbols: params.getAll('symbols').map(parseSymbolParam).filter(Boolean),
+        residencias: parseResidenciasParam(params.get('residencias')),
+        comparison: parseCompareParams(params.getAll('compare'), params.get('swipe')),
+        feature: null
+    };
+
+    const feature = (params.get('feature') || '').match(/^(\w+):(\d+)$/);
+    if (feature && CONFIG.layers[feature[1]]) {
+        state.feature = { layerName: feature[1], index: parseInt(feature[2], 10) };
+    }
+
+    return state;
+}
+
+function parseThemeParam(value) {
+    const [layerName, attribute, method, classes, normalizeBy, palette] = value.split('|');
+    if (!THEMATIC_LAYERS.includes(layerName) || !attribute) return null;
+
+    const settings = getDefaultThematicSettings(layerName);
+    if (CLASSIFICATION_METHODS[method]) settings.method = method;
+    if (settings.method === 'manual') {
+        settings.manualBreaks = (classes || '').split(',').map(Number).filter(n => !isNaN(n));
+    } else {
+        const count = parseInt(classes, 10);
+        if (count >= 3 && count <= 9) settings.classes = count;
+    }
+    if (NORMALIZATION_OPTIONS[normalizeBy]) settings.normalizeBy = normalizeBy;
+    if (THEMATIC_PALETTES[palette]) settings.palette = palette;
+
+    return { layerName, attribute, settings };
+}
+
+function parseBivariateParam(value) {
+    const [layerName, attribute, attributeY, palette] = value.split('|');
+    if (!THEMATIC_LAYERS.includes(layerName) || !attribute || !attributeY) return null;
+
+    return { layerName, attribute, attributeY, palette };
+}
+
+// lisa=layer|attribute|divide by|contiguity|permutations|significance
+function parseLisaParam(value) {
+    const [layerName, attribute, normalizeBy, contiguity, permutations, alpha] = value.split('|');
+    if (!SECTOR_LAYERS.includes(layerName) || !attribute) return null;
+
+    return {
+        layerName,
+        attribute,
+        normalizeBy: NORMALIZATION_OPTIONS[normalizeBy] ? normalizeBy : '',
+        contiguity: CONTIGUITY_TYPES[contiguity] ? contiguity : 'queen',
+        permutations: LISA_PERMUTATIONS.includes(Number(permutations)) ? Number(permutations) : 999,
+        alpha: LISA_SIGNIFICANCE_LEVELS.includes(Number(alpha)) ? Number(alpha) : 0.05
+    };
+}
+
+function parseSymbolParam(value) {
+    const [layerName, mode, attribute, dotValue, overlay] = value.split('|');
+    if (!THEMATIC_LAYERS.includes(layerName) || !isSymbolMode(mode) || !attribute) return null;
+
+    return {
+        layerName,
+        mode,
+        attribute,
+        options: { dotValue: parseFloat(dotValue), overlay: overlay !== '0' }
+    };
+}
+
+// compare=left|theme and compare=right|theme over the same layer, with the
+// divider at swipe percent of the map width
+function parseCompareParams(values, swipe) {
+    const sides = {};
+    values.forEach(value => {
+        const [side, ...theme] = value.split('|');
+        if (COMPARE_SIDES.includes(side)) {
+            sides[side] = parseThemeParam(theme.join('|'));
+        }
+    });
+
+    const { left, right } = sides;
+    if (!left || !right || left.layerName !== right.layerName) return null;
+
+    const position = parseFloat(swipe);
+    return {
+        layerName: left.layerName,
+        sides,
+        position: position >= 0 && position <= 100 ? position / 100 : 0.5
+    };
+}
+
+// residencias=mode|species codes|max geocoding level
+function parseResidenciasParam(value) {
+    const filter = getDefaultResidenciaFilter();
+    if (!value) return { mode: 'cluster', filter };
+
+    const [mode, species, maxLevel] = value.split('|');
+    filter.species = new Set((species || '').split(',').filter(code => CNEFE_SPECIES[code]));
+    const level = parseInt(maxLevel, 10);
+    if (CNEFE_GEOCODING_LEVELS[level]) filter.maxLevel = level;
+
+    return { mode: RESIDENCIA_MODES[mode] ? mode : 'cluster', filter };
+}
+
+// Coalesces the updates of one user action into a single history entry
+function updatePermalink(push = false) {
+    if (isRestoringState || !map) return;
+
+    permalinkPush = permalinkPush || push;
+    clearTimeout(permalinkTimer);
+    permalinkTimer = setTimeout(() => {
+        const hash = `#${serializeMapState()}`;
+        if (hash !== window.location.hash) {
+            if (permalinkPush) {
+                history.pushState(null, '', hash);
+            } else {
+                history.replaceState(null, '', hash);
+            }
+        }
+        permalinkPush = false;
+    }, 100);
+}
+
+async function restoreMapState(state) {
+    isRestoringState = true;
+
+    try {
+        if (state.basemap !== currentBasemap) {
+            addBasemap(state.basemap);
+        }
+
+        for (const layerName of Object.keys(CONFIG.layers)) {
+            const visible = state.layers.includes(layerName);
+            const isVisible = Boolean(dataLayers[layerName] && map.hasLayer(dataLayers[layerName]));
+            if (visible !== isVisible) {
+                await setLayerVisibility(layerName, visible);
+            }
+        }
+
+        if (state.attributes) {
+            selectedAttributes = new Set(state.attributes);
+            document.querySelectorAll('#attributesList input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = selectedAttributes.has(checkbox.value);
+            });
+            if (isAttributeGridOpen()) {
+                renderGridColumnsMenu();
+                refreshAttributeGrid();
+            }
+        }
+
+        await restoreThematicState(state.themes, state.bivariates, state.symbols);
+        await restoreLisaState(state.lisas);
+
+        if (state.comparison) {
+            const { layerName, sides, position } = state.comparison;
+            await startComparison(layerName, sides, position);
+        } else {
+            stopComparison();
+        }
+
+        if (dataLayers.residencia) {
+            residenciaMode = state.residencias.mode;
+            document.getElementById('residenciaModeSelect').value = residenciaMode;
+            setResidenciaFilter(state.residencias.filter);
+        }
+
+        map.setView(state.center, state.zoom);
+
+        restoreOpenFeature(state.feature);
+    } catch (error) {
+        console.error('Error restoring map state:', error);
+    } finally {
+        isRestoringState = false;
+    }
+}
+
+async function restoreThematicState(themes, bivariates, symbols) {
+    const restored = themes.map(theme => theme.layerName);
+    Object.keys(thematicMaps)
+        .filter(name => !restored.includes(name))
+        .forEach(name => resetThematicMapping(name));
+    Object.keys(bivariateMaps)
+        .filter(name => !bivariates.some(bivariate => bivariate.layerName === name))
+        .forEach(name => resetBivariateMapping(name));
+    Object.keys(symbolMaps)
+        .filter(name => !symbols.some(symbol => symbol.layerName === name))
+        .forEach(name => resetSymbolMapping(name));
+
+    for (const theme of themes) {
+        await loadLayer(theme.layerName);
+        await ensureComputedAttribute(theme.layerName, theme.attribute);
+        thematicSettings = { ...theme.settings };
+        applyThematicMapping(theme.attribute, theme.layerName);
+    }
+
+    for (const bivariate of bivariates) {
+        await loadLayer(bivariate.layerName);
+        await ensureComputedAttribute(bivariate.layerName, bivariate.attribute);
+        await ensureComputedAttribute(bivariate.layerName, bivariate.attributeY);
+        applyBivariateMapping(bivariate.attribute, bivariate.attributeY, bivariate.palette, bivariate.layerName);
+    }
+
+    for (const symbol of symbols) {
+        await loadLayer(symbol.layerName);
+        await ensureComputedAttribute(symbol.layerName, symbol.attribute);
+        applySymbolMapping(symbol.attribute, symbol.mode, symbol.options, symbol.layerName);
+    }
+
+    if (restored.length === 0 && bivariates.length > 0) {
+        document.getElementById('renderModeSelect').value = 'bivariate';
+    }
+    const mapped = [...restored, ...bivariates.map(bivariate => bivariate.layerName)];
+    selectThematicLayer(mapped.length > 0 ? mapped[0] : thematicLayerName);
+}
+
+async function restoreLisaState(lisas) {
+    Object.keys(lisaMaps)
+        .filter(name => !lisas.some(lisa => lisa.layerName === name))
+        .forEach(name => resetLisaMap(name));
+
+    for (const settings of lisas) {
+        try {
+            await runSpatialAutocorrelation(settings);
+        } catch (error) {
+            console.warn('Could not restore LISA map:', error);
+        }
+    }
+
+    const shown = lisas.find(lisa => lisaMaps[lisa.layerName]);
+    if (shown) {
+        syncSpatialStatsPanel(shown);
+    }
+}
+
+function restoreOpenFeature(feature) {
+    map.closePopup();
+    openFeature = null;
+    if (!feature || !dataLayers[feature.layerName]) return;
+
+    const layer = dataLayers[feature.layerName].getLayers()[feature.index];
+    if (!layer || !isFeatureShown(feature.layerName, layer)) return;
+
+    const latlng = layer.getBounds ? layer.getBounds().getCenter() : layer.getLatLng();
+    showFeatureInfo({ target: layer, latlng });
+}
+
+// Residence points inside a cluster or a heatmap are not on the map
+// themselves, but still count as shown when they pass the filters
+function isFeatureShown(layerName, layer) {
+    if (layerName === 'residencia') {
+        return isResidenciaVisible() && passesResidenciaFilter(layer.feature.properties);
+    }
+    return map.hasLayer(layer);
+}
+
+// Remembers the feature whose popup is open so it can go into the URL
+function setOpenFeature(layer, layerName, popup) {
+    const index = dataLayers[layerName] ? dataLayers[layerName].getLayers().indexOf(layer) : -1;
+    openFeature = index === -1 ? null : { layerName, index, popup };
+    updatePermalink(true);
+}
+
+// ==================== Search ====================
+// Header search over the `search` fields of CONFIG.layers (sector codes,
+// district and bairro names) and over coordinates typed as decimal degrees,
+// degrees-minutes-seconds or UTM. Runs on the GeoJSON already in the
+// browser, loading the searchable layers on first use.
+const SEARCH_MAX_RESULTS = 8;
+
+// Projected coordinates without a zone are read as SIRGAS 2000 / UTM 23S
+const SEARCH_UTM_ZONES = {
+    '23': 'EPSG:31983',
+    '24': 'EPSG:31984'
+};
+
+let searchResults = [];
+let searchActiveIndex = -1;
+let searchMarker = null;
+let searchLayersLoading = null;
+// Increases on every keystroke, so late answers to older texts are dropped
+let searchRequestId = 0;
+
+// Shared by every keystroke until the layers are in
+function loadSearchLayers() {
+    if (!searchLayersLoading) {
+        searchLayersLoading = (async () => {
+            for (const [layerName, config] of Object.entries(CONFIG.layers)) {
+                if (config.search) {
+                    await loadLayer(layerName);
+                }
+            }
+        })().catch(error => {
+            searchLayersLoading = null;
+            throw error;
+        });
+    }
+    return searchLayersLoading;
+}
+
+// Features whose search fields contain the text, those starting with it first
+function searchFeatures(text) {
+    const query = normalizeSearchText(text);
+    if (!query) return [];
+
+    const matches = [];
+    for (const [layerName, config] of Object.entries(CONFIG.layers)) {
+        if (!config.search || !dataLayers[layerName]) continue;
+
+        dataLayers[layerName].eachLayer(layer => {
+            const props = layer.feature.properties;
+            for (const field of config.search) {
+                const value = props[field];
+                if (value === null || value === undefined || value === '') continue;
+
+                const normalized = normalizeSearchText(String(value));
+                const position = normalized.indexOf(query);
+                if (position !== -1) {
+                    matches.push({ layerName, layer, field, value: String(value), rank: position === 0 ? 0 : 1 });
+                    break;
+                }
+            }
+        });
+    }
+
+    return matches
+        .sort((a, b) => a.rank - b.rank || a.value.localeCompare(b.value, 'pt-BR', { numeric: true }))
+        .slice(0, SEARCH_MAX_RESULTS)
+        .map(match => ({
+            type: 'feature',
+            layerName: match.layerName,
+            layer: match.layer,
+            label: getSearchResultLabel(match),
+            detail: `${CONFIG.layers[match.layerName].name} · ${getAttributeLabel(match.field, match.layerName)}`
+        }));
+}
+
+function getSearchResultLabel({ layer, field, value }) {
+    const props = layer.feature.properties;
+    if (field === 'ID_SETOR' && props.CD_SETOR) return `${value} (${props.CD_SETOR})`;
+    if (field === 'CD_SETOR' && props.ID_SETOR) return `${value} (${props.ID_SETOR})`;
+    return value;
+}
+
+// Returns { lat, lng, system } for coordinates in any of the accepted
+// notations, or null
+function parseCoordinateQuery(text) {
+    return parseDMSCoordinates(text) || parseUTMCoordinates(text) || parseDecimalCoordinates(text);
+}
+
+function parseSearchNumber(text) {
+    return parseFloat(text.replace(',', '.'));
+}
+
+// "-21.0419, -41.9728", "-21,0419; -41,9728" or "-21.0419 -41.9728"; in
+// longitude-first order when the first value cannot be a latitude
+function parseDecimalCoordinates(text) {
+    const match = text.trim().match(/^(-?\d{1,3}(?:[.,]\d+)?)°?(?:\s*[;,]\s*|\s+)(-?\d{1,3}(?:[.,]\d+)?)°?$/);
+    if (!match) return null;
+
+    let lat = parseSearchNumber(match[1]);
+    let lng = parseSearchNumber(match[2]);
+    if (Math.abs(lat) > 90 && Math.abs(lng) <= 90) {
+        [lat, lng] = [lng, lat];
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+    return { lat, lng, system: 'Graus decimais' };
+}
+
+// 21°02'31"S 41°58'22"W; O (oeste) and L (leste) are accepted for W and E
+function parseDMSCoordinates(text) {
+    const pattern = /(\d{1,3})\s*[°º:\s]\s*(\d{1,2})\s*['′:\s]\s*(?:(\d{1,2}(?:[.,]\d+)?)\s*(?:["″]|'')?)?\s*([NSEWLO])/gi;
+    const parts = Array.from(text.toUpperCase().matchAll(pattern));
+    if (parts.length !== 2) return null;
+
+    const coordinates = {};
+    for (const [, degrees, minutes, seconds, hemisphere] of parts) {
+        const value = parseInt(degrees, 10) + parseInt(minutes, 10) / 60 + (seconds ? parseSearchNumber(seconds) : 0) / 3600;
+        const axis = 'NS'.includes(hemisphere) ? 'lat' : 'lng';
+        coordinates[axis] = 'SWO'.includes(hemisphere) ? -value : value;
+    }
+    if (coordinates.lat === undefined || coordinates.lng === undefined) return null;
+    if (Math.abs(coordinates.lat) > 90 || Math.abs(coordinates.lng) > 180) return null;
+
+    return { ...coordinates, system: 'Graus, minutos e segundos' };
+}
+
+// "210000 7670000", "E 210000 N 7670000" or "24S 210000 7670000"; the
+// northing may come first when labelled or recognisable by its size
+function parseUTMCoordinates(text) {
+    const match = text.trim().toUpperCase().match(/^(?:(2[34])\s*[A-Z]?\s+)?([EN])?\s*(\d{6,7}(?:[.,]\d+)?)\s*([EN])?\s*[;,]?\s*([EN])?\s*(\d{6,7}(?:[.,]\d+)?)\s*([EN])?$/);
+    if (!match) return null;
+
+    const [, zone, label1a, value1, label1b, label2a, value2, label2b] = match;
+    let easting = parseSearchNumber(value1);
+    let northing = parseSearchNumber(value2);
+    const firstLabel = label1a || label1b;
+    const secondLabel = label2a || label2b;
+    if (firstLabel === 'N' || secondLabel === 'E' || (!firstLabel && !secondLabel && easting > northing)) {
+        [easting, northing] = [northing, easting];
+    }
+    if (easting < 100000 || easting > 900000 || northing < 1000000 || northing > 10000000) return null;
+
+    const crs = SEARCH_UTM_ZONES[zone || '23'];
+    const [lng, lat] = proj4(crs, 'EPSG:4326', [easting, northing]);
+    return { lat, lng, system: CRS_DEFINITIONS[crs].name };
+}
+
+async function updateSearchResults(text) {
+    const requestId = ++searchRequestId;
+    const coordinates = parseCoordinateQuery(text);
+    let results;
+    if (coordinates) {
+        results = [{
+            type: 'coordinates',
+            ...coordinates,
+            label: formatSearchCoordinates(coordinates),
+            detail: coordinates.system
+        }];
+    } else {
+        await loadSearchLayers();
+        results = searchFeatures(text);
+    }
+    if (requestId !== searchRequestId) return;
+
+    searchResults = results;
+    searchActiveIndex = searchResults.length > 0 ? 0 : -1;
+    renderSearchResults(text);
+}
+
+function formatSearchCoordinates({ lat, lng }) {
+    const format = value => value.toLocaleString('pt-BR', { minimumFractionDigits: 5, maximumFractionDigits: 5 });
+    return `${format(lat)}, ${format(lng)}`;
+}
+
+function renderSearchResults(text) {
+    const list = document.getElementById('searchResults');
+    list.innerHTML = '';
+
+    if (!text.trim()) {
+        list.classList.remove('active');
+        return;
+    }
+
+    if (searchResults.length === 0) {
+        list.innerHTML = '<div class="search-empty">Nenhum resultado encontrado</div>';
+    }
+
+    searchResults.forEach((result, index) => {
+        const item = document.createElement('div');
+        item.className = 'search-result' + (index === searchActiveIndex ? ' active' : '');
+        item.innerHTML = `
+            <span class="search-result-label">${result.type === 'coordinates' ? '📍 ' : ''}${escapeHtml(result.label)}</span>
+            <span class="search-result-detail">${escapeHtml(result.detail)}</span>
+        `;
+        // mousedown runs before the input loses focus and closes the list
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            selectSearchResult(result);
+        });
+        list.appendChild(item);
+    });
+
+    list.classList.add('active');
+}
+
+function moveSearchSelection(step) {
+    if (searchResults.length === 0) return;
+    searchActiveIndex = (searchActiveIndex + step + searchResults.length) % searchResults.length;
+    document.querySelectorAll('#searchResults .search-result').forEach((item, index) => {
+        item.classList.toggle('active', index === searchActiveIndex);
+    });
+}
+
+function closeSearchResults() {
+    document.getElementById('searchResults').classList.remove('active');
+}
+
+async function selectSearchResult(result) {
+    closeSearchResults();
+    document.getElementById('searchInput').value = result.label;
+
+    if (result.type === 'coordinates') {
+        showSearchCoordinates(result);
+    } else {
+        await focusFeature(result.layerName, result.layer);
+    }
+}
+
+// Marks the point with the sector that contains it, when there is one
+function showSearchCoordinates({ lat, lng, system }) {
+    if (searchMarker) {
+        map.removeLayer(searchMarker);
+    }
+
+    let content = `<div class="popup-content"><h3>${formatSearchCoordinates({ lat, lng })}</h3><p>${system}</p>`;
+    const sector = dataLayers.setores && dataLayers.setores.getLayers().find(layer =>
+        getPolygons(layer.feature.geometry).some(polygon => pointInPolygon([lng, lat], polygon))
+    );
+    if (sector) {
+        content += `<p><strong>Setor:</strong> ${escapeHtml(sector.feature.properties.CD_SETOR)}</p>`;
+    }
+    content += '</div>';
+
+    searchMarker = L.marker([lat, lng]).addTo(map).bindPopup(content);
+    map.setView([lat, lng], Math.max(map.getZoom(), 15));
+    searchMarker.openPopup();
+}
+
+// ==================== Event Listeners ====================
+function setupEventListeners() {
+    // Basemap selection
+    document.querySelectorAll('.basemap-option').forEach(option => {
+        option.addEventListener('click', () => {
+            const basemap = option.dataset.basemap;
+            addBasemap(basemap);
+            updatePermalink(true);
+        });
+    });
+
+    // Layer toggles, rendered from the catalog, and the settings of their
+    // style panels
+    const layersList = document.getElementById('layersList');
+    layersList.addEventListener('change', async (e) => {
+        if (e.target.dataset.style) {
+            updateLayerStyle(e.target.closest('.layer-item').dataset.layer, e.target.dataset.style, e.target.value);
+            return;
+        }
+        const layerName = e.target.id.replace('layer-', '');
+        await setLayerVisibility(layerName, e.target.checked);
+        updatePermalink(true);
+    });
+
+    // Style panel buttons; layers opened from local files have a remove button
+    layersList.addEventListener('click', (e) => {
+        const item = e.target.closest('.layer-item');
+        if (e.target.closest('.layer-style-toggle')) {
+            toggleLayerStylePanel(item);
+        } else if (e.target.closest('.layer-style-reset')) {
+            resetLayerStyle(item.dataset.layer);
+        } else if (e.target.closest('.layer-remove')) {
+            removeUserLayer(item.dataset.layer);
+        }
+    });
+
+    // Draw order, by dragging the layers in the list
+    layersList.addEventListener('dragstart', handleLayerDragStart);
+    layersList.addEventListener('dragover', handleLayerDragOver);
+    layersList.addEventListener('drop', (e) => e.preventDefault());
+    layersList.addEventListener('dragend', handleLayerDragEnd);
+
+    // Style files
+    const layerStyleFileInput = document.getElementById('layerStyleFileInput');
+    document.getElementById('exportLayerStylesBtn').addEventListener('click', exportLayerStyles);
+    document.getElementById('importLayerStylesBtn').addEventListener('click', () => layerStyleFileInput.click());
+    layerStyleFileInput.addEventListener('change', async () => {
+        if (layerStyleFileInput.files.length > 0) {
+            await importLayerStyles(layerStyleFileInput.files[0]);
+        }
+        layerStyleFileInput.value = ''; // Lets the same file be imported again
+    });
+
+    // Local files, picked in the file dialog or dropped on the drop zone
+    populateUserFileCrsOptions();
+
+    const userFileInput = document.getElementById('userFileInput');
+    const userFileDropZone = document.getElementById('userFileDropZone');
+    userFileInput.addEventListener('change', async () => {
+        await openUserFiles(Array.from(userFileInput.files));
+        userFileInput.value = ''; // Lets the same file be opened again
+    });
+
+    userFileDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        userFileDropZone.classList.add('dragover');
+    });
+
+    userFileDropZone.addEventListener('dragleave', () => {
+        userFileDropZone.classList.remove('dragover');
+    });
+
+    userFileDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        userFileDropZone.classList.remove('dragover');
+        openUserFiles(Array.from(e.dataTransfer.files));
+    });
+
+    // Attribute selector checkboxes, rendered when a sector layer loads
+    document.getElementById('attributesList').addEventListener('change', (e) => {
+        const attribute = e.target.value;
+
+        toggleSelectedAttribute(attribute, e.target.checked);
+
+        console.log('Atributos selecionados:', Array.from(selectedAttributes));
+    });
+
+    // Residence points: display mode, species and geocoding precision
+    document.getElementById('residenciaModeSelect').addEventListener('change', (e) => {
+        setResidenciaMode(e.target.value);
+        updatePermalink(true);
+    });
+
+    document.getElementById('residenciaSpeciesList').addEventListener('change', (e) => {
+        const species = new Set(residenciaFilter.species);
+        if (e.target.checked) {
+            species.add(e.target.value);
+        } else {
+            species.delete(e.target.value);
+        }
+        setResidenciaFilter({ ...residenciaFilter, species });
+        updatePermalink(true);
+    });
+
+    document.getElementById('residenciaPrecisionSelect').addEventListener('change', (e) => {
+        setResidenciaFilter({ ...residenciaFilter, maxLevel: parseInt(e.target.value, 10) });
+        updatePermalink(true);
+    });
+
+    // Map controls
+    document.getElementById('zoomInBtn').addEventListener('click', () => {
+        map.zoomIn();
+    });
+
+    document.getElementById('zoomOutBtn').addEventListener('click', () => {
+        map.zoomOut();
+    });
+
+    document.getElementById('homeBtn').addEventListener('click', () => {
+        map.setView(CONFIG.center, CONFIG.zoom);
+    });
+
+    // Attribute grid (its layer options come with the catalog)
+    document.getElementById('attributeGridBtn').addEventListener('click', () => {
+        if (isAttributeGridOpen()) {
+            closeAttributeGrid();
+        } else {
+            const visibleLayer = Object.keys(CONFIG.layers).find(name =>
+                dataLayers[name] && map.hasLayer(dataLayers[name]) && name !== 'distritos'
+            );
+            openAttributeGrid(visibleLayer || 'setores');
+        }
+    });
+
+    document.getElementById('gridLayerSelect').addEventListener('change', (e) => {
+        openAttributeGrid(e.target.value);
+    });
+
+    document.getElementById('gridSearchInput').addEventListener('input', (e) => {
+        attributeGrid.search = e.target.value;
+        refreshAttributeGrid();
+    });
+
+    document.getElementById('gridColumnsBtn').addEventListener('click', () => {
+        document.getElementById('gridColumnsMenu').classList.toggle('active');
+    });
+
+    document.getElementById('closeGridBtn').addEventListener('click', closeAttributeGrid);
+
+    // Drawing and measurement tools
+    const drawToolsPanel = document.getElementById('drawToolsPanel');
+    document.getElementById('drawToolsBtn').addEventListener('click', () => {
+        closeDashboard();
+        drawToolsPanel.classList.toggle('active');
+        if (!drawToolsPanel.classList.contains('active')) {
+            cancelDrawing();
+        }
+    });
+
+    document.getElementById('closeDrawToolsBtn').addEventListener('click', () => {
+        drawToolsPanel.classList.remove('active');
+        cancelDrawing();
+    });
+
+    // Indicator dashboard
+    document.getElementById('dashboardBtn').addEventListener('click', () => {
+        if (isDashboardOpen()) {
+            closeDashboard();
+        } else {
+            drawToolsPanel.classList.remove('active');
+            cancelDrawing();
+            openDashboard();
+        }
+    });
+
+    document.getElementById('closeDashboardBtn').addEventListener('click', closeDashboard);
+
+    document.querySelectorAll('.draw-tool-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            if (drawState && drawState.tool === button.dataset.tool) {
+                cancelDrawing();
+            } else {
+                startDrawTool(button.dataset.tool);
+            }
+        });
+    });
+
+    document.getElementById('clearDrawingsBtn').addEventListener('click', clearDrawnShapes);
+
+    document.getElementById('exportDrawingsBtn').addEventListener('click', async () => {
+        try {
+            await exportData('drawings', 'geojson');
+        } catch (error) {
+            console.error('Error exporting drawings:', error);
+            alert(`Erro ao exportar: ${error.message}`);
+        }
+    });
+
+    // Header search with autocomplete
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('focus', () => {
+        loadSearchLayers().catch(error => console.error('Error loading search layers:', error));
+    });
+
+    searchInput.addEventListener('input', () => {
+        updateSearchResults(searchInput.value).catch(error => {
+            console.error('Error searching:', error);
+        });
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter' && searchActiveIndex !== -1) {
+            e.preventDefault();
+            selectSearchResult(searchResults[searchActiveIndex]);
+        } else if (e.key === 'Escape') {
+            closeSearchResults();
+        }
+    });
+
+    searchInput.addEventListener('blur', closeSearchResults);
+
+    // Spatial join of the residence points
+    document.getElementById('runSpatialJoinBtn').addEventListener('click', async () => {
+        const layerName = document.getElementById('spatialJoinLayerSelect').value;
+        const threshold = parseFloat(document.getElementById('divergenceThresholdInput').value);
+        try {
+            await runSpatialJoin(layerName, isNaN(threshold) ? DEFAULT_DIVERGENCE_THRESHOLD : threshold);
+            renderSpatialJoinResults(layerName);
+        } catch (error) {
+            console.error('Error running spatial join:', error);
+            alert(`Erro ao contar residências: ${error.message}`);
+        }
+    });
+
+    document.getElementById('spatialJoinLayerSelect').addEventListener('change', (e) => {
+        renderSpatialJoinResults(e.target.value);
+    });
+
+    // Vulnerability index
+    renderVulnerabilityIndicators();
+
+    document.getElementById('runVulnerabilityBtn').addEventListener('click', async () => {
+        vulnerabilitySettings = readVulnerabilitySettings();
+        saveVulnerabilitySettings();
+        try {
+            await computeVulnerabilityIndex(vulnerabilitySettings);
+            renderVulnerabilityRanking(vulnerabilitySettings.layerName);
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    document.getElementById('vulnerabilityLayerSelect').addEventListener('change', (e) => {
+        renderVulnerabilityRanking(e.target.value);
+    });
+
+    document.getElementById('mapVulnerabilityBtn').addEventListener('click', async () => {
+        const layerName = document.getElementById('vulnerabilityLayerSelect').value;
+        await setLayerVisibility(layerName, true);
+        selectThematicLayer(layerName);
+        document.getElementById('renderModeSelect').value = 'choropleth';
+        document.getElementById('thematicAttributeSelect').value = VULNERABILITY_INDEX_FIELD;
+        thematicSettings.normalizeBy = '';
+        syncClassificationControls();
+        applyThematicMapping(VULNERABILITY_INDEX_FIELD, layerName);
+        syncThematicPanel();
+    });
+
+    // Spatial statistics
+    populateSpatialStatsControls();
+
+    document.getElementById('spatialStatsLayerSelect').addEventListener('change', async (e) => {
+        await loadLayer(e.target.value);
+        populateSpatialStatsAttributeOptions();
+        renderSpatialStatsResults(e.target.value);
+    });
+
+    document.getElementById('runSpatialStatsBtn').addEventListener('click', async () => {
+        const settings = readSpatialStatsSettings();
+        try {
+            await setLayerVisibility(settings.layerName, true);
+            await runSpatialAutocorrelation(settings);
+            renderSpatialStatsResults(settings.layerName);
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    document.getElementById('clearLisaBtn').addEventListener('click', () => {
+        const layerName = document.getElementById('spatialStatsLayerSelect').value;
+        resetLisaMap(layerName);
+        renderSpatialStatsResults(layerName);
+    });
+
+    // Map comparison
+    populateCompareControls();
+
+    document.getElementById('compareLayerSelect').addEventListener('change', async (e) => {
+        await loadLayer(e.target.value);
+        populateCompareAttributeOptions();
+    });
+
+    document.getElementById('startCompareBtn').addEventListener('click', () => {
+        const position = comparison ? comparison.position : 0.5;
+        startComparison(document.getElementById('compareLayerSelect').value, getCompareSides(), position);
+    });
+
+    document.getElementById('stopCompareBtn').addEventListener('click', stopComparison);
+
+    document.getElementById('compareSlider').addEventListener('input', (e) => {
+        setComparePosition(parseFloat(e.target.value) / 100);
+    });
+
+    // Export (its layer options come with the catalog)
+    document.querySelectorAll('.btn-export').forEach(button => {
+        button.addEventListener('click', async () => {
+            const source = document.getElementById('exportSourceSelect').value;
+            try {
+                await exportData(source, button.dataset.format);
+            } catch (error) {
+                console.error('Error exporting data:', error);
+                alert(`Erro ao exportar: ${error.message}`);
+            }
+        });
+    });
+
+    document.getElementById('attributeGridContainer').addEventListener('scroll', (e) => {
+        const container = e.target;
+        if (container.scrollTop + container.clientHeight >= container.scrollHeight - 100 &&
+            attributeGrid.renderedCount < attributeGrid.filteredRows.length) {
+            renderMoreGridRows();
+        }
+    });
+
+    // Info modal
+    const infoBtn = document.getElementById('infoBtn');
+    const infoModal = document.getElementById('infoModal');
+    const closeModal = document.getElementById('closeModal');
+
+    infoBtn.addEventListener('click', () => {
+        infoModal.classList.add('active');
+    });
+
+    closeModal.addEventListener('click', () => {
+        infoModal.classList.remove('active');
+    });
+
+    infoModal.addEventListener('click', (e) => {
+        if (e.target === infoModal) {
+            infoModal.classList.remove('active');
+        }
+    });
+
+    // Print composer
+    const printModal = document.getElementById('printModal');
+    let printPreviewTimer = null;
+    const schedulePrintPreview = () => {
+        clearTimeout(printPreviewTimer);
+        printPreviewTimer = setTimeout(() => {
+            updatePrintPreview().catch(error => console.error('Error rendering print preview:', error));
+        }, 300);
+    };
+
+    document.getElementById('printBtn').addEventListener('click', () => {
+        printModal.classList.add('active');
+        schedulePrintPreview();
+    });
+
+    document.getElementById('closePrintModal').addEventListener('click', () => {
+        printModal.classList.remove('active');
+    });
+
+    printModal.addEventListener('click', (e) => {
+        if (e.target === printModal) {
+            printModal.classList.remove('active');
+        }
+    });
+
+    ['printTitleInput', 'printSourceInput', 'printPaperSelect', 'printOrientationSelect'].forEach(id => {
+        document.getElementById(id).addEventListener('change', schedulePrintPreview);
+    });
+
+    document.querySelectorAll('.btn-print').forEach(button => {
+        button.addEventListener('click', async () => {
+            showLoading();
+            try {
+                await exportPrint(button.dataset.format);
+            } catch (error) {
+                console.error('Error generating print:', error);
+                alert(`Erro ao gerar o mapa: ${error.message}`);
+            } finally {
+                hideLoading();
+            }
+        });
+    });
+
+    // Offline mode: basemap download, stored layers and installation
+    ['offlineMinZoomSelect', 'offlineMaxZoomSelect'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateOfflineTileEstimate);
+    });
+
+    document.getElementById('downloadTilesBtn').addEventListener('click', async () => {
+        const { minZoom, maxZoom } = readOfflineZoomRange();
+        try {
+            const download = await downloadBasemapTiles(currentBasemap, minZoom, maxZoom);
+            if (download.failed > 0) {
+                alert(`${download.failed.toLocaleString('pt-BR')} de ${download.total.toLocaleString('pt-BR')} blocos não puderam ser baixados. Tente de novo para completar o mapa base.`);
+            }
+        } catch (error) {
+            console.error('Error downloading basemap tiles:', error);
+            alert(`Erro ao baixar o mapa base: ${error.message}`);
+        }
+        renderTileDownloadProgress();
+        updateOfflineTileEstimate();
+        updateOfflineCacheInfo();
+    });
+
+    document.getElementById('cancelTilesBtn').addEventListener('click', () => {
+        if (tileDownload) {
+            tileDownload.cancelled = true;
+        }
+    });
+
+    document.getElementById('refreshOfflineDataBtn').addEventListener('click', async () => {
+        showLoading();
+        try {
+            await refreshOfflineData();
+        } catch (error) {
+            console.error('Error refreshing offline data:', error);
+            alert(error.message);
+        } finally {
+            hideLoading();
+        }
+        updateOfflineCacheInfo();
+    });
+
+    document.getElementById('clearTilesBtn').addEventListener('click', async () => {
+        if (!confirm('Apagar os blocos do mapa base salvos no aparelho?')) return;
+        await clearOfflineTiles();
+        updateOfflineCacheInfo();
+    });
+
+    document.getElementById('installAppBtn').addEventListener('click', async () => {
+        if (!installPrompt) return;
+        installPrompt.prompt();
+        await installPrompt.userChoice;
+        installPrompt = null;
+        document.getElementById('installAppBtn').style.display = 'none';
+    });
+
+    // Permalinks
+    map.on('moveend', () => updatePermalink(false));
+
+    map.on('popupclose', (e) => {
+        if (openFeature && openFeature.popup === e.popup) {
+            openFeature = null;
+            updatePermalink(false);
+        }
+    });
+
+    window.addEventListener('popstate', () => {
+        const state = parseMapState(window.location.hash);
+        if (state) {
+            restoreMapState(state);
+        }
+    });
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            cancelDrawing();
+            infoModal.classList.remove('active');
+            printModal.classList.remove('active');
+            // Also close attribute table if open
+            const tablePanel = document.getElementById('attributeTablePanel');
+            if (tablePanel.style.display === 'block') {
+                tablePanel.style.display = 'none';
+            }
+            document.getElementById('gridColumnsMenu').classList.remove('active');
+        }
+    });
+
+    // Close table button
+    document.getElementById('closeTableBtn').addEventListener('click', () => {
+        document.getElementById('attributeTablePanel').style.display = 'none';
+    });
+
+    // Thematic Mapping Buttons
+    const attributeSelect = document.getElementById('thematicAttributeSelect');
+    const applyBtn = document.getElementById('applyThematicBtn');
+    const resetBtn = document.getElementById('resetThematicBtn');
+
+    attributeSelect.addEventListener('change', () => {
+        applyBtn.disabled = !attributeSelect.value;
+    });
+
+    const renderModeSelect = document.getElementById('renderModeSelect');
+    const dotValueInput = document.getElementById('dotValueInput');
+    const symbolOverlayCheckbox = document.getElementById('symbolOverlayCheckbox');
+    const getSymbolOptions = () => ({
+        dotValue: parseFloat(dotValueInput.value),
+        overlay: symbolOverlayCheckbox.checked
+    });
+
+    applyBtn.addEventListener('click', async () => {
+        const attribute = attributeSelect.value;
+        if (attribute) {
+            await setLayerVisibility(thematicLayerName, true);
+            const mode = renderModeSelect.value;
+            if (isSymbolMode(mode)) {
+                applySymbolMapping(attribute, mode, getSymbolOptions());
+            } else if (mode === 'bivariate') {
+                applyBivariateMapping(
+                    attribute,
+                    document.getElementById('bivariateAttributeSelect').value,
+                    document.getElementById('bivariatePaletteSelect').value
+                );
+            } else {
+                applyThematicMapping(attribute);
+            }
+            syncThematicPanel();
+        }
+    });
+
+    // Choropleth, bivariate, proportional circles or dot density
+    renderModeSelect.addEventListener('change', syncThematicPanel);
+
+    document.getElementById('bivariatePaletteSelect').addEventListener('change', (e) => {
+        const bivariate = bivariateMaps[thematicLayerName];
+        if (bivariate) {
+            applyBivariateMapping(bivariate.attribute, bivariate.attributeY, e.target.value);
+        }
+    });
+
+    symbolOverlayCheckbox.addEventListener('change', () => {
+        setSymbolOverlay(thematicLayerName, symbolOverlayCheckbox.checked);
+    });
+
+    dotValueInput.addEventListener('change', () => {
+        const symbols = symbolMaps[thematicLayerName];
+        if (symbols && symbols.mode === 'dots') {
+            applySymbolMapping(symbols.attribute, 'dots', getSymbolOptions());
+            syncThematicPanel();
+        }
+    });
+
+    // Layer edited by the panel; every layer keeps its own thematic map
+    const thematicLayerSelect = document.getElementById('thematicLayerSelect');
+    thematicLayerSelect.addEventListener('change', async () => {
+        const layerName = thematicLayerSelect.value;
+        await setLayerVisibility(layerName, true);
+        selectThematicLayer(layerName);
+    });
+
+    resetBtn.addEventListener('click', () => {
+        if (isSymbolMode(renderModeSelect.value)) {
+            resetSymbolMapping();
+        } else if (renderModeSelect.value === 'bivariate') {
+            resetBivariateMapping();
+        } else {
+            resetThematicMapping();
+        }
+        attributeSelect.value = '';
+        applyBtn.disabled = true;
+        resetBtn.style.display = 'none';
+    });
+
+    // Classification options
+    const methodSelect = document.getElementById('classificationMethodSelect');
+    const classCountSelect = document.getElementById('classCountSelect');
+    const manualBreaksInput = document.getElementById('manualBreaksInput');
+
+    methodSelect.addEventListener('change', () => {
+        thematicSettings.method = methodSelect.value;
+        const isManual = methodSelect.value === 'manual';
+        syncClassificationControls();
+
+        if (!isManual || thematicSettings.manualBreaks.length > 0) {
+            reapplyThematicMapping();
+        }
+    });
+
+    classCountSelect.addEventListener('change', () => {
+        thematicSettings.classes = parseInt(classCountSelect.value, 10);
+        reapplyThematicMapping();
+    });
+
+    manualBreaksInput.addEventListener('change', () => {
+        thematicSettings.manualBreaks = parseManualBreaks(manualBreaksInput.value);
+        reapplyThematicMapping();
+    });
+
+    document.getElementById('thematicPaletteSelect').addEventListener('change', (e) => {
+        thematicSettings.palette = e.target.value;
+        reapplyThematicMapping();
+    });
+
+    // Normalization ("divide by")
+    const normalizationSelect = document.getElementById('normalizationSelect');
+    normalizationSelect.addEventListener('change', () => {
+        thematicSettings.normalizeBy = normalizationSelect.value;
+        reapplyThematicMapping();
+    });
+
+    // Attribute query
+    const queryInput = document.getElementById('queryExpressionInput');
+
+    document.getElementById('queryFieldSelect').addEventListener('change', updateQueryValueSuggestions);
+
+    document.getElementById('addConditionBtn').addEventListener('click', () => {
+        const condition = buildQueryCondition();
+        if (!condition) return;
+
+        const connector = document.getElementById('queryConnectorSelect').value;
+        const current = queryInput.value.trim();
+        queryInput.value = current ? `${current} ${connector} ${condition}` : condition;
+        document.getElementById('queryValueInput').value = '';
+    });
+
+    document.getElementById('runQueryBtn').addEventListener('click', () => {
+        const text = queryInput.value.trim();
+        if (!text) return;
+
+        try {
+            const mode = document.getElementById('queryModeSelect').value;
+            const query = runAttributeQuery('setores', text, mode);
+            if (query) {
+                showQueryResult(query);
+            }
+        } catch (error) {
+            showQueryError(error.message);
+        }
+    });
+
+    document.getElementById('clearQueryBtn').addEventListener('click', () => {
+        resetQueryPanel();
+        queryInput.value = '';
+    });
+
+    document.getElementById('zoomQueryBtn').addEventListener('click', zoomToQueryResult);
+
+    // Derived indicators builder
+    const derivedExpressionInput = document.getElementById('derivedExpressionInput');
+    const derivedFieldSelect = document.getElementById('derivedFieldSelect');
+    const derivedError = document.getElementById('derivedError');
+
+    derivedFieldSelect.addEventListener('change', () => {
+        const field = derivedFieldSelect.value;
+        if (field) {
+            insertAtCursor(derivedExpressionInput, formatQueryField(field));
+            derivedFieldSelect.value = '';
+        }
+    });
+
+    document.getElementById('saveDerivedBtn').addEventListener('click', () => {
+        const nameInput = document.getElementById('derivedNameInput');
+        const unitInput = document.getElementById('derivedUnitInput');
+
+        try {
+            addDerivedIndicator(nameInput.value.trim(), derivedExpressionInput.value.trim(), unitInput.value.trim());
+            nameInput.value = '';
+            unitInput.value = '';
+            derivedExpressionInput.value = '';
+            derivedError.style.display = 'none';
+        } catch (error) {
+            derivedError.textContent = error.message;
+            derivedError.style.display = 'block';
+        }
+    });
+}
+
+function showLoading() {
+    loadingIndicator = document.getElementById('loadingIndicator');
+    if (loadingIndicator) {
+        loadingIndicator.classList.remove('hidden');
+    }
+}
+
+function hideLoading() {
+    loadingIndicator = document.getElementById('loadingIndicator');
+    if (loadingIndicator) {
+        loadingIndicator.classList.add('hidden');
+    }
+}
+
+// ==================== Thematic Mapping Functions ====================
+const THEMATIC_LAYERS = ['setores', 'deficit_hab', 'distritos', 'urb_rur'];
+
+// ColorBrewer sequential palettes, 3 to 9 classes
+const THEMATIC_PALETTES = {
+    YlOrRd: {
+        3: ['#ffeda0', '#feb24c', '#f03b20'],
+        4: ['#ffffb2', '#fecc5c', '#fd8d3c', '#e31a1c'],
+        5: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+        6: ['#ffffb2', '#fed976', '#feb24c', '#fd8d3c', '#f03b20', '#bd0026'],
+        7: ['#ffffb2', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#b10026'],
+        8: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#b10026'],
+        9: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026']
+    },
+    Blues: {
+        3: ['#deebf7', '#9ecae1', '#3182bd'],
+        4: ['#eff3ff', '#bdd7e7', '#6baed6', '#2171b5'],
+        5: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'],
+        6: ['#eff3ff', '#c6dbef', '#9ecae1', '#6baed6', '#3182bd', '#08519c'],
+        7: ['#eff3ff', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#084594'],
+        8: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#084594'],
+        9: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b']
+    },
+    Greens: {
+        3: ['#e5f5e0', '#a1d99b', '#31a354'],
+        4: ['#edf8e9', '#bae4b3', '#74c476', '#238b45'],
+        5: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'],
+        6: ['#edf8e9', '#c7e9c0', '#a1d99b', '#74c476', '#31a354', '#006d2c'],
+        7: ['#edf8e9', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#005a32'],
+        8: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#005a32'],
+        9: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b']
+    },
+    Purples: {
+        3: ['#efedf5', '#bcbddc', '#756bb1'],
+        4: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#6a51a3'],
+        5: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'],
+        6: ['#f2f0f7', '#dadaeb', '#bcbddc', '#9e9ac8', '#756bb1', '#54278f'],
+        7: ['#f2f0f7', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#4a1486'],
+        8: ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#4a1486'],
+        9: ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d']
+    },
+    RdPu: {
+        3: ['#fde0dd', '#fa9fb5', '#c51b8a'],
+        4: ['#feebe2', '#fbb4b9', '#f768a1', '#ae017e'],
+        5: ['#feebe2', '#fbb4b9', '#f768a1', '#c51b8a', '#7a0177'],
+        6: ['#feebe2', '#fcc5c0', '#fa9fb5', '#f768a1', '#c51b8a', '#7a0177'],
+        7: ['#feebe2', '#fcc5c0', '#fa9fb5', '#f768a1', '#dd3497', '#ae017e', '#7a0177'],
+        8: ['#fff7f3', '#fde0dd', '#fcc5c0', '#fa9fb5', '#f768a1', '#dd3497', '#ae017e', '#7a0177'],
+        9: ['#fff7f3', '#fde0dd', '#fcc5c0', '#fa9fb5', '#f768a1', '#dd3497', '#ae017e', '#7a0177', '#49006a']
+    }
+};
+
+// Different default palettes keep overlapping maps apart
+const DEFAULT_THEMATIC_PALETTES = {
+    setores: 'YlOrRd',
+    deficit_hab: 'RdPu',
+    distritos: 'Blues',
+    urb_rur: 'Greens'
+};
+
+const CLASSIFICATION_METHODS = {
+    jenks: 'Quebras Naturais (Jenks)',
+    equal: 'Intervalos Iguais',
+    quantile: 'Quantis',
+    stddev: 'Desvio Padrão',
+    geometric: 'Intervalo Geométrico',
+    manual: 'Manual'
+};
+
+// Choropleths by layer name: { attribute, settings, min, breaks, colors, gvf, counts }.
+// Each polygon layer keeps its own map, so several can be shown at once.
+let thematicMaps = {};
+// Layer edited by the thematic panel, one of THEMATIC_LAYERS
+let thematicLayerName = 'setores';
+// Settings shown in the panel; copied into the layer's map when applied
+let thematicSettings = getDefaultThematicSettings('setores');
+
+function getDefaultThematicSettings(layerName) {
+    return {
+        method: 'jenks',
+        classes: 5,
+        manualBreaks: [],
+        normalizeBy: '',
+        palette: DEFAULT_THEMATIC_PALETTES[layerName] || 'YlOrRd'
+    };
+}
+
+function getThematicColors(palette, classCount) {
+    const colors = THEMATIC_PALETTES[palette] || THEMATIC_PALETTES.YlOrRd;
+    return colors[classCount] || colors[5];
+}
+
+function applyThematicMapping(attribute, layerName = thematicLayerName) {
+    if (!dataLayers[layerName]) return;
+
+    let thematic;
+    try {
+        thematic = buildThematicMap(layerName, attribute, { ...thematicSettings });
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    showLoading();
+    delete bivariateMaps[layerName];
+    delete lisaMaps[layerName];
+    thematicMaps[layerName] = thematic;
+
+    // Apply style
+    dataLayers[layerName].eachLayer(layer => {
+        layer.setStyle(getCurrentFeatureStyle(layer, layerName));
+    });
+
+    // Update Legend
+    updateLegend();
+
+    hideLoading();
+    updatePermalink(true);
+}
+
+// Classifies the layer's values of attribute into the thematic map entry
+// { attribute, settings, min, breaks, colors, gvf, counts }; throws when the
+// attribute has no values or the settings do not fit them
+function buildThematicMap(layerName, attribute, settings) {
+    // 1. Extract values
+    const values = [];
+    dataLayers[layerName].eachLayer(layer => {
+        const val = getNormalizedValue(layer.feature.properties, attribute, settings.normalizeBy);
+        if (val !== null) {
+            values.push(val);
+        }
+    });
+
+    if (values.length === 0) {
+        throw new Error('Não há dados numéricos válidos para este atributo.');
+    }
+
+    // 2. Classify values with the selected method
+    values.sort((a, b) => a - b);
+    const classification = classifyValues(values, settings.method, settings.classes, settings.manualBreaks);
+    const breaks = classification.breaks;
+
+    // 3. Define colors from the palette
+    return {
+        attribute,
+        settings,
+        min: classification.min,
+        breaks,
+        colors: getThematicColors(settings.palette, breaks.length),
+        gvf: calculateGVF(values, breaks),
+        counts: countValuesPerClass(values, breaks)
+    };
+}
+
+function resetThematicMapping(layerName = thematicLayerName) {
+    if (!thematicMaps[layerName]) return;
+
+    delete thematicMaps[layerName];
+
+    if (dataLayers[layerName]) {
+        dataLayers[layerName].eachLayer(layer => {
+            layer.setStyle(getCurrentFeatureStyle(layer, layerName));
+        });
+    }
+
+    updateLegend();
+    updatePermalink(true);
+}
+
+// Reclassifies the panel's layer after a change in the classification controls
+function reapplyThematicMapping() {
+    const thematic = thematicMaps[thematicLayerName];
+    if (thematic) {
+        applyThematicMapping(thematic.attribute);
+    }
+}
+
+// Points the thematic panel at another layer, showing that layer's map and
+// settings, or the defaults when it has none
+function selectThematicLayer(layerName) {
+    const thematic = thematicMaps[layerName];
+
+    thematicLayerName = layerName;
+    thematicSettings = thematic ? { ...thematic.settings } : getDefaultThematicSettings(layerName);
+
+    document.getElementById('thematicLayerSelect').value = layerName;
+    syncClassificationControls();
+    updateThematicAttributeOptions();
+
+    document.getElementById('thematicAttributeSelect').value = '';
+    syncThematicPanel();
+}
+
+// Options, attribute and buttons of the panel for the chosen representation
+function syncThematicPanel() {
+    const mode = document.getElementById('renderModeSelect').value;
+    const symbolMode = isSymbolMode(mode);
+    const bivariateMode = mode === 'bivariate';
+    const symbols = symbolMaps[thematicLayerName];
+    let current = thematicMaps[thematicLayerName];
+    if (symbolMode) {
+        current = symbols && symbols.mode === mode ? symbols : null;
+    } else if (bivariateMode) {
+        current = bivariateMaps[thematicLayerName];
+    }
+
+    document.getElementById('choroplethOptions').style.display = symbolMode || bivariateMode ? 'none' : '';
+    document.getElementById('symbolOptions').style.display = symbolMode ? '' : 'none';
+    document.getElementById('bivariateOptions').style.display = bivariateMode ? '' : 'none';
+    document.getElementById('dotValueField').style.display = mode === 'dots' ? 'flex' : 'none';
+
+    const dotValueInput = document.getElementById('dotValueInput');
+    const dots = symbols && symbols.mode === 'dots' ? symbols : null;
+    dotValueInput.value = dots && !dots.dotValueAuto ? dots.dotValue : '';
+    dotValueInput.placeholder = dots ? `Automático (${dots.dotValue})` : 'Automático';
+    document.getElementById('symbolOverlayCheckbox').checked = symbols ? symbols.overlay : true;
+
+    const attributeSelect = document.getElementById('thematicAttributeSelect');
+    if (current) {
+        attributeSelect.value = current.attribute;
+    }
+    if (bivariateMode && current) {
+        document.getElementById('bivariateAttributeSelect').value = current.attributeY;
+        document.getElementById('bivariatePaletteSelect').value = current.palette;
+    }
+    document.getElementById('applyThematicBtn').disabled = !attributeSelect.value;
+    document.getElementById('resetThematicBtn').style.display = current ? 'flex' : 'none';
+}
+
+function updateThematicAttributeOptions() {
+    renderAttributeOptions(document.getElementById('thematicAttributeSelect'), thematicLayerName, '-- Nenhum (cores padrão) --');
+    renderAttributeOptions(document.getElementById('bivariateAttributeSelect'), thematicLayerName);
+}
+
+// Disables the attributes the layer has no numbers for yet: computed fields
+// before their spatial join or index, and derived indicators over fields it
+// lacks (distritos and urb_rur only carry the v000x variables)
+function disableMissingAttributeOptions(select, layerName) {
+    const fields = new Set(getNumericFields(layerName));
+    if (fields.size === 0) return;
+
+    select.querySelectorAll('option').forEach(option => {
+        if (!option.value) return;
+
+        const indicator = findDerivedIndicator(option.value);
+        const referenced = indicator ? Array.from(indicator.fields) : [option.value];
+        option.disabled = !referenced.every(field => fields.has(field));
+    });
+}
+
+// Reflects thematicSettings in the classification controls
+function syncClassificationControls() {
+    const isManual = thematicSettings.method === 'manual';
+
+    document.getElementById('classificationMethodSelect').value = thematicSettings.method;
+    document.getElementById('classCountSelect').value = String(thematicSettings.classes);
+    document.getElementById('manualBreaksInput').value = thematicSettings.manualBreaks
+        .map(value => value.toLocaleString('pt-BR', { useGrouping: false, maximumFractionDigits: 6 }))
+        .join('; ');
+    document.getElementById('normalizationSelect').value = thematicSettings.normalizeBy;
+    document.getElementById('thematicPaletteSelect').value = thematicSettings.palette;
+    document.getElementById('classCountField').style.display = isManual ? 'none' : 'flex';
+    document.getElementById('manualBreaksField').style.display = isManual ? 'flex' : 'none';
+}
+
+// Legend/popup title of a layer's thematic map, including the denominator
+function getThematicTitle(layerName, thematic = thematicMaps[layerName]) {
+    const { attribute, settings } = thematic;
+    const name = getAttributeDisplayName(attribute);
+    const normalization = NORMALIZATION_OPTIONS[settings.normalizeBy];
+    if (!normalization) {
+        // "Domicílios Particulares Ocupados" already says it counts domicílios
+        const { unit } = getFieldSchema(layerName, attribute);
+        return unit && !name.toLowerCase().includes(unit.toLowerCase()) ? `${name} (${unit})` : name;
+    }
+    return `${name} / ${normalization.label} (${normalization.unit})`;
+}
+
+function getColorForValue(value, breaks, colors) {
+    if (value === undefined || value === null || isNaN(value)) return '#ccc';
+
+    for (let i = 0; i < breaks.length; i++) {
+        if (value <= breaks[i]) {
+            return colors[i];
+        }
+    }
+    return colors[colors.length - 1];
+}
+
+// ==================== Symbol Maps ====================
+// Proportional circles and dot density drawn at or inside the polygons of a
+// layer, by layer name: { mode, attribute, dotValue, dotValueAuto, overlay, max, total, group }.
+// With overlay off the layer's choropleth is hidden (not dropped) underneath.
+let symbolMaps = {};
+
+const SYMBOL_MAX_RADIUS = 28;
+const SYMBOL_STYLE = {
+    color: '#ffffff',
+    weight: 1,
+    fillColor: '#e6550d',
+    fillOpacity: 0.65
+};
+const DOT_STYLE = {
+    radius: 1.5,
+    stroke: false,
+    fillColor: '#1a1a2e',
+    fillOpacity: 0.8
+};
+// Dots aimed for when "1 ponto representa" is left blank
+const DOT_TARGET_COUNT = 2000;
+// More dots than this would keep the page busy for too long
+const DOT_MAX_COUNT = 50000;
+
+function isSymbolMode(mode) {
+    return mode === 'proportional' || mode === 'dots';
+}
+
+// Whether the layer's choropleth is currently painted (not hidden by symbols
+// or by a comparison of the layer)
+function isThematicMapShown(layerName) {
+    const symbols = symbolMaps[layerName];
+    return Boolean(thematicMaps[layerName]) && !(symbols && !symbols.overlay) && !isComparedLayer(layerName);
+}
+
+function applySymbolMapping(attribute, mode, options = {}, layerName = thematicLayerName) {
+    if (!dataLayers[layerName]) return;
+
+    const entries = [];
+    dataLayers[layerName].eachLayer(layer => {
+        const value = getAttributeValue(layer.feature.properties, attribute);
+        if (value !== null && value > 0) {
+            entries.push({ layer, value });
+        }
+    });
+
+    if (entries.length === 0) {
+        alert('Não há valores positivos para este atributo.');
+        return;
+    }
+
+    const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+    const max = Math.max(...entries.map(entry => entry.value));
+    const dotValue = options.dotValue > 0 ? options.dotValue : niceNumber(Math.max(1, total / DOT_TARGET_COUNT));
+
+    if (mode === 'dots') {
+        const dotCount = entries.reduce((sum, entry) => sum + Math.round(entry.value / dotValue), 0);
+        if (dotCount > DOT_MAX_COUNT) {
+            alert(`Com 1 ponto = ${dotValue.toLocaleString('pt-BR')} seriam desenhados ${dotCount.toLocaleString('pt-BR')} pontos ` +
+                `(máximo ${DOT_MAX_COUNT.toLocaleString('pt-BR')}). Use um valor de pelo menos ${Math.ceil(total / DOT_MAX_COUNT).toLocaleString('pt-BR')}.`);
+            return;
+        }
+    }
+
+    showLoading();
+    removeSymbolLayer(layerName);
+
+    const group = mode === 'dots' ?
+        createDotDensityLayer(entries, dotValue) :
+        createProportionalSymbolLayer(entries, max, attribute, layerName);
+
+    symbolMaps[layerName] = {
+        mode,
+        attribute,
+        dotValue: mode === 'dots' ? dotValue : null,
+        dotValueAuto: !(options.dotValue > 0),
+        overlay: options.overlay !== false,
+        max,
+        total,
+        group
+    };
+    group.addTo(map);
+
+    restyleThematicLayer(layerName);
+    updateLegend();
+
+    hideLoading();
+    updatePermalink(true);
+}
+
+function resetSymbolMapping(layerName = thematicLayerName) {
+    if (!symbolMaps[layerName]) return;
+
+    removeSymbolLayer(layerName);
+    delete symbolMaps[layerName];
+
+    restyleThematicLayer(layerName);
+    updateLegend();
+    updatePermalink(true);
+}
+
+function removeSymbolLayer(layerName) {
+    const symbols = symbolMaps[layerName];
+    if (symbols && map.hasLayer(symbols.group)) {
+        map.removeLayer(symbols.group);
+    }
+}
+
+// Shows or hides the layer's choropleth under its symbols
+function setSymbolOverlay(layerName, overlay) {
+    const symbols = symbolMaps[layerName];
+    if (!symbols || symbols.overlay === overlay) return;
+
+    symbols.overlay = overlay;
+    restyleThematicLayer(layerName);
+    updateLegend();
+    updatePermalink(true);
+}
+
+function restyleThematicLayer(layerName) {
+    if (!dataLayers[layerName]) return;
+    dataLayers[layerName].eachLayer(layer => {
+        layer.setStyle(getCurrentFeatureStyle(layer, layerName));
+    });
+}
+
+function getSymbolRadius(value, max) {
+    // Circle area proportional to the value
+    return SYMBOL_MAX_RADIUS * Math.sqrt(value / max);
+}
+
+function createProportionalSymbolLayer(entries, max, attribute, layerName) {
+    const group = L.layerGroup();
+
+    // Largest first, so small circles stay clickable on top
+    entries
+        .slice()
+        .sort((a, b) => b.value - a.value)
+        .forEach(({ layer, value }) => {
+            const centroid = getPolygonCentroid(layer.feature.geometry);
+            if (!centroid) return;
+
+            const circle = L.circleMarker(centroid, {
+                ...SYMBOL_STYLE,
+                radius: getSymbolRadius(value, max),
+                pane: 'symbolPane'
+            });
+            circle.bindTooltip(escapeHtml(`${getAttributeDisplayName(attribute)}: ${formatAttributeValue(attribute, value, layerName)}`));
+            circle.on('click', e => showFeatureInfo({ target: layer, latlng: e.latlng }));
+            group.addLayer(circle);
+        });
+
+    return group;
+}
+
+function createDotDensityLayer(entries, dotValue) {
+    const renderer = L.canvas({ pane: 'symbolPane' });
+    const group = L.layerGroup();
+
+    entries.forEach(({ layer, value }, index) => {
+        const count = Math.round(value / dotValue);
+        // Seeded by position, so the dots do not move between redraws
+        const random = createSeededRandom(index + 1);
+        randomPointsInPolygon(layer.feature.geometry, count, random).forEach(([lng, lat]) => {
+            group.addLayer(L.circleMarker([lat, lng], {
+                ...DOT_STYLE,
+                renderer,
+                interactive: false
+            }));
+        });
+    });
+
+    return group;
+}
+
+// Outer rings of a Polygon or MultiPolygon, with their holes
+function getPolygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+function getRingArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+    }
+    return area / 2;
+}
+
+// Area-weighted centroid of the outer rings, as [lat, lng]
+function getPolygonCentroid(geometry) {
+    let totalArea = 0;
+    let x = 0;
+    let y = 0;
+
+    getPolygons(geometry).forEach(([ring]) => {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+            area += cross;
+            cx += (ring[j][0] + ring[i][0]) * cross;
+            cy += (ring[j][1] + ring[i][1]) * cross;
+        }
+        area /= 2;
+        if (area === 0) return;
+
+        totalArea += area;
+        x += cx / 6;
+        y += cy / 6;
+    });
+
+    if (totalArea === 0) return null;
+    return [y / totalArea, x / totalArea];
+}
+
+// Ray casting over [lng, lat] rings; holes are the rings after the first
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    polygon.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > point[1]) !== (yj > point[1]) &&
+                point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    });
+    return inside;
+}
+
+function randomPointsInPolygon(geometry, count, random) {
+    const polygons = getPolygons(geometry);
+    const points = [];
+    if (polygons.length === 0 || count <= 0) return points;
+
+    // Spread the dots over the parts of a MultiPolygon by area
+    const areas = polygons.map(([ring]) => Math.abs(getRingArea(ring)));
+    const totalArea = areas.reduce((sum, area) => sum + area, 0);
+
+    polygons.forEach((polygon, index) => {
+        const partCount = Math.round(count * areas[index] / totalArea);
+        const lngs = polygon[0].map(coord => coord[0]);
+        const lats = polygon[0].map(coord => coord[1]);
+        const minLng = Math.min(...lngs);
+        const maxLng = Math.max(...lngs);
+        const minLat = Math.min(...lats);
+        const maxLat = Math.max(...lats);
+
+        let placed = 0;
+        let attempts = 0;
+        while (placed < partCount && attempts < partCount * 50) {
+            attempts++;
+            const point = [minLng + random() * (maxLng - minLng), minLat + random() * (maxLat - minLat)];
+            if (pointInPolygon(point, polygon)) {
+                points.push(point);
+                placed++;
+            }
+        }
+    });
+
+    return points;
+}
+
+// mulberry32
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Legend entry: nested circles for proportional symbols, a sample dot for dot density
+function createSymbolLegendEntry(layerName) {
+    const symbols = symbolMaps[layerName];
+    const entry = document.createElement('div');
+    entry.className = 'legend-layer';
+
+    const title = document.createElement('div');
+    title.className = 'legend-layer-title';
+    title.textContent = `${CONFIG.layers[layerName].name}: ${getAttributeDisplayName(symbols.attribute)}`;
+    entry.appendChild(title);
+
+    if (symbols.mode === 'dots') {
+        const item = document.createElement('div');
+        item.className = 'legend-class-item';
+        item.innerHTML = `
+            <div class="legend-dot" style="background: ${DOT_STYLE.fillColor}"></div>
+            <span class="legend-label">1 ponto = ${formatAttributeValue(symbols.attribute, symbols.dotValue, layerName)}</span>
+        `;
+        entry.appendChild(item);
+    } else {
+        entry.appendChild(createNestedCircleLegend(symbols, layerName));
+    }
+
+    return entry;
+}
+
+// Round values shown in the legend of proportional circles, largest first
+function getSymbolLegendValues(symbols) {
+    const top = niceNumber(symbols.max);
+    return Array.from(new Set([top, niceNumber(top / 3), niceNumber(top / 10)]))
+        .filter(value => value > 0);
+}
+
+function createNestedCircleLegend(symbols, layerName) {
+    const values = getSymbolLegendValues(symbols);
+
+    const maxRadius = getSymbolRadius(values[0], symbols.max);
+    const width = maxRadius * 2 + 90;
+    const height = maxRadius * 2 + 10;
+    const bottom = height - 1;
+
+    const circles = values.map(value => {
+        const r = getSymbolRadius(value, symbols.max);
+        const topY = bottom - 2 * r;
+        const label = formatAttributeValue(symbols.attribute, value, layerName);
+        return `
+            <circle cx="${maxRadius + 1}" cy="${bottom - r}" r="${r}" fill="${SYMBOL_STYLE.fillColor}" fill-opacity="0.25" stroke="${SYMBOL_STYLE.fillColor}" />
+            <line x1="${maxRadius + 1}" y1="${topY}" x2="${maxRadius * 2 + 8}" y2="${topY}" stroke="currentColor" stroke-dasharray="2 2" />
+            <text x="${maxRadius * 2 + 12}" y="${topY + 4}" fill="currentColor">${label}</text>
+        `;
+    }).join('');
+
+    const legend = document.createElement('div');
+    legend.className = 'legend-symbols';
+    legend.innerHTML = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${circles}</svg>`;
+    return legend;
+}
+
+// ==================== Bivariate Maps ====================
+// Two attributes of a polygon layer classified in tertiles and crossed in a
+// 3×3 color matrix. A layer shows either its choropleth or its bivariate map.
+const BIVARIATE_PALETTES = {
+    pinkBlue: {
+        label: 'Rosa-Azul',
+        // Rows from low to high second attribute, columns from low to high first
+        colors: [
+            ['#e8e8e8', '#e4acac', '#c85a5a'],
+            ['#b0d5df', '#ad9ea5', '#985356'],
+            ['#64acbe', '#627f8c', '#574249']
+        ]
+    },
+    purpleGold: {
+        label: 'Roxo-Dourado',
+        colors: [
+            ['#e8e8e8', '#e4d9ac', '#c8b35a'],
+            ['#cbb8d7', '#c8ada0', '#af8e53'],
+            ['#9972af', '#976b82', '#804d36']
+        ]
+    },
+    greenBlue: {
+        label: 'Verde-Azul',
+        colors: [
+            ['#e8e8e8', '#b5c0da', '#6c83b5'],
+            ['#b8d6be', '#90b2b3', '#567994'],
+            ['#73ae80', '#5a9178', '#2a5a5b']
+        ]
+    }
+};
+
+const BIVARIATE_LEVELS = ['baixo', 'médio', 'alto'];
+
+// Bivariate maps by layer name: { attribute, attributeY, palette, x, y,
+// counts } with x and y the { min, breaks } tertiles of each attribute and
+// counts[y class][x class] the features in each cell
+let bivariateMaps = {};
+
+function isBivariateMapShown(layerName) {
+    const symbols = symbolMaps[layerName];
+    return Boolean(bivariateMaps[layerName]) && !(symbols && !symbols.overlay) && !isComparedLayer(layerName);
+}
+
+function applyBivariateMapping(attribute, attributeY, palette, layerName = thematicLayerName) {
+    if (!dataLayers[layerName]) return;
+
+    if (!attributeY || attributeY === attribute) {
+        alert('Selecione um segundo atributo, diferente do primeiro.');
+        return;
+    }
+
+    const pairs = [];
+    dataLayers[layerName].eachLayer(layer => {
+        const x = getAttributeValue(layer.feature.properties, attribute);
+        const y = getAttributeValue(layer.feature.properties, attributeY);
+        if (x !== null && y !== null) {
+            pairs.push({ x, y });
+        }
+    });
+
+    if (pairs.length < 3) {
+        alert('Não há feições suficientes com valores para os dois atributos.');
+        return;
+    }
+
+    const x = classifyValues(pairs.map(pair => pair.x).sort((a, b) => a - b), 'quantile', 3);
+    const y = classifyValues(pairs.map(pair => pair.y).sort((a, b) => a - b), 'quantile', 3);
+    const counts = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    pairs.forEach(pair => {
+        counts[getClassIndex(pair.y, y.breaks)][getClassIndex(pair.x, x.breaks)]++;
+    });
+
+    showLoading();
+    delete thematicMaps[layerName];
+    delete lisaMaps[layerName];
+    bivariateMaps[layerName] = {
+        attribute,
+        attributeY,
+        palette: BIVARIATE_PALETTES[palette] ? palette : 'pinkBlue',
+        x: { min: x.min, breaks: x.breaks },
+        y: { min: y.min, breaks: y.breaks },
+        counts
+    };
+
+    restyleThematicLayer(layerName);
+    updateLegend();
+
+    hideLoading();
+    updatePermalink(true);
+}
+
+function resetBivariateMapping(layerName = thematicLayerName) {
+    if (!bivariateMaps[layerName]) return;
+
+    delete bivariateMaps[layerName];
+
+    restyleThematicLayer(layerName);
+    updateLegend();
+    updatePermalink(true);
+}
+
+function getBivariateColor(properties, bivariate) {
+    const x = getAttributeValue(properties, bivariate.attribute);
+    const y = getAttributeValue(properties, bivariate.attributeY);
+    if (x === null || y === null) return '#ccc';
+
+    const colors = BIVARIATE_PALETTES[bivariate.palette].colors;
+    return colors[getClassIndex(y, bivariate.y.breaks)][getClassIndex(x, bivariate.x.breaks)];
+}
+
+function getBivariateTitle(bivariate) {
+    return `${getAttributeDisplayName(bivariate.attribute)} × ${getAttributeDisplayName(bivariate.attributeY)}`;
+}
+
+// Tertile ranges of one attribute, e.g. "0 - 12 | 12 - 40 | 40 - 95"
+function getBivariateRanges({ min, breaks }) {
+    const format = value => value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    return breaks.map((end, i) => `${format(i === 0 ? min : breaks[i - 1])} - ${format(end)}`).join(' | ');
+}
+
+// 3×3 square with the second attribute growing upwards and the first to the right
+function createBivariateLegendEntry(layerName) {
+    const bivariate = bivariateMaps[layerName];
+    const colors = BIVARIATE_PALETTES[bivariate.palette].colors;
+
+    const entry = document.createElement('div');
+    entry.className = 'legend-layer';
+
+    const title = document.createElement('div');
+    title.className = 'legend-layer-title';
+    title.textContent = `${CONFIG.layers[layerName].name}: ${getBivariateTitle(bivariate)}`;
+    entry.appendChild(title);
+
+    const cells = [2, 1, 0].map(row => [0, 1, 2].map(column => {
+        const count = bivariate.counts[row][column];
+        const description = `${getAttributeDisplayName(bivariate.attribute)} ${BIVARIATE_LEVELS[column]}, ` +
+            `${getAttributeDisplayName(bivariate.attributeY)} ${BIVARIATE_LEVELS[row]}: ${count}`;
+        return `<div class="bivariate-cell" style="background: ${colors[row][column]}" title="${escapeHtml(description)}">${count}</div>`;
+    }).join('')).join('');
+
+    const square = document.createElement('div');
+    square.className = 'bivariate-legend';
+    square.innerHTML = `
+        <span class="bivariate-axis-y">${escapeHtml(getAttributeDisplayName(bivariate.attributeY))} →</span>
+        <div class="bivariate-grid">${cells}</div>
+        <span class="bivariate-axis-x">${escapeHtml(getAttributeDisplayName(bivariate.attribute))} →</span>
+    `;
+    entry.appendChild(square);
+
+    const ranges = document.createElement('div');
+    ranges.className = 'legend-gvf';
+    ranges.innerHTML = `
+        <div>${escapeHtml(getAttributeDisplayName(bivariate.attribute))}: ${getBivariateRanges(bivariate.x)}</div>
+        <div>${escapeHtml(getAttributeDisplayName(bivariate.attributeY))}: ${getBivariateRanges(bivariate.y)}</div>
+        <div>Classes por tercis</div>
+    `;
+    entry.appendChild(ranges);
+
+    return entry;
+}
+
+// ==================== Residence Points ====================
+// The CNEFE address points of the residencia layer. Its GeoJSON layer keeps
+// every point (grid, export, popups); the map shows residenciaDisplay instead,
+// holding the points that pass residenciaFilter either clustered, one by one
+// or as a kernel density heatmap.
+const RESIDENCIA_SPECIES_COLORS = {
+    '1': '#43e97b',
+    '2': '#f9a825',
+    '3': '#8d6e63',
+    '4': '#1e88e5',
+    '5': '#e53935',
+    '6': '#8e24aa',
+    '7': '#fb8c00',
+    '8': '#00acc1'
+};
+const RESIDENCIA_OTHER_COLOR = '#9e9e9e';
+
+const RESIDENCIA_MODES = {
+    cluster: 'Agrupados',
+    points: 'Pontos',
+    heatmap: 'Mapa de calor'
+};
+
+// Clusters break up into single points from this zoom on
+const RESIDENCIA_CLUSTER_MAX_ZOOM = 17;
+
+const RESIDENCIA_HEATMAP_OPTIONS = {
+    radius: 20,
+    blur: 15,
+    maxZoom: RESIDENCIA_CLUSTER_MAX_ZOOM,
+    minOpacity: 0.3,
+    gradient: { 0.4: '#2c7bb6', 0.6: '#abd9e9', 0.7: '#ffffbf', 0.8: '#fdae61', 1: '#d7191c' }
+};
+
+let residenciaMode = 'cluster';
+let residenciaFilter = getDefaultResidenciaFilter();
+let residenciaDisplay = null;
+
+function getDefaultResidenciaFilter() {
+    return {
+        species: new Set(Object.keys(CNEFE_SPECIES)),
+        maxLevel: Object.keys(CNEFE_GEOCODING_LEVELS).length
+    };
+}
+
+function getResidenciaColor(properties) {
+    return RESIDENCIA_SPECIES_COLORS[properties.COD_ESPECIE] || RESIDENCIA_OTHER_COLOR;
+}
+
+function setupResidenciaLayer(layer) {
+    residenciaDisplay = L.layerGroup();
+    layer.onAdd = targetMap => targetMap.addLayer(residenciaDisplay);
+    layer.onRemove = targetMap => targetMap.removeLayer(residenciaDisplay);
+
+    populateResidenciaSpeciesList();
+    renderResidenciaDisplay();
+}
+
+// Drops the display of a residencia layer that is being discarded: its
+// cluster group lets go of the markers and leaves the map
+function teardownResidenciaLayer() {
+    if (!residenciaDisplay) return;
+    residenciaDisplay.eachLayer(layer => {
+        if (layer.clearLayers) layer.clearLayers();
+    });
+    residenciaDisplay.clearLayers();
+    map.removeLayer(residenciaDisplay);
+    residenciaDisplay = null;
+}
+
+function isResidenciaVisible() {
+    return Boolean(dataLayers.residencia && map.hasLayer(dataLayers.residencia));
+}
+
+// Points of unknown species or geocoding level are only hidden by the filters
+// that know them
+function passesResidenciaFilter(properties) {
+    const species = String(properties.COD_ESPECIE);
+    if (CNEFE_SPECIES[species] && !residenciaFilter.species.has(species)) return false;
+
+    const level = parseInt(properties.NV_GEO_COORD, 10);
+    return isNaN(level) || level <= residenciaFilter.maxLevel;
+}
+
+function getFilteredResidencias() {
+    if (!dataLayers.residencia) return [];
+    return dataLayers.residencia.getLayers().filter(layer => passesResidenciaFilter(layer.feature.properties));
+}
+
+// Rebuilds the points shown on the map from the current mode and filters
+function renderResidenciaDisplay() {
+    if (!residenciaDisplay) return;
+
+    const markers = getFilteredResidencias();
+    residenciaDisplay.clearLayers();
+
+    if (residenciaMode === 'heatmap') {
+        residenciaDisplay.addLayer(L.heatLayer(markers.map(marker => marker.getLatLng()), RESIDENCIA_HEATMAP_OPTIONS));
+    } else if (residenciaMode === 'cluster') {
+        const clusters = L.markerClusterGroup({
+            chunkedLoading: true,
+            disableClusteringAtZoom: RESIDENCIA_CLUSTER_MAX_ZOOM,
+            spiderfyOnMaxZoom: false,
+            showCoverageOnHover: false
+        });
+        clusters.addLayers(markers);
+        residenciaDisplay.addLayer(clusters);
+    } else {
+        residenciaDisplay.addLayer(L.layerGroup(markers));
+    }
+
+    updateResidenciaCounts(markers.length);
+    updateLegend();
+}
+
+function setResidenciaMode(mode) {
+    residenciaMode = RESIDENCIA_MODES[mode] ? mode : 'cluster';
+    document.getElementById('residenciaModeSelect').value = residenciaMode;
+    renderResidenciaDisplay();
+}
+
+function setResidenciaFilter(filter) {
+    residenciaFilter = filter;
+    document.querySelectorAll('#residenciaSpeciesList input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = residenciaFilter.species.has(checkbox.value);
+    });
+    document.getElementById('residenciaPrecisionSelect').value = residenciaFilter.maxLevel;
+    renderResidenciaDisplay();
+}
+
+// One checkbox per species, with its color and number of points, which also
+// serves as the species legend of the panel
+function populateResidenciaSpeciesList() {
+    const list = document.getElementById('residenciaSpeciesList');
+    list.innerHTML = '';
+
+    const counts = {};
+    dataLayers.residencia.eachLayer(layer => {
+        const species = String(layer.feature.properties.COD_ESPECIE);
+        counts[species] = (counts[species] || 0) + 1;
+    });
+
+    for (const [code, label] of Object.entries(CNEFE_SPECIES)) {
+        const item = document.createElement('label');
+        item.className = 'attribute-checkbox';
+        item.innerHTML = `
+            <input type="checkbox" value="${code}" ${residenciaFilter.species.has(code) ? 'checked' : ''}>
+            <span class="checkmark"></span>
+            <span class="legend-color-box species-color" style="background: ${RESIDENCIA_SPECIES_COLORS[code]}"></span>
+            <span class="attribute-name">${label} (${(counts[code] || 0).toLocaleString('pt-BR')})</span>
+        `;
+        list.appendChild(item);
+    }
+}
+
+function updateResidenciaCounts(shown) {
+    const total = dataLayers.residencia ? dataLayers.residencia.getLayers().length : 0;
+    document.getElementById('residenciaCount').textContent =
+        `${shown.toLocaleString('pt-BR')} de ${total.toLocaleString('pt-BR')} pontos exibidos`;
+}
+
+function createResidenciaLegendEntry() {
+    const entry = document.createElement('div');
+    entry.className = 'legend-layer';
+
+    const title = document.createElement('div');
+    title.className = 'legend-layer-title';
+    entry.appendChild(title);
+
+    if (residenciaMode === 'heatmap') {
+        title.textContent = `${CONFIG.layers.residencia.name}: densidade de pontos`;
+        const stops = Object.entries(RESIDENCIA_HEATMAP_OPTIONS.gradient)
+            .map(([stop, color]) => `${color} ${stop * 100}%`)
+            .join(', ');
+        const ramp = document.createElement('div');
+        ramp.className = 'legend-heatmap';
+        ramp.innerHTML = `
+            <div class="legend-heatmap-ramp" style="background: linear-gradient(to right, ${stops})"></div>
+            <div class="legend-heatmap-labels"><span>Menor</span><span>Maior</span></div>
+        `;
+        entry.appendChild(ramp);
+        return entry;
+    }
+
+    title.textContent = `${CONFIG.layers.residencia.name}: espécie do endereço`;
+    const classes = document.createElement('div');
+    classes.className = 'legend-classes';
+    Object.entries(CNEFE_SPECIES)
+        .filter(([code]) => residenciaFilter.species.has(code))
+        .forEach(([code, label]) => {
+            const item = document.createElement('div');
+            item.className = 'legend-class-item';
+            item.innerHTML = `
+                <div class="legend-color-box legend-point" style="background: ${RESIDENCIA_SPECIES_COLORS[code]}"></div>
+                <span class="legend-label">${label}</span>
+            `;
+            classes.appendChild(item);
+        });
+    entry.appendChild(classes);
+
+    return entry;
+}
+
+// ==================== Spatial Join ====================
+// Counts the residence points inside each polygon of a layer, in total and by
+// CNEFE species, and stores the counts as attributes of the polygons, so the
+// popups, the details table and the thematic map can use them. Layers with a
+// census residence count also get the CNEFE x census comparison.
+const SPATIAL_JOIN_LAYERS = ['setores', 'distritos', 'deficit_hab'];
+
+// Census fields with the number of residences, in order of preference
+const CENSUS_RESIDENCE_FIELDS = ['v0007', 'NÚMERO DE RESIDÊNCIAS POR SETOR'];
+
+// The census counts private households, so only this species is compared
+const CNEFE_HOUSEHOLD_SPECIES = '1';
+
+const DEFAULT_DIVERGENCE_THRESHOLD = 20;
+
+// Last join of each layer: { threshold, counted, unmatched, divergent }
+let spatialJoins = {};
+
+async function runSpatialJoin(layerName, threshold = DEFAULT_DIVERGENCE_THRESHOLD) {
+    showLoading();
+    try {
+        await loadLayer('residencia');
+        await loadLayer(layerName);
+    } finally {
+        hideLoading();
+    }
+    if (!dataLayers.residencia || !dataLayers[layerName]) return null;
+
+    const targets = dataLayers[layerName].getLayers().map(layer => ({
+        layer,
+        bounds: layer.getBounds(),
+        polygons: getPolygons(layer.feature.geometry),
+        counts: {}
+    }));
+
+    let unmatched = 0;
+    dataLayers.residencia.eachLayer(point => {
+        const latlng = point.getLatLng();
+        const target = targets.find(({ bounds, polygons }) =>
+            bounds.contains(latlng) &&
+            polygons.some(polygon => pointInPolygon([latlng.lng, latlng.lat], polygon))
+        );
+        if (!target) {
+            unmatched++;
+            return;
+        }
+
+        const species = String(point.feature.properties.COD_ESPECIE);
+        target.counts[species] = (target.counts[species] || 0) + 1;
+    });
+
+    let counted = 0;
+    const divergent = [];
+    targets.forEach(({ layer, counts }) => {
+        const props = layer.feature.properties;
+        props.CNEFE_TOTAL = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        Object.keys(CNEFE_SPECIES).forEach(code => {
+            props[`CNEFE_${code}`] = counts[code] || 0;
+        });
+        counted += props.CNEFE_TOTAL;
+
+        if (compareWithCensus(props, threshold)) {
+            divergent.push(layer);
+        }
+    });
+
+    spatialJoins[layerName] = { threshold, counted, unmatched, divergent };
+    console.log(`Spatial join of ${layerName}: ${counted} points counted, ${unmatched} outside every polygon, ${divergent.length} divergent features`);
+
+    refreshComputedAttributes(layerName);
+    return spatialJoins[layerName];
+}
+
+// Runs the join a map restored from a link needs for its CNEFE_* attribute
+async function ensureSpatialJoin(layerName, attribute) {
+    if (attribute.startsWith('CNEFE_') && SPATIAL_JOIN_LAYERS.includes(layerName) && !spatialJoins[layerName]) {
+        await runSpatialJoin(layerName);
+    }
+}
+
+// Stores the CNEFE households x census residences difference; returns
+// whether it is beyond threshold (%)
+function compareWithCensus(props, threshold) {
+    const field = CENSUS_RESIDENCE_FIELDS.find(name => toNumber(props[name]) !== null);
+    if (!field) return false;
+
+    const census = toNumber(props[field]);
+    const households = props[`CNEFE_${CNEFE_HOUSEHOLD_SPECIES}`];
+    const difference = households - census;
+    const percent = census > 0 ? difference / census * 100 : null;
+    const isDivergent = percent === null ? households > 0 : Math.abs(percent) > threshold;
+
+    props.CNEFE_DIFERENCA = difference;
+    props.CNEFE_DIFERENCA_PCT = percent;
+    props.CNEFE_DIVERGENTE = isDivergent ? 'Sim' : 'Não';
+    return isDivergent;
+}
+
+// Makes the new attributes show up wherever the layer's fields are listed
+function refreshComputedAttributes(layerName) {
+    if (thematicLayerName === layerName) {
+        updateThematicAttributeOptions();
+    }
+    if (document.getElementById('compareLayerSelect').value === layerName) {
+        populateCompareAttributeOptions();
+    }
+    if (document.getElementById('spatialStatsLayerSelect').value === layerName) {
+        populateSpatialStatsAttributeOptions();
+    }
+    if (isAttributeGridOpen() && attributeGrid.layerName === layerName) {
+        openAttributeGrid(layerName);
+    }
+    if (layerName === 'setores') {
+        populateQueryFieldOptions();
+        populateDerivedFieldOptions();
+    }
+}
+
+function getSpatialJoinPopupContent(props) {
+    let content = '<h4>Endereços do CNEFE</h4>';
+    content += `<p><strong>Total:</strong> ${props.CNEFE_TOTAL.toLocaleString('pt-BR')}</p>`;
+
+    Object.entries(CNEFE_SPECIES)
+        .filter(([code]) => props[`CNEFE_${code}`] > 0)
+        .forEach(([code, label]) => {
+            content += `<p><strong>${label}:</strong> ${props[`CNEFE_${code}`].toLocaleString('pt-BR')}</p>`;
+        });
+
+    if (props.CNEFE_DIVERGENTE === 'Sim') {
+        const percent = props.CNEFE_DIFERENCA_PCT === null ? '' :
+            ` (${formatSignedPercent(props.CNEFE_DIFERENCA_PCT)})`;
+        content += `<p class="popup-warning">⚠ Domicílios do CNEFE divergem do censo${percent}</p>`;
+    }
+    return content;
+}
+
+function formatSignedPercent(value) {
+    const text = value.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+    return value > 0 ? `+${text}%` : `${text}%`;
+}
+
+// Name of a polygon as HTML; user files can have these fields too
+function getJoinFeatureName(props) {
+    return escapeHtml(props.CD_SETOR ? `Setor ${props.CD_SETOR}` : props.NM_DIST || '-');
+}
+
+function renderSpatialJoinResults(layerName) {
+    const container = document.getElementById('spatialJoinResults');
+    const join = spatialJoins[layerName];
+    container.innerHTML = '';
+    if (!join) return;
+
+    const summary = document.createElement('p');
+    summary.className = 'thematic-hint';
+    summary.textContent = `${join.counted.toLocaleString('pt-BR')} endereços contados em ${CONFIG.layers[layerName].name}` +
+        (join.unmatched > 0 ? `; ${join.unmatched.toLocaleString('pt-BR')} fora de todos os polígonos.` : '.');
+    container.appendChild(summary);
+
+    const title = document.createElement('p');
+    title.className = 'thematic-label';
+    title.textContent = join.divergent.length > 0 ?
+        `${join.divergent.length} com diferença acima de ${join.threshold}% em relação ao censo:` :
+        `Nenhuma diferença acima de ${join.threshold}% em relação ao censo.`;
+    container.appendChild(title);
+
+    const list = document.createElement('div');
+    list.className = 'result-list';
+    join.divergent.forEach(layer => {
+        const props = layer.feature.properties;
+        const census = toNumber(props[CENSUS_RESIDENCE_FIELDS.find(name => toNumber(props[name]) !== null)]);
+        const households = props[`CNEFE_${CNEFE_HOUSEHOLD_SPECIES}`];
+
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'result-item';
+        item.innerHTML = `
+            <span class="result-name">${getJoinFeatureName(props)}</span>
+            <span class="result-values">CNEFE ${households.toLocaleString('pt-BR')} × censo ${census.toLocaleString('pt-BR')}${props.CNEFE_DIFERENCA_PCT === null ? '' : ` (${formatSignedPercent(props.CNEFE_DIFERENCA_PCT)})`}</span>
+        `;
+        item.addEventListener('click', () => focusFeature(layerName, layer));
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+// ==================== Vulnerability Index ====================
+// Composite housing vulnerability index of the census sectors. The chosen
+// indicators are rescaled (min-max or z-score), turned so that higher always
+// means more vulnerable and averaged with the user's weights. The index and
+// the ranking are stored in the features, so they map, query and export
+// like any other attribute.
+const VULNERABILITY_INDEX_STORAGE_KEY = 'geoportal-natividade:vulnerability-index';
+const VULNERABILITY_INDEX_FIELD = 'IVH';
+const VULNERABILITY_RANK_FIELD = 'IVH_RANK';
+const VULNERABILITY_RANKING_SIZE = 10;
+
+// Candidate indicators: attribute, its "divide by" (see NORMALIZATION_OPTIONS)
+// and whether higher values mean less vulnerability
+const VULNERABILITY_INDICATORS = {
+    semEsgoto: {
+        label: 'Sem rede de esgoto (%)',
+        attribute: 'TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZA REDE DE ESGOTO GERAL OU PLUVIAL POR SETOR',
+        normalizeBy: 'GROUP_TOTAL'
+    },
+    semColeta: {
+        label: 'Sem coleta de lixo (%)',
+        attribute: 'TOTAL DE RESIDÊNCIAS SEM COLETA DE LIXO POR SERVIÇO DE LIMPEZA POR SETOR',
+        normalizeBy: 'GROUP_TOTAL'
+    },
+    improvisadas: {
+        label: 'Moradias improvisadas (por domicílio)',
+        attribute: 'TOTAL DE MORADIAS TEMPORÁRIAS E IMPROVISADAS POR SETOR',
+        normalizeBy: 'v0003'
+    },
+    baixaRenda: {
+        label: 'Baixa renda (renda média)',
+        attribute: 'RENDIMENTO NOMINAL MÉDIO POR SETOR',
+        normalizeBy: '',
+        inverse: true
+    },
+    analfabetismo: {
+        label: 'Analfabetismo (% da população)',
+        attribute: 'NÚMERO DE PESSOAS ANALFABETAS POR SETOR',
+        normalizeBy: 'v0001'
+    }
+};
+
+const VULNERABILITY_SCALINGS = {
+    minmax: 'Mínimo-máximo (0 a 1)',
+    zscore: 'Escore z'
+};
+
+// { layerName, scaling, weights: { indicator key: weight } }, where a
+// weight of 0 leaves the indicator out
+let vulnerabilitySettings = getDefaultVulnerabilitySettings();
+// Results by layer name: { settings, ranked: feature layers by rank, excluded }
+let vulnerabilityIndexes = {};
+
+function getDefaultVulnerabilitySettings() {
+    return {
+        layerName: 'setores',
+        scaling: 'minmax',
+        weights: Object.fromEntries(Object.keys(VULNERABILITY_INDICATORS).map(key => [key, 1]))
+    };
+}
+
+function loadVulnerabilitySettings() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(VULNERABILITY_INDEX_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Não foi possível ler o índice de vulnerabilidade salvo:', error);
+    }
+
+    const settings = getDefaultVulnerabilitySettings();
+    if (stored && typeof stored === 'object') {
+        if (SECTOR_LAYERS.includes(stored.layerName)) settings.layerName = stored.layerName;
+        if (VULNERABILITY_SCALINGS[stored.scaling]) settings.scaling = stored.scaling;
+        Object.keys(settings.weights).forEach(key => {
+            const weight = stored.weights ? Number(stored.weights[key]) : NaN;
+            if (weight >= 0) settings.weights[key] = weight;
+        });
+    }
+    vulnerabilitySettings = settings;
+}
+
+function saveVulnerabilitySettings() {
+    try {
+        localStorage.setItem(VULNERABILITY_INDEX_STORAGE_KEY, JSON.stringify(vulnerabilitySettings));
+    } catch (error) {
+        console.warn('Não foi possível salvar o índice de vulnerabilidade:', error);
+    }
+}
+
+async function computeVulnerabilityIndex(settings) {
+    const { layerName, scaling, weights } = settings;
+    const indicators = Object.keys(VULNERABILITY_INDICATORS).filter(key => weights[key] > 0);
+    if (indicators.length === 0) {
+        throw new Error('Dê peso maior que zero a pelo menos um indicador.');
+    }
+
+    showLoading();
+    try {
+        await loadLayer(layerName);
+    } finally {
+        hideLoading();
+    }
+    if (!dataLayers[layerName]) return null;
+
+    const layers = dataLayers[layerName].getLayers();
+    const scores = layers.map(() => 0);
+    const complete = layers.map(() => true);
+    const totalWeight = indicators.reduce((sum, key) => sum + weights[key], 0);
+
+    indicators.forEach(key => {
+        const { attribute, normalizeBy, inverse } = VULNERABILITY_INDICATORS[key];
+        const values = layers.map(layer => getNormalizedValue(layer.feature.properties, attribute, normalizeBy));
+        const rescale = getVulnerabilityScaling(values.filter(value => value !== null), scaling);
+
+        values.forEach((value, i) => {
+            if (value === null) {
+                complete[i] = false;
+                return;
+            }
+            const score = rescale(value);
+            scores[i] += (inverse ? (scaling === 'minmax' ? 1 - score : -score) : score) * weights[key];
+        });
+    });
+
+    // Sectors missing any indicator stay out of the index and the ranking
+    const ranked = [];
+    layers.forEach((layer, i) => {
+        const props = layer.feature.properties;
+        props[VULNERABILITY_INDEX_FIELD] = complete[i] ? scores[i] / totalWeight : null;
+        props[VULNERABILITY_RANK_FIELD] = null;
+        if (complete[i]) ranked.push(layer);
+    });
+
+    ranked.sort((a, b) => b.feature.properties[VULNERABILITY_INDEX_FIELD] - a.feature.properties[VULNERABILITY_INDEX_FIELD]);
+    ranked.forEach((layer, i) => {
+        layer.feature.properties[VULNERABILITY_RANK_FIELD] = i + 1;
+    });
+
+    vulnerabilityIndexes[layerName] = {
+        settings: { ...settings, weights: { ...weights } },
+        ranked,
+        excluded: layers.length - ranked.length
+    };
+    console.log(`Vulnerability index of ${layerName}: ${ranked.length} features ranked, ${layers.length - ranked.length} without data`);
+
+    refreshComputedAttributes(layerName);
+    refreshVulnerabilityMaps(layerName);
+    return vulnerabilityIndexes[layerName];
+}
+
+// Function from an indicator's values to their min-max or z-score scale;
+// constant indicators score 0 everywhere
+function getVulnerabilityScaling(values, scaling) {
+    if (values.length === 0) return () => 0;
+
+    if (scaling === 'zscore') {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+        return value => sd > 0 ? (value - mean) / sd : 0;
+    }
+
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+    return value => range > 0 ? (value - min) / range : 0;
+}
+
+// Reclassifies the maps of the layer that show the recomputed index
+function refreshVulnerabilityMaps(layerName) {
+    const usesIndex = attribute => attribute === VULNERABILITY_INDEX_FIELD || attribute === VULNERABILITY_RANK_FIELD;
+
+    const thematic = thematicMaps[layerName];
+    if (thematic && usesIndex(thematic.attribute)) {
+        thematicMaps[layerName] = buildThematicMap(layerName, thematic.attribute, thematic.settings);
+        restyleThematicLayer(layerName);
+        updateLegend();
+    }
+
+    const bivariate = bivariateMaps[layerName];
+    if (bivariate && (usesIndex(bivariate.attribute) || usesIndex(bivariate.attributeY))) {
+        applyBivariateMapping(bivariate.attribute, bivariate.attributeY, bivariate.palette, layerName);
+    }
+
+    if (isComparedLayer(layerName) && COMPARE_SIDES.some(side => usesIndex(comparison[side].attribute))) {
+        startComparison(layerName, { left: comparison.left, right: comparison.right }, comparison.position);
+    }
+}
+
+// Computes the index with the saved settings for a map restored from a link
+async function ensureVulnerabilityIndex(layerName, attribute) {
+    const isIndex = attribute === VULNERABILITY_INDEX_FIELD || attribute === VULNERABILITY_RANK_FIELD;
+    if (isIndex && SECTOR_LAYERS.includes(layerName) && !vulnerabilityIndexes[layerName]) {
+        await computeVulnerabilityIndex({ ...vulnerabilitySettings, layerName });
+    }
+}
+
+// Attributes computed in the browser (CNEFE counts, vulnerability index)
+// that a restored map may need before it can be drawn
+async function ensureComputedAttribute(layerName, attribute) {
+    await ensureSpatialJoin(layerName, attribute);
+    await ensureVulnerabilityIndex(layerName, attribute);
+}
+
+function renderVulnerabilityIndicators() {
+    const list = document.getElementById('vulnerabilityIndicatorsList');
+    list.innerHTML = '';
+
+    Object.entries(VULNERABILITY_INDICATORS).forEach(([key, indicator]) => {
+        const row = document.createElement('label');
+        row.className = 'vulnerability-indicator';
+        row.innerHTML = `
+            <span class="attribute-name">${indicator.label}</span>
+            <input type="number" class="thematic-input" min="0" step="0.5" data-indicator="${key}"
+                value="${vulnerabilitySettings.weights[key]}" title="Peso (0 exclui o indicador)">
+        `;
+        list.appendChild(row);
+    });
+
+    document.getElementById('vulnerabilityLayerSelect').value = vulnerabilitySettings.layerName;
+    document.getElementById('vulnerabilityScalingSelect').value = vulnerabilitySettings.scaling;
+}
+
+function readVulnerabilitySettings() {
+    const weights = {};
+    document.querySelectorAll('#vulnerabilityIndicatorsList input[data-indicator]').forEach(input => {
+        const weight = parseFloat(input.value);
+        weights[input.dataset.indicator] = weight > 0 ? weight : 0;
+    });
+
+    return {
+        layerName: document.getElementById('vulnerabilityLayerSelect').value,
+        scaling: document.getElementById('vulnerabilityScalingSelect').value,
+        weights
+    };
+}
+
+function renderVulnerabilityRanking(layerName) {
+    const container = document.getElementById('vulnerabilityResults');
+    const index = vulnerabilityIndexes[layerName];
+    container.innerHTML = '';
+    document.getElementById('mapVulnerabilityBtn').style.display = index ? 'flex' : 'none';
+    if (!index) return;
+
+    const summary = document.createElement('p');
+    summary.className = 'thematic-hint';
+    summary.textContent = `${index.ranked.length} setores classificados em ${CONFIG.layers[layerName].name}` +
+        (index.excluded > 0 ? `; ${index.excluded} sem dados para algum indicador.` : '.');
+    container.appendChild(summary);
+
+    const title = document.createElement('p');
+    title.className = 'thematic-label';
+    title.textContent = `${Math.min(VULNERABILITY_RANKING_SIZE, index.ranked.length)} setores mais vulneráveis:`;
+    container.appendChild(title);
+
+    const list = document.createElement('div');
+    list.className = 'result-list';
+    index.ranked.slice(0, VULNERABILITY_RANKING_SIZE).forEach(layer => {
+        const props = layer.feature.properties;
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'result-item';
+        item.innerHTML = `
+            <span class="result-name">${props[VULNERABILITY_RANK_FIELD]}º · ${getJoinFeatureName(props)}</span>
+            <span class="result-values">Índice ${formatAttributeValue(VULNERABILITY_INDEX_FIELD, props[VULNERABILITY_INDEX_FIELD], layerName)}</span>
+        `;
+        item.addEventListener('click', () => focusFeature(layerName, layer));
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+// The index of a sector with its rank and the indicator values used
+function getVulnerabilityPopupContent(layerName, props) {
+    const index = vulnerabilityIndexes[layerName];
+    if (props[VULNERABILITY_INDEX_FIELD] === null) {
+        return '<h4>Vulnerabilidade Habitacional</h4><p>Sem dados para algum indicador do índice.</p>';
+    }
+
+    let content = '<h4>Vulnerabilidade Habitacional</h4>';
+    content += `<p><strong>${getAttributeLabel(VULNERABILITY_INDEX_FIELD)}:</strong> ${escapeHtml(formatAttributeValue(VULNERABILITY_INDEX_FIELD, props[VULNERABILITY_INDEX_FIELD], layerName))}</p>`;
+    content += `<p><strong>Posição:</strong> ${escapeHtml(props[VULNERABILITY_RANK_FIELD])}º de ${index.ranked.length}</p>`;
+    return content;
+}
+
+// Ranked sectors with the index and the indicator values, most vulnerable first
+function getVulnerabilityExportFeatures(layerName) {
+    const index = vulnerabilityIndexes[layerName];
+    const indicators = Object.keys(VULNERABILITY_INDICATORS).filter(key => index.settings.weights[key] > 0);
+
+    return index.ranked.map(layer => {
+        const props = layer.feature.properties;
+        const feature = getFeatureGeoJSON(layer);
+        feature.properties = {
+            [VULNERABILITY_RANK_FIELD]: props[VULNERABILITY_RANK_FIELD],
+            [VULNERABILITY_INDEX_FIELD]: props[VULNERABILITY_INDEX_FIELD],
+            CD_SETOR: props.CD_SETOR,
+            ID_SETOR: props.ID_SETOR,
+            NM_DIST: props.NM_DIST,
+            ...Object.fromEntries(indicators.map(key => {
+                const { label, attribute, normalizeBy } = VULNERABILITY_INDICATORS[key];
+                return [label, getNormalizedValue(props, attribute, normalizeBy)];
+            }))
+        };
+        return feature;
+    });
+}
+
+// ==================== Spatial Statistics ====================
+// Global Moran's I and local Moran (LISA) of a sector indicator. Sectors are
+// neighbors when their polygons share a vertex (queen) or an edge (rook),
+// and the weights are row-standardized. Significance comes from random
+// permutations with a fixed seed, so the same link draws the same map.
+// The local results are stored in the features (LISA_* fields) and the
+// cluster map replaces the layer's choropleth or bivariate map.
+const CONTIGUITY_TYPES = {
+    queen: 'Rainha (vértice comum)',
+    rook: 'Torre (aresta comum)'
+};
+
+const LISA_CLUSTERS = {
+    HH: { label: 'Alto-Alto', color: '#d7191c' },
+    LL: { label: 'Baixo-Baixo', color: '#2c7bb6' },
+    HL: { label: 'Alto-Baixo', color: '#fdae61' },
+    LH: { label: 'Baixo-Alto', color: '#abd9e9' },
+    NS: { label: 'Não significativo', color: '#eeeeee' },
+    NA: { label: 'Sem vizinhos ou sem dado', color: '#bdbdbd' }
+};
+
+const LISA_PERMUTATIONS = [99, 499, 999];
+const LISA_SIGNIFICANCE_LEVELS = [0.05, 0.01, 0.001];
+const SPATIAL_STATS_SEED = 20240601;
+// Decimal places of the degrees compared to match vertices (about 1 cm)
+const CONTIGUITY_PRECISION = 7;
+
+// LISA maps by layer name: { settings, moran, clusters: feature layer → key
+// of LISA_CLUSTERS, counts by cluster, analyzed, islands, missing }
+let lisaMaps = {};
+// Neighbor index lists by "layer:contiguity", in the order of getLayers()
+let contiguityCache = {};
+
+function isLisaMapShown(layerName) {
+    const symbols = symbolMaps[layerName];
+    return Boolean(lisaMaps[layerName]) && !(symbols && !symbols.overlay) && !isComparedLayer(layerName);
+}
+
+function getContiguityNeighbors(layerName, contiguity) {
+    const key = `${layerName}:${contiguity}`;
+    if (contiguityCache[key]) return contiguityCache[key];
+
+    const layers = dataLayers[layerName].getLayers();
+    const neighbors = layers.map(() => new Set());
+    // Vertex (queen) or edge (rook) → features whose rings contain it
+    const owners = new Map();
+
+    layers.forEach((layer, i) => {
+        getPolygons(layer.feature.geometry).forEach(polygon => polygon.forEach(ring => {
+            const vertices = ring.map(([x, y]) => `${x.toFixed(CONTIGUITY_PRECISION)},${y.toFixed(CONTIGUITY_PRECISION)}`);
+            const keys = contiguity === 'rook'
+                ? vertices.slice(1).map((vertex, j) => [vertices[j], vertex].sort().join('|'))
+                : vertices;
+
+            keys.forEach(part => {
+                let features = owners.get(part);
+                if (!features) {
+                    features = new Set();
+                    owners.set(part, features);
+                }
+                features.forEach(j => {
+                    if (j !== i) {
+                        neighbors[i].add(j);
+                        neighbors[j].add(i);
+                    }
+                });
+                features.add(i);
+            });
+        }));
+    });
+
+    contiguityCache[key] = neighbors.map(set => Array.from(set));
+    return contiguityCache[key];
+}
+
+async function runSpatialAutocorrelation(settings) {
+    const { layerName, attribute, normalizeBy, contiguity, permutations, alpha } = settings;
+    if (!attribute) {
+        throw new Error('Selecione um atributo para analisar.');
+    }
+
+    showLoading();
+    try {
+        await loadLayer(layerName);
+        await ensureComputedAttribute(layerName, attribute);
+    } finally {
+        hideLoading();
+    }
+    if (!dataLayers[layerName]) return null;
+
+    const layers = dataLayers[layerName].getLayers();
+    const values = layers.map(layer => getNormalizedValue(layer.feature.properties, attribute, normalizeBy));
+    const input = getMoranInput(values, getContiguityNeighbors(layerName, contiguity));
+    if (input.z.length < 3 || input.z.every(value => value === 0)) {
+        throw new Error('O atributo precisa ter valores diferentes em pelo menos três setores.');
+    }
+
+    const random = createSeededRandom(SPATIAL_STATS_SEED);
+    const moran = computeGlobalMoran(input, permutations, random);
+    const local = computeLocalMoran(input, permutations, random);
+
+    const clusters = new Map();
+    const counts = Object.fromEntries(Object.keys(LISA_CLUSTERS).map(key => [key, 0]));
+    layers.forEach(layer => {
+        Object.assign(layer.feature.properties, { LISA_CLUSTER: LISA_CLUSTERS.NA.label, LISA_I: null, LISA_P: null });
+    });
+    input.valid.forEach((index, i) => {
+        const result = local[i];
+        if (!result) return;
+
+        const cluster = getLisaCluster(result, alpha);
+        clusters.set(layers[index], cluster);
+        Object.assign(layers[index].feature.properties, {
+            LISA_CLUSTER: LISA_CLUSTERS[cluster].label,
+            LISA_I: result.value,
+            LISA_P: result.pValue
+        });
+    });
+    layers.forEach(layer => counts[clusters.get(layer) || 'NA']++);
+
+    delete thematicMaps[layerName];
+    delete bivariateMaps[layerName];
+    lisaMaps[layerName] = {
+        settings: { ...settings },
+        moran,
+        clusters,
+        counts,
+        analyzed: input.z.length,
+        islands: input.neighbors.filter(list => list.length === 0).length,
+        missing: layers.length - input.z.length
+    };
+    console.log(`Moran's I of ${attribute} in ${layerName}: ${moran.value.toFixed(4)} (p = ${moran.pValue.toFixed(3)})`);
+
+    restyleThematicLayer(layerName);
+    updateLegend();
+    refreshComputedAttributes(layerName);
+    if (thematicLayerName === layerName) {
+        syncThematicPanel();
+    }
+    updatePermalink(true);
+    return lisaMaps[layerName];
+}
+
+// Also takes the LISA_* fields off the features, so that they no longer show
+// in popups, the grid or exports
+function resetLisaMap(layerName) {
+    if (!lisaMaps[layerName]) return;
+
+    delete lisaMaps[layerName];
+    dataLayers[layerName].eachLayer(layer => {
+        Object.keys(LISA_SCHEMA).forEach(field => delete layer.feature.properties[field]);
+    });
+
+    restyleThematicLayer(layerName);
+    updateLegend();
+    refreshComputedAttributes(layerName);
+    updatePermalink(true);
+}
+
+// Deviations from the mean of the features that have a value, with the
+// neighbor lists restricted to those features
+function getMoranInput(values, neighbors) {
+    const valid = [];
+    const position = values.map((value, i) => value === null ? -1 : valid.push(i) - 1);
+    const mean = valid.reduce((sum, i) => sum + values[i], 0) / valid.length;
+
+    return {
+        valid,
+        z: valid.map(i => values[i] - mean),
+        neighbors: valid.map(i => neighbors[i].map(j => position[j]).filter(j => j !== -1))
+    };
+}
+
+function getSpatialLag(z, neighbors) {
+    return neighbors.reduce((sum, j) => sum + z[j], 0) / neighbors.length;
+}
+
+// Features without neighbors have no lag and add nothing to the sum of weights
+function getMoranI(z, neighbors) {
+    let cross = 0;
+    let squares = 0;
+    let weights = 0;
+    z.forEach((value, i) => {
+        squares += value * value;
+        if (neighbors[i].length === 0) return;
+        cross += value * getSpatialLag(z, neighbors[i]);
+        weights++;
+    });
+    return weights > 0 && squares > 0 ? (z.length / weights) * cross / squares : 0;
+}
+
+function computeGlobalMoran({ z, neighbors }, permutations, random) {
+    const value = getMoranI(z, neighbors);
+    const shuffled = z.slice();
+    const simulated = [];
+
+    for (let r = 0; r < permutations; r++) {
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        simulated.push(getMoranI(shuffled, neighbors));
+    }
+
+    const mean = simulated.reduce((sum, sample) => sum + sample, 0) / permutations;
+    const sd = Math.sqrt(simulated.reduce((sum, sample) => sum + (sample - mean) ** 2, 0) / permutations);
+    return {
+        value,
+        expected: -1 / (z.length - 1),
+        zScore: sd > 0 ? (value - mean) / sd : 0,
+        pValue: getPseudoPValue(value, simulated),
+        permutations
+    };
+}
+
+// Local Moran of each feature by conditional permutation: the feature keeps
+// its value and its neighbors are drawn from all the others. Null for
+// features without neighbors.
+function computeLocalMoran({ z, neighbors }, permutations, random) {
+    const variance = z.reduce((sum, value) => sum + value * value, 0) / z.length;
+
+    return z.map((value, i) => {
+        const count = neighbors[i].length;
+        if (count === 0) return null;
+
+        const lag = getSpatialLag(z, neighbors[i]);
+        const others = z.filter((_, j) => j !== i);
+        const simulated = [];
+        for (let r = 0; r < permutations; r++) {
+            let sum = 0;
+            for (let t = 0; t < count; t++) {
+                const pick = t + Math.floor(random() * (others.length - t));
+                [others[t], others[pick]] = [others[pick], others[t]];
+                sum += others[t];
+            }
+            simulated.push(value * (sum / count) / variance);
+        }
+
+        const local = value * lag / variance;
+        return { deviation: value, lag, value: local, pValue: getPseudoPValue(local, simulated) };
+    });
+}
+
+// Share of permutations at least as extreme as the observed value, on the
+// side of the reference distribution where it falls
+function getPseudoPValue(observed, simulated) {
+    const above = simulated.filter(sample => sample >= observed).length;
+    const extreme = Math.min(above, simulated.length - above);
+    return (extreme + 1) / (simulated.length + 1);
+}
+
+function getLisaCluster({ deviation, lag, pValue }, alpha) {
+    if (pValue > alpha) return 'NS';
+    if (deviation > 0) return lag > 0 ? 'HH' : 'HL';
+    return lag > 0 ? 'LH' : 'LL';
+}
+
+function getLisaTitle({ settings }) {
+    return getThematicTitle(settings.layerName, { attribute: settings.attribute, settings });
+}
+
+function getMoranSummary(moran) {
+    const format = (value, digits) => value.toLocaleString('pt-BR', { maximumFractionDigits: digits });
+    return `I de Moran ${format(moran.value, 3)} · pseudo p ${format(moran.pValue, 3)}`;
+}
+
+function getMoranInterpretation(moran, alpha) {
+    if (moran.pValue > alpha) {
+        return 'Sem autocorrelação espacial significativa: o padrão é compatível com uma distribuição aleatória.';
+    }
+    return moran.value > moran.expected
+        ? 'Agrupamento espacial significativo: setores vizinhos tendem a ter valores semelhantes.'
+        : 'Dispersão espacial significativa: setores vizinhos tendem a ter valores contrastantes.';
+}
+
+function createLisaLegendEntry(layerName) {
+    const lisa = lisaMaps[layerName];
+
+    const entry = document.createElement('div');
+    entry.className = 'legend-layer';
+
+    const title = document.createElement('div');
+    title.className = 'legend-layer-title';
+    title.textContent = `${CONFIG.layers[layerName].name}: LISA de ${getLisaTitle(lisa)}`;
+    entry.appendChild(title);
+
+    entry.appendChild(createLisaClassList(lisa));
+
+    const info = document.createElement('div');
+    info.className = 'legend-gvf';
+    info.textContent = `${getMoranSummary(lisa.moran)} · ${CONTIGUITY_TYPES[lisa.settings.contiguity]} · α = ${lisa.settings.alpha.toLocaleString('pt-BR')}`;
+    entry.appendChild(info);
+
+    return entry;
+}
+
+function createLisaClassList(lisa) {
+    const classes = document.createElement('div');
+    classes.className = 'legend-classes';
+    Object.entries(LISA_CLUSTERS).forEach(([key, cluster]) => {
+        const item = document.createElement('div');
+        item.className = 'legend-class-item';
+        item.innerHTML = `
+            <div class="legend-color-box" style="background: ${cluster.color}"></div>
+            <span class="legend-label">${cluster.label} (${lisa.counts[key]})</span>
+        `;
+        classes.appendChild(item);
+    });
+    return classes;
+}
+
+function populateSpatialStatsControls() {
+    populateSpatialStatsAttributeOptions();
+
+    const normalization = document.getElementById('spatialStatsNormalizationSelect');
+    normalization.innerHTML = document.getElementById('normalizationSelect').innerHTML;
+    normalization.value = '';
+}
+
+function populateSpatialStatsAttributeOptions() {
+    const layerName = document.getElementById('spatialStatsLayerSelect').value;
+    renderAttributeOptions(document.getElementById('spatialStatsAttributeSelect'), layerName);
+}
+
+// Shows the settings and results of a LISA map restored from a link
+function syncSpatialStatsPanel(settings) {
+    document.getElementById('spatialStatsLayerSelect').value = settings.layerName;
+    populateSpatialStatsAttributeOptions();
+    document.getElementById('spatialStatsAttributeSelect').value = settings.attribute;
+    document.getElementById('spatialStatsNormalizationSelect').value = settings.normalizeBy;
+    document.getElementById('spatialStatsContiguitySelect').value = settings.contiguity;
+    document.getElementById('spatialStatsPermutationsSelect').value = String(settings.permutations);
+    document.getElementById('spatialStatsAlphaSelect').value = String(settings.alpha);
+    renderSpatialStatsResults(settings.layerName);
+}
+
+function readSpatialStatsSettings() {
+    return {
+        layerName: document.getElementById('spatialStatsLayerSelect').value,
+        attribute: document.getElementById('spatialStatsAttributeSelect').value,
+        normalizeBy: document.getElementById('spatialStatsNormalizationSelect').value,
+        contiguity: document.getElementById('spatialStatsContiguitySelect').value,
+        permutations: parseInt(document.getElementById('spatialStatsPermutationsSelect').value, 10),
+        alpha: parseFloat(document.getElementById('spatialStatsAlphaSelect').value)
+    };
+}
+
+function renderSpatialStatsResults(layerName) {
+    const container = document.getElementById('spatialStatsResults');
+    const lisa = lisaMaps[layerName];
+    container.innerHTML = '';
+    document.getElementById('clearLisaBtn').style.display = lisa ? 'flex' : 'none';
+    if (!lisa) return;
+
+    const { moran, settings } = lisa;
+    const format = (value, digits) => value.toLocaleString('pt-BR', { maximumFractionDigits: digits });
+
+    const title = document.createElement('p');
+    title.className = 'thematic-label';
+    title.textContent = getLisaTitle(lisa);
+    container.appendChild(title);
+
+    const summary = document.createElement('p');
+    summary.className = 'thematic-hint';
+    summary.textContent = `${getMoranSummary(moran)} (${moran.permutations} permutações) · ` +
+        `esperado ${format(moran.expected, 3)} · z ${format(moran.zScore, 2)}`;
+    container.appendChild(summary);
+
+    const interpretation = document.createElement('p');
+    interpretation.className = 'thematic-hint';
+    interpretation.textContent = getMoranInterpretation(moran, settings.alpha);
+    container.appendChild(interpretation);
+
+    const coverage = document.createElement('p');
+    coverage.className = 'thematic-hint';
+    coverage.textContent = `${lisa.analyzed} setores analisados` +
+        (lisa.islands > 0 ? `, ${lisa.islands} sem vizinhos` : '') +
+        (lisa.missing > 0 ? `; ${lisa.missing} sem dado` : '') + '.';
+    container.appendChild(coverage);
+
+    container.appendChild(createLisaClassList(lisa));
+}
+
+function getLisaPopupContent(layerName, props) {
+    let content = '<h4>Autocorrelação Espacial (LISA)</h4>';
+    content += `<p><strong>${getAttributeLabel('LISA_CLUSTER')}:</strong> ${escapeHtml(props.LISA_CLUSTER)}</p>`;
+    if (props.LISA_I !== null) {
+        content += `<p><strong>${getAttributeLabel('LISA_I')}:</strong> ${escapeHtml(formatAttributeValue('LISA_I', props.LISA_I, layerName))}</p>`;
+        content += `<p><strong>${getAttributeLabel('LISA_P')}:</strong> ${escapeHtml(formatAttributeValue('LISA_P', props.LISA_P, layerName))}</p>`;
+    }
+    return content;
+}
+
+// Every sector of the layer with its cluster, local Moran and analyzed value
+function getLisaExportFeatures(layerName) {
+    const { attribute, normalizeBy } = lisaMaps[layerName].settings;
+
+    return dataLayers[layerName].getLayers().map(layer => {
+        const props = layer.feature.properties;
+        const feature = getFeatureGeoJSON(layer);
+        feature.properties = {
+            CD_SETOR: props.CD_SETOR,
+            ID_SETOR: props.ID_SETOR,
+            NM_DIST: props.NM_DIST,
+            [getLisaTitle(lisaMaps[layerName])]: getNormalizedValue(props, attribute, normalizeBy),
+            LISA_CLUSTER: props.LISA_CLUSTER,
+            LISA_I: props.LISA_I,
+            LISA_P: props.LISA_P
+        };
+        return feature;
+    });
+}
+
+// ==================== Drawing and Measurement ====================
+// Distance lines, polygons, circles and buffers drawn on the map. Closed
+// shapes report the residences inside them and the census sector attributes
+// apportioned by the share of each sector's area they cover.
+const DRAW_TOOLS = {
+    distance: 'Distância',
+    polygon: 'Polígono',
+    circle: 'Círculo',
+    buffer: 'Buffer'
+};
+
+const DRAW_HINTS = {
+    distance: 'Clique para adicionar pontos; duplo clique termina a linha.',
+    polygon: 'Clique para adicionar vértices; duplo clique fecha o polígono.',
+    circle: 'Clique no centro e depois na borda do círculo.',
+    buffer: 'Clique no ponto em torno do qual traçar o buffer.'
+};
+
+const DRAW_STYLE = {
+    pane: 'drawPane',
+    color: '#fbbf24',
+    weight: 2,
+    fillColor: '#fbbf24',
+    fillOpacity: 0.15
+};
+const DRAW_PREVIEW_STYLE = { ...DRAW_STYLE, dashArray: '6 4', interactive: false };
+
+// Counts split among sectors by covered area; the income is an average, so
+// it is weighted by the occupied households apportioned the same way
+const AREA_WEIGHTED_FIELDS = ['v0001', 'v0002', 'v0003', 'v0007'];
+const AREA_WEIGHTED_INCOME = 'RENDIMENTO NOMINAL MÉDIO POR SETOR';
+const AREA_WEIGHTED_INCOME_WEIGHT = 'v0003';
+
+// Tool in use: { tool, latlngs, preview }
+let drawState = null;
+// Finished shapes: { id, tool, name, layer, geometry, length, area, radius, stats }
+let drawnShapes = [];
+let drawLayerGroup = null;
+let drawShapeCount = 0;
+
+function isDrawing() {
+    return drawState !== null;
+}
+
+function startDrawTool(tool) {
+    cancelDrawing();
+    if (typeof turf === 'undefined') {
+        alert('A biblioteca de geoprocessamento não foi carregada. Verifique a conexão e tente novamente.');
+        return;
+    }
+
+    drawState = { tool, latlngs: [], preview: null };
+    map.doubleClickZoom.disable();
+    map.getContainer().classList.add('drawing-active');
+    document.querySelectorAll('.draw-tool-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+    document.getElementById('drawHint').textContent = DRAW_HINTS[tool];
+}
+
+function cancelDrawing() {
+    if (!drawState) return;
+
+    if (drawState.preview) {
+        map.removeLayer(drawState.preview);
+    }
+    drawState = null;
+    map.doubleClickZoom.enable();
+    map.getContainer().classList.remove('drawing-active');
+    document.querySelectorAll('.draw-tool-btn').forEach(button => button.classList.remove('active'));
+    document.getElementById('drawHint').textContent = 'Escolha uma ferramenta.';
+}
+
+function handleDrawClick(e) {
+    if (!drawState) return;
+    const { tool, latlngs } = drawState;
+
+    if (tool === 'buffer') {
+        const radius = parseFloat(document.getElementById('bufferRadiusInput').value);
+        if (!(radius > 0)) {
+            alert('Informe um raio de buffer maior que zero.');
+            return;
+        }
+        finishDrawing([e.latlng], radius);
+    } else if (tool === 'circle') {
+        if (latlngs.length === 0) {
+            latlngs.push(e.latlng);
+        } else {
+            finishDrawing(latlngs, map.distance(latlngs[0], e.latlng));
+        }
+    } else {
+        latlngs.push(e.latlng);
+        updateDrawPreview(e.latlng);
+    }
+}
+
+// Rubber band from the last vertex (or the circle centre) to the cursor
+function handleDrawMove(e) {
+    if (drawState && drawState.latlngs.length > 0) {
+        updateDrawPreview(e.latlng);
+    }
+}
+
+function handleDrawDoubleClick() {
+    if (!drawState) return;
+    const { tool, latlngs } = drawState;
+
+    // The double click also added its point twice as single clicks
+    const vertices = latlngs.filter((latlng, i) => i === 0 || !latlng.equals(latlngs[i - 1], 1e-9));
+    const minimum = tool === 'polygon' ? 3 : 2;
+    if ((tool === 'distance' || tool === 'polygon') && vertices.length >= minimum) {
+        finishDrawing(vertices);
+    }
+}
+
+function updateDrawPreview(cursor) {
+    const { tool, latlngs } = drawState;
+    if (drawState.preview) {
+        map.removeLayer(drawState.preview);
+    }
+
+    if (tool === 'circle') {
+        drawState.preview = L.circle(latlngs[0], { ...DRAW_PREVIEW_STYLE, radius: map.distance(latlngs[0], cursor) });
+    } else if (tool === 'polygon') {
+        drawState.preview = L.polygon([...latlngs, cursor], DRAW_PREVIEW_STYLE);
+    } else {
+        drawState.preview = L.polyline([...latlngs, cursor], DRAW_PREVIEW_STYLE);
+    }
+    drawState.preview.addTo(map);
+}
+
+async function finishDrawing(latlngs, radius = null) {
+    const tool = drawState.tool;
+    cancelDrawing();
+
+    const shape = createDrawnShape(tool, latlngs, radius);
+    drawnShapes.push(shape);
+    drawLayerGroup.addLayer(shape.layer);
+    shape.layer.bindTooltip(getShapeMeasureText(shape), {
+        permanent: true,
+        direction: 'center',
+        className: 'draw-label'
+    });
+    renderDrawnShapes();
+
+    if (shape.tool !== 'distance') {
+        try {
+            shape.stats = await computeShapeStats(shape.geometry);
+        } catch (error) {
+            console.error('Error computing shape statistics:', error);
+            shape.stats = { error: error.message };
+        }
+        renderDrawnShapes();
+    }
+}
+
+// Leaflet layer and WGS84 GeoJSON geometry of a finished shape, with its
+// geodesic measures (metres and square metres)
+function createDrawnShape(tool, latlngs, radius) {
+    const id = ++drawShapeCount;
+    const shape = { id, tool, name: `${DRAW_TOOLS[tool]} ${id}`, length: null, area: null, radius, stats: null };
+    const coordinates = latlngs.map(latlng => [latlng.lng, latlng.lat]);
+
+    if (tool === 'distance') {
+        shape.layer = L.polyline(latlngs, DRAW_STYLE);
+        shape.geometry = { type: 'LineString', coordinates };
+        shape.length = turf.length(turf.lineString(coordinates), { units: 'kilometers' }) * 1000;
+    } else if (tool === 'polygon') {
+        shape.layer = L.polygon(latlngs, DRAW_STYLE);
+        shape.geometry = { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] };
+        shape.area = turf.area(shape.geometry);
+    } else {
+        shape.layer = L.circle(latlngs[0], { ...DRAW_STYLE, radius });
+        shape.geometry = turf.circle(coordinates[0], radius / 1000, { steps: 64, units: 'kilometers' }).geometry;
+        shape.area = turf.area(shape.geometry);
+    }
+    return shape;
+}
+
+// Residences inside the shape and the sector counts apportioned by area
+async function computeShapeStats(geometry) {
+    showLoading();
+    try {
+        await loadLayer('residencia');
+        await loadLayer('setores');
+    } finally {
+        hideLoading();
+    }
+
+    const polygon = geometry.coordinates;
+    const bounds = L.geoJSON(geometry).getBounds();
+    const stats = { residences: 0, households: 0, sectors: 0, fields: {}, income: null };
+
+    if (dataLayers.residencia) {
+        dataLayers.residencia.eachLayer(point => {
+            const latlng = point.getLatLng();
+            if (!bounds.contains(latlng) || !pointInPolygon([latlng.lng, latlng.lat], polygon)) return;
+
+            stats.residences++;
+            if (String(point.feature.properties.COD_ESPECIE) === CNEFE_HOUSEHOLD_SPECIES) {
+                stats.households++;
+            }
+        });
+    }
+
+    if (!dataLayers.setores) return stats;
+
+    AREA_WEIGHTED_FIELDS.forEach(field => {
+        stats.fields[field] = 0;
+    });
+    let incomeTotal = 0;
+    let incomeWeight = 0;
+
+    const shapeFeature = turf.feature(geometry);
+    dataLayers.setores.eachLayer(layer => {
+        if (!bounds.intersects(layer.getBounds())) return;
+
+        const intersection = turf.intersect(layer.feature, shapeFeature);
+        if (!intersection) return;
+
+        const share = turf.area(intersection) / turf.area(layer.feature);
+        if (!(share > 0)) return;
+
+        const props = layer.feature.properties;
+        stats.sectors++;
+        AREA_WEIGHTED_FIELDS.forEach(field => {
+            stats.fields[field] += (toNumber(props[field]) || 0) * share;
+        });
+
+        const income = toNumber(props[AREA_WEIGHTED_INCOME]);
+        const weight = (toNumber(props[AREA_WEIGHTED_INCOME_WEIGHT]) || 0) * share;
+        if (income !== null && weight > 0) {
+            incomeTotal += income * weight;
+            incomeWeight += weight;
+        }
+    });
+
+    stats.income = incomeWeight > 0 ? incomeTotal / incomeWeight : null;
+    return stats;
+}
+
+function formatDistance(meters) {
+    return meters < 1000 ?
+        `${meters.toLocaleString('pt-BR', { maximumFractionDigits: 0 })} m` :
+        `${(meters / 1000).toLocaleString('pt-BR', { maximumFractionDigits: 2 })} km`;
+}
+
+function formatArea(squareMeters) {
+    if (squareMeters < 10000) {
+        return `${squareMeters.toLocaleString('pt-BR', { maximumFractionDigits: 0 })} m²`;
+    } else if (squareMeters < 1000000) {
+        return `${(squareMeters / 10000).toLocaleString('pt-BR', { maximumFractionDigits: 2 })} ha`;
+    }
+    return `${(squareMeters / 1000000).toLocaleString('pt-BR', { maximumFractionDigits: 2 })} km²`;
+}
+
+function getShapeMeasureText(shape) {
+    if (shape.tool === 'distance') return formatDistance(shape.length);
+    if (shape.radius !== null) return `r = ${formatDistance(shape.radius)} · ${formatArea(shape.area)}`;
+    return formatArea(shape.area);
+}
+
+function renderDrawnShapes() {
+    const container = document.getElementById('drawResults');
+    container.innerHTML = '';
+
+    drawnShapes.forEach(shape => {
+        const card = document.createElement('div');
+        card.className = 'draw-result';
+
+        const measureLabel = shape.tool === 'distance' ? 'Comprimento' : shape.radius !== null ? 'Raio · Área' : 'Área';
+        let rows = `<p><strong>${measureLabel}:</strong> ${getShapeMeasureText(shape)}</p>`;
+        if (shape.tool !== 'distance') {
+            rows += getShapeStatsContent(shape.stats);
+        }
+
+        card.innerHTML = `
+            <div class="draw-result-header">
+                <span class="draw-result-name">${shape.name}</span>
+                <button class="draw-result-remove" title="Remover forma">
+                    <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                        <path d="M12 4L4 12M4 4L12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+                    </svg>
+                </button>
+            </div>
+            ${rows}
+        `;
+        card.querySelector('.draw-result-remove').addEventListener('click', () => removeDrawnShape(shape.id));
+        card.querySelector('.draw-result-name').addEventListener('click', () => {
+            map.fitBounds(shape.layer.getBounds(), { padding: [40, 40] });
+        });
+        container.appendChild(card);
+    });
+}
+
+function getShapeStatsContent(stats) {
+    if (!stats) return '<p class="thematic-hint">Calculando estatísticas...</p>';
+    if (stats.error) return `<p class="thematic-hint">Estatísticas indisponíveis: ${escapeHtml(stats.error)}</p>`;
+
+    const format = value => value.toLocaleString('pt-BR', { maximumFractionDigits: 0 });
+    let content = `<p><strong>Endereços CNEFE:</strong> ${format(stats.residences)} (${format(stats.households)} domicílios particulares)</p>`;
+    if (stats.sectors === 0) {
+        return content + '<p class="thematic-hint">Fora dos setores censitários.</p>';
+    }
+
+    AREA_WEIGHTED_FIELDS.forEach(field => {
+        content += `<p><strong>${getAttributeLabel(field)}:</strong> ~${format(stats.fields[field])}</p>`;
+    });
+    if (stats.income !== null) {
+        content += `<p><strong>${getAttributeLabel(AREA_WEIGHTED_INCOME)}:</strong> ~${formatAttributeValue(AREA_WEIGHTED_INCOME, stats.income)}</p>`;
+    }
+    content += `<p class="thematic-hint">Estimativa proporcional à área de ${stats.sectors} setor(es).</p>`;
+    return content;
+}
+
+function removeDrawnShape(id) {
+    const shape = drawnShapes.find(item => item.id === id);
+    if (!shape) return;
+
+    drawLayerGroup.removeLayer(shape.layer);
+    drawnShapes = drawnShapes.filter(item => item !== shape);
+    renderDrawnShapes();
+}
+
+function clearDrawnShapes() {
+    cancelDrawing();
+    drawLayerGroup.clearLayers();
+    drawnShapes = [];
+    renderDrawnShapes();
+}
+
+// GeoJSON Feature of a shape, with its measures and statistics as properties
+function getDrawnShapeFeature(shape) {
+    const properties = {
+        nome: shape.name,
+        tipo: shape.tool,
+        comprimento_m: shape.length,
+        area_m2: shape.area,
+        raio_m: shape.radius
+    };
+
+    const stats = shape.stats;
+    if (stats && !stats.error) {
+        properties.enderecos_cnefe = stats.residences;
+        properties.domicilios_particulares_cnefe = stats.households;
+        properties.setores = stats.sectors;
+        AREA_WEIGHTED_FIELDS.forEach(field => {
+            properties[field] = stats.fields[field] === undefined ? null : Math.round(stats.fields[field]);
+        });
+        properties[AREA_WEIGHTED_INCOME] = stats.income;
+    }
+
+    return { type: 'Feature', geometry: shape.geometry, properties };
+}
+
+// ==================== Indicator Dashboard ====================
+// Charts of the census sector breakdowns for the current selection (the
+// attribute query, or the last clicked sector, district or urban/rural
+// area), side by side with its district and the whole municipality. Every
+// scope is aggregated from the setores layer, the only one with the
+// breakdown fields.
+const DASHBOARD_BREAKDOWNS = ['agua', 'esgoto', 'lixo', 'moradia', 'racaCor'];
+
+// The data has no split by sex and no bands between 15 and 69 years, so the
+// pyramid is one-sided and the middle band is what the others leave of v0001
+const DASHBOARD_AGE_BANDS = [
+    { field: '0 a 4 anos', label: '0 a 4 anos' },
+    { field: '5 a 9 anos', label: '5 a 9 anos' },
+    { field: '9 a 14 anos', label: '9 a 14 anos' },
+    { field: null, label: '15 a 69 anos' },
+    { field: '70 anos +', label: '70 anos ou mais' }
+];
+
+const DASHBOARD_COLORS = ['#667eea', '#43e97b', '#f6d365', '#fa709a', '#4facfe', '#a18cd1', '#fda085', '#38f9d7'];
+const DASHBOARD_SCOPE_COLORS = ['#f093fb', '#667eea', '#9ca3af'];
+
+// What the selection follows: { type: 'feature', layer } or { type: 'query' }
+let dashboardTrigger = null;
+let dashboardCharts = {};
+
+function isDashboardOpen() {
+    return document.getElementById('dashboardPanel').classList.contains('active');
+}
+
+async function openDashboard() {
+    document.getElementById('dashboardPanel').classList.add('active');
+    showLoading();
+    try {
+        await loadLayer('setores');
+    } finally {
+        hideLoading();
+    }
+    updateDashboard();
+}
+
+function closeDashboard() {
+    document.getElementById('dashboardPanel').classList.remove('active');
+}
+
+function setDashboardTrigger(trigger) {
+    dashboardTrigger = trigger;
+    updateDashboard();
+}
+
+// { title, layers } of the sectors selected, or null for none
+function getDashboardSelection() {
+    const sectors = dataLayers.setores;
+    if (!dashboardTrigger || !sectors) return null;
+
+    if (dashboardTrigger.type === 'query') {
+        if (!activeQuery || activeQuery.layerName !== 'setores') return null;
+        return { title: `Consulta (${activeQuery.matches.size} setores)`, layers: Array.from(activeQuery.matches) };
+    }
+
+    const layer = dashboardTrigger.layer;
+    const layerName = getLayerName(layer);
+    const props = layer.feature.properties;
+    if (isSectorLayer(layerName)) {
+        return { title: `Setor ${props.ID_SETOR || props.CD_SETOR}`, layers: [layer] };
+    }
+
+    const field = layerName === 'distritos' ? 'NM_DIST' : layerName === 'urb_rur' ? 'SITUACAO' : null;
+    if (!field) return null;
+
+    return {
+        title: layerName === 'distritos' ? `Distrito ${props.NM_DIST}` : `Área ${props.SITUACAO}`,
+        layers: sectors.getLayers().filter(sector => sector.feature.properties[field] === props[field])
+    };
+}
+
+// Selection, its district (when it lies in a single one) and the municipality
+function getDashboardScopes() {
+    const allSectors = dataLayers.setores.getLayers();
+    const scopes = [];
+    const selection = getDashboardSelection();
+
+    if (selection && selection.layers.length > 0) {
+        scopes.push(selection);
+
+        const districts = new Set(selection.layers.map(layer => layer.feature.properties.NM_DIST));
+        const [district] = districts;
+        const districtLayers = allSectors.filter(layer => layer.feature.properties.NM_DIST === district);
+        if (districts.size === 1 && districtLayers.length > selection.layers.length) {
+            scopes.push({ title: `Distrito ${district}`, layers: districtLayers });
+        }
+    }
+
+    const municipality = allSectors.length > 0 ? allSectors[0].feature.properties.NM_MUN : '';
+    scopes.push({ title: `Município ${municipality}`.trim(), layers: allSectors });
+    return scopes;
+}
+
+function sumSectorField(layers, field) {
+    return layers.reduce((sum, layer) => sum + (getAttributeValue(layer.feature.properties, field) || 0), 0);
+}
+
+function getDashboardSummary(layers) {
+    const population = sumSectorField(layers, 'v0001');
+    const households = sumSectorField(layers, 'v0003');
+
+    // Mean income of the sectors weighted by their occupied households
+    let income = 0;
+    let weight = 0;
+    layers.forEach(layer => {
+        const props = layer.feature.properties;
+        const value = getAttributeValue(props, 'RENDIMENTO NOMINAL MÉDIO POR SETOR');
+        const households = getAttributeValue(props, 'v0003') || 0;
+        if (value !== null && households > 0) {
+            income += value * households;
+            weight += households;
+        }
+    });
+
+    return {
+        population,
+        households,
+        residents: households > 0 ? population / households : null,
+        income: weight > 0 ? income / weight : null,
+        illiteracy: population > 0 ? sumSectorField(layers, ATTRIBUTE_GROUPS.analfabetismo.total) / population * 100 : null
+    };
+}
+
+function updateDashboard() {
+    if (!isDashboardOpen() || !dataLayers.setores) return;
+
+    const chartsAvailable = typeof Chart !== 'undefined';
+    document.getElementById('dashboardChartsError').style.display = chartsAvailable ? 'none' : 'block';
+
+    const scopes = getDashboardScopes();
+    document.getElementById('dashboardScope').textContent = scopes.map(scope => scope.title).join(' · ');
+    renderDashboardSummary(scopes);
+
+    if (!chartsAvailable) return;
+
+    DASHBOARD_BREAKDOWNS.forEach(group => renderBreakdownChart(group, scopes));
+    renderAgeChart(scopes);
+}
+
+function renderDashboardSummary(scopes) {
+    const formatNumber = (value, decimals = 0) => value === null ? '-' :
+        value.toLocaleString('pt-BR', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    const rows = [
+        ['População', summary => formatNumber(summary.population)],
+        ['Domicílios ocupados', summary => formatNumber(summary.households)],
+        ['Moradores por domicílio', summary => formatNumber(summary.residents, 1)],
+        ['Renda média (R$)', summary => formatNumber(summary.income, 2)],
+        ['Analfabetos (%)', summary => formatNumber(summary.illiteracy, 1)]
+    ];
+    const summaries = scopes.map(scope => getDashboardSummary(scope.layers));
+
+    const table = document.getElementById('dashboardSummary');
+    table.innerHTML = `
+        <thead><tr><th></th>${scopes.map(scope => `<th>${escapeHtml(scope.title)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${rows.map(([label, format]) => `<tr><td>${label}</td>${summaries.map(summary => `<td>${format(summary)}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+    `;
+}
+
+// Category labels without the "Água: " style prefix of attributeLabels
+function getDashboardCategoryLabel(field) {
+    return getAttributeLabel(field).replace(/^[^:]+:\s*/, '');
+}
+
+// One 100% bar per scope, split into the categories of the group
+function renderBreakdownChart(group, scopes) {
+    const fields = ATTRIBUTE_GROUPS[group].fields;
+    const totals = scopes.map(scope => fields.reduce((sum, field) => sum + sumSectorField(scope.layers, field), 0));
+
+    const datasets = fields.map((field, i) => {
+        const counts = scopes.map(scope => sumSectorField(scope.layers, field));
+        return {
+            label: getDashboardCategoryLabel(field),
+            data: counts.map((count, j) => totals[j] > 0 ? count / totals[j] * 100 : 0),
+            counts,
+            backgroundColor: DASHBOARD_COLORS[i % DASHBOARD_COLORS.length]
+        };
+    }).filter(dataset => dataset.counts.some(count => count > 0));
+
+    drawDashboardChart(group, {
+        type: 'bar',
+        data: { labels: scopes.map(scope => scope.title), datasets },
+        options: {
+            indexAxis: 'y',
+            scales: {
+                x: { stacked: true, max: 100, ticks: { callback: value => `${value}%` } },
+                y: { stacked: true }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${formatDashboardPercent(context.raw)} (${context.dataset.counts[context.dataIndex].toLocaleString('pt-BR')})`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Share of the population in each age band, oldest on top
+function renderAgeChart(scopes) {
+    const bands = [...DASHBOARD_AGE_BANDS].reverse();
+    const datasets = scopes.map((scope, i) => {
+        const population = sumSectorField(scope.layers, 'v0001');
+        const listed = DASHBOARD_AGE_BANDS
+            .filter(band => band.field)
+            .reduce((sum, band) => sum + sumSectorField(scope.layers, band.field), 0);
+        const counts = bands.map(band => band.field ? sumSectorField(scope.layers, band.field) : Math.max(population - listed, 0));
+
+        return {
+            label: scope.title,
+            data: counts.map(count => population > 0 ? count / population * 100 : 0),
+            counts,
+            backgroundColor: DASHBOARD_SCOPE_COLORS[i % DASHBOARD_SCOPE_COLORS.length]
+        };
+    });
+
+    drawDashboardChart('idade', {
+        type: 'bar',
+        data: { labels: bands.map(band => band.label), datasets },
+        options: {
+            indexAxis: 'y',
+            scales: { x: { ticks: { callback: value => `${value}%` } } },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${formatDashboardPercent(context.raw)} (${context.dataset.counts[context.dataIndex].toLocaleString('pt-BR')} hab.)`
+                    }
+                }
+            }
+        }
+    });
+}
+
+function formatDashboardPercent(value) {
+    return `${value.toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`;
+}
+
+// Creates the chart on first use and afterwards only swaps its data
+function drawDashboardChart(key, config) {
+    const chart = dashboardCharts[key];
+    if (chart) {
+        chart.data = config.data;
+        chart.update();
+        return;
+    }
+
+    const canvas = document.querySelector(`#dashboardPanel canvas[data-chart="${key}"]`);
+    dashboardCharts[key] = new Chart(canvas, {
+        ...config,
+        options: {
+            ...config.options,
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            color: '#cbd5e1',
+            plugins: {
+                legend: { position: 'bottom', labels: { boxWidth: 10, font: { size: 10 } } },
+                ...config.options.plugins
+            }
+        }
+    });
+}
+
+// ==================== Map Comparison ====================
+// Two choropleths of one layer side by side under a swipe divider. Each side
+// is an overlay of the data layer's own features in a pane clipped to its
+// part of the map, classified on its own; the data layer stays on top with
+// no fill, so outlines, popups and selection work as usual.
+const COMPARE_SIDES = ['left', 'right'];
+
+const COMPARE_SIDE_LABELS = {
+    left: '◀ Esquerda',
+    right: 'Direita ▶'
+};
+
+const COMPARE_DEFAULT_PALETTES = {
+    left: 'YlOrRd',
+    right: 'Blues'
+};
+
+// { layerName, position, left, right } with each side a thematic map entry
+// (see thematicMaps) plus its overlay; position is the divider's fraction
+// of the map width. Null when not comparing.
+let comparison = null;
+
+function isComparedLayer(layerName) {
+    return Boolean(comparison) && comparison.layerName === layerName;
+}
+
+function getComparePaneName(side) {
+    return side === 'left' ? 'compareLeftPane' : 'compareRightPane';
+}
+
+// sides: { left, right } with the { attribute, settings } of each map
+async function startComparison(layerName, sides, position = 0.5) {
+    if (COMPARE_SIDES.some(side => !sides[side].attribute)) {
+        alert('Selecione um atributo para cada lado da comparação.');
+        return;
+    }
+
+    if (!dataLayers[layerName] || !map.hasLayer(dataLayers[layerName])) {
+        await setLayerVisibility(layerName, true);
+    }
+    if (!dataLayers[layerName]) return;
+
+    const maps = {};
+    try {
+        for (const side of COMPARE_SIDES) {
+            const { attribute, settings } = sides[side];
+            await ensureComputedAttribute(layerName, attribute);
+            maps[side] = buildThematicMap(layerName, attribute, { ...settings });
+        }
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    stopComparison();
+    comparison = { layerName, position, ...maps };
+    COMPARE_SIDES.forEach(side => {
+        comparison[side].overlay = createCompareOverlay(layerName, comparison[side], side).addTo(map);
+    });
+
+    restyleThematicLayer(layerName);
+    document.getElementById('compareSwipe').classList.add('active');
+    updateCompareClip();
+    syncComparePanel();
+    updateLegend();
+    updatePermalink(true);
+}
+
+function stopComparison() {
+    if (!comparison) return;
+
+    const { layerName } = comparison;
+    COMPARE_SIDES.forEach(side => map.removeLayer(comparison[side].overlay));
+    comparison = null;
+
+    restyleThematicLayer(layerName);
+    document.getElementById('compareSwipe').classList.remove('active');
+    syncComparePanel();
+    updateLegend();
+    updatePermalink(true);
+}
+
+// The features are shared with the data layer, nothing is fetched again
+function createCompareOverlay(layerName, thematic, side) {
+    const pane = getComparePaneName(side);
+    const features = dataLayers[layerName].getLayers().map(layer => layer.feature);
+
+    return L.geoJSON({ type: 'FeatureCollection', features }, {
+        pane,
+        renderer: L.svg({ pane }),
+        interactive: false,
+        style: feature => ({
+            stroke: false,
+            fillColor: getColorForValue(
+                getNormalizedValue(feature.properties, thematic.attribute, thematic.settings.normalizeBy),
+                thematic.breaks,
+                thematic.colors
+            ),
+            fillOpacity: 0.8
+        })
+    });
+}
+
+function setComparePosition(position) {
+    if (!comparison) return;
+
+    comparison.position = Math.min(Math.max(position, 0), 1);
+    updateCompareClip();
+    updatePermalink();
+}
+
+// Clips each pane to its side of the divider; panes are positioned in layer
+// points, so the clip follows the map as it pans
+function updateCompareClip() {
+    if (!comparison) return;
+
+    const size = map.getSize();
+    const nw = map.containerPointToLayerPoint([0, 0]);
+    const se = map.containerPointToLayerPoint(size);
+    const x = nw.x + size.x * comparison.position;
+
+    map.getPane(getComparePaneName('left')).style.clip = `rect(${nw.y}px, ${x}px, ${se.y}px, ${nw.x}px)`;
+    map.getPane(getComparePaneName('right')).style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${x}px)`;
+
+    const percent = comparison.position * 100;
+    document.getElementById('compareDivider').style.left = `${percent}%`;
+    document.getElementById('compareSlider').value = percent;
+}
+
+// The panel offers the same choices as the thematic panel, except manual breaks
+function populateCompareControls() {
+    populateCompareAttributeOptions();
+
+    COMPARE_SIDES.forEach(side => {
+        const copy = (sourceId, name) => {
+            const select = getCompareControl(side, name);
+            select.innerHTML = document.getElementById(sourceId).innerHTML;
+            return select;
+        };
+
+        copy('normalizationSelect', 'normalization').value = '';
+        const method = copy('classificationMethodSelect', 'method');
+        method.querySelector('option[value="manual"]').remove();
+        method.value = 'jenks';
+        copy('classCountSelect', 'classes').value = '5';
+        copy('thematicPaletteSelect', 'palette').value = COMPARE_DEFAULT_PALETTES[side];
+    });
+}
+
+function populateCompareAttributeOptions() {
+    const layerName = document.getElementById('compareLayerSelect').value;
+    COMPARE_SIDES.forEach(side => renderAttributeOptions(getCompareControl(side, 'attribute'), layerName));
+}
+
+function getCompareControl(side, name) {
+    return document.getElementById(`compare-${side}-${name}`);
+}
+
+function getCompareSides() {
+    return Object.fromEntries(COMPARE_SIDES.map(side => [side, {
+        attribute: getCompareControl(side, 'attribute').value,
+        settings: {
+            ...getDefaultThematicSettings(document.getElementById('compareLayerSelect').value),
+            method: getCompareControl(side, 'method').value,
+            classes: parseInt(getCompareControl(side, 'classes').value, 10),
+            normalizeBy: getCompareControl(side, 'normalization').value,
+            palette: getCompareControl(side, 'palette').value
+        }
+    }]));
+}
+
+// Reflects the running comparison in the panel and in the map labels
+function syncComparePanel() {
+    document.getElementById('stopCompareBtn').style.display = comparison ? 'flex' : 'none';
+    if (!comparison) return;
+
+    document.getElementById('compareLayerSelect').value = comparison.layerName;
+    populateCompareAttributeOptions();
+
+    COMPARE_SIDES.forEach(side => {
+        const { attribute, settings } = comparison[side];
+        getCompareControl(side, 'attribute').value = attribute;
+        getCompareControl(side, 'normalization').value = settings.normalizeBy;
+        getCompareControl(side, 'method').value = settings.method;
+        getCompareControl(side, 'classes').value = String(settings.classes);
+        getCompareControl(side, 'palette').value = settings.palette;
+
+        const label = document.getElementById(side === 'left' ? 'compareLeftLabel' : 'compareRightLabel');
+        label.textContent = side === 'left' ?
+            `◀ ${getThematicTitle(comparison.layerName, comparison[side])}` :
+            `${getThematicTitle(comparison.layerName, comparison[side])} ▶`;
+    });
+}
+
+// ==================== Classification Functions ====================
+// All classifiers take values sorted ascending and return the upper bound of
+// each class; the last break is always the maximum value.
+function classifyValues(values, method, classes, manualBreaks = []) {
+    const min = values[0];
+    const max = values[values.length - 1];
+    const uniqueCount = new Set(values).size;
+    const k = Math.max(1, Math.min(classes, uniqueCount));
+
+    let breaks;
+    switch (method) {
+        case 'equal':
+            breaks = calculateEqualInterval(values, k);
+            break;
+        case 'quantile':
+            breaks = calculateQuantiles(values, k);
+            break;
+        case 'stddev':
+            breaks = calculateStdDev(values, k);
+            break;
+        case 'geometric':
+            breaks = calculateGeometricInterval(values, k);
+            break;
+        case 'manual':
+            breaks = validateManualBreaks(manualBreaks, min, max);
+            break;
+        case 'jenks':
+        default:
+            breaks = calculateJenks(values, k);
+    }
+
+    return { min, breaks };
+}
+
+// Fisher-Jenks natural breaks: minimises the sum of squared deviations
+// from the class means (dynamic programming over the sorted values).
+function calculateJenks(values, classes) {
+    const n = values.length;
+    if (classes >= n) {
+        return Array.from(new Set(values));
+    }
+
+    const lowerLimits = [];
+    const variances = [];
+    for (let i = 0; i <= n; i++) {
+        lowerLimits.push(new Array(classes + 1).fill(0));
+        variances.push(new Array(classes + 1).fill(i === 0 ? 0 : Infinity));
+    }
+    for (let j = 1; j <= classes; j++) {
+        lowerLimits[1][j] = 1;
+        variances[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        let variance = 0;
+
+        for (let m = 1; m <= l; m++) {
+            const lowerIndex = l - m + 1;
+            const val = values[lowerIndex - 1];
+
+            count++;
+            sum += val;
+            sumSquares += val * val;
+            variance = sumSquares - (sum * sum) / count;
+
+            if (lowerIndex > 1) {
+                for (let j = 2; j <= classes; j++) {
+                    const candidate = variance + variances[lowerIndex - 1][j - 1];
+                    if (variances[l][j] >= candidate) {
+                        lowerLimits[l][j] = lowerIndex;
+                        variances[l][j] = candidate;
+                    }
+                }
+            }
+        }
+
+        lowerLimits[l][1] = 1;
+        variances[l][1] = variance;
+    }
+
+    const breaks = new Array(classes);
+    breaks[classes - 1] = values[n - 1];
+
+    let k = n;
+    for (let j = classes; j >= 2; j--) {
+        const lowerIndex = lowerLimits[k][j] - 1;
+        breaks[j - 2] = values[lowerIndex - 1];
+        k = lowerIndex;
+    }
+
+    return breaks;
+}
+
+function calculateEqualInterval(values, classes) {
+    const min = values[0];
+    const max = values[values.length - 1];
+    const step = (max - min) / classes;
+
+    const breaks = [];
+    for (let i = 1; i < classes; i++) {
+        breaks.push(min + step * i);
+    }
+    breaks.push(max);
+
+    return breaks;
+}
+
+function calculateQuantiles(values, classes) {
+    const breaks = [];
+
+    for (let i = 1; i < classes; i++) {
+        const position = (values.length - 1) * i / classes;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        breaks.push(values[lower] + (values[upper] - values[lower]) * (position - lower));
+    }
+    breaks.push(values[values.length - 1]);
+
+    // Repeated values can produce identical quantiles
+    return Array.from(new Set(breaks));
+}
+
+// Classes one standard deviation wide, centred on the mean
+function calculateStdDev(values, classes) {
+    const min = values[0];
+    const max = values[values.length - 1];
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const stdDev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+
+    const breaks = [];
+    for (let i = 1; i < classes; i++) {
+        const limit = mean + (i - classes / 2) * stdDev;
+        if (limit > min && limit < max) {
+            breaks.push(limit);
+        }
+    }
+    breaks.push(max);
+
+    return breaks;
+}
+
+// Geometric progression of class widths; values are shifted so the
+// series starts at 1 when the data contains zero or negative values
+function calculateGeometricInterval(values, classes) {
+    const min = values[0];
+    const max = values[values.length - 1];
+    const shift = min <= 0 ? 1 - min : 0;
+    const ratio = Math.pow((max + shift) / (min + shift), 1 / classes);
+
+    const breaks = [];
+    for (let i = 1; i < classes; i++) {
+        breaks.push((min + shift) * Math.pow(ratio, i) - shift);
+    }
+    breaks.push(max);
+
+    return breaks;
+}
+
+function validateManualBreaks(manualBreaks, min, max) {
+    const breaks = manualBreaks.filter(value => value > min && value < max);
+
+    if (breaks.length === 0) {
+        throw new Error(`Informe ao menos um limite entre ${formatLegendNumber(min)} e ${formatLegendNumber(max)}.`);
+    }
+    if (breaks.length + 1 > 9) {
+        throw new Error('A classificação manual aceita no máximo 9 classes.');
+    }
+
+    breaks.push(max);
+    return breaks;
+}
+
+// Parses "100; 1.500,5; 3000" style input into a sorted list of numbers
+function parseManualBreaks(text) {
+    return text
+        .split(/[;\s]+/)
+        .filter(token => token !== '')
+        .map(token => token.includes(',') ? parseFloat(token.replace(/\./g, '').replace(',', '.')) : parseFloat(token))
+        .filter(value => !isNaN(value))
+        .sort((a, b) => a - b);
+}
+
+// Goodness of Variance Fit: 1 - (sum of squared deviations from class means /
+// sum of squared deviations from the array mean). 1 is a perfect fit.
+function calculateGVF(values, breaks) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const sdam = values.reduce((sum, v) => sum + (v - mean) ** 2, 0);
+    if (sdam === 0) return 1;
+
+    const classes = breaks.map(() => []);
+    values.forEach(value => {
+        classes[getClassIndex(value, breaks)].push(value);
+    });
+
+    const sdcm = classes.reduce((total, classValues) => {
+        if (classValues.length === 0) return total;
+        const classMean = classValues.reduce((sum, v) => sum + v, 0) / classValues.length;
+        return total + classValues.reduce((sum, v) => sum + (v - classMean) ** 2, 0);
+    }, 0);
+
+    return 1 - sdcm / sdam;
+}
+
+function getClassIndex(value, breaks) {
+    for (let i = 0; i < breaks.length; i++) {
+        if (value <= breaks[i]) {
+            return i;
+        }
+    }
+    return breaks.length - 1;
+}
+
+function countValuesPerClass(values, breaks) {
+    const counts = breaks.map(() => 0);
+    values.forEach(value => {
+        counts[getClassIndex(value, breaks)]++;
+    });
+    return counts;
+}
+
+// Rounds a positive value down to 1, 2 or 5 times a power of ten, for the
+// scale bar, the value of a dot and the circles of the symbol legend
+function niceNumber(value) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const residual = value / magnitude;
+    const nice = residual >= 5 ? 5 : residual >= 2 ? 2 : 1;
+    return nice * magnitude;
+}
+
+function formatLegendNumber(value, layerName = thematicLayerName, thematic = thematicMaps[layerName]) {
+    return value.toLocaleString('pt-BR', { maximumFractionDigits: getThematicDecimals(layerName, thematic) });
+}
+
+// Small-valued fields such as AREA_KM2 need more than the default 2 decimals
+function getThematicDecimals(layerName, thematic = thematicMaps[layerName]) {
+    if (!thematic || thematic.settings.normalizeBy) return 2;
+    const { decimals } = getFieldSchema(layerName, thematic.attribute);
+    return Math.max(2, decimals || 0);
+}
+
+// One entry per thematic or symbol map, in the order of THEMATIC_LAYERS
+function updateLegend() {
+    const container = document.getElementById('legendContainer');
+    const content = document.getElementById('legendContent');
+    content.innerHTML = '';
+
+    const layerNames = THEMATIC_LAYERS.filter(name =>
+        isThematicMapShown(name) || isBivariateMapShown(name) || isLisaMapShown(name) || symbolMaps[name]);
+    layerNames.forEach(layerName => {
+        if (symbolMaps[layerName]) {
+            content.appendChild(createSymbolLegendEntry(layerName));
+        }
+        if (isBivariateMapShown(layerName)) {
+            content.appendChild(createBivariateLegendEntry(layerName));
+        }
+        if (isLisaMapShown(layerName)) {
+            content.appendChild(createLisaLegendEntry(layerName));
+        }
+        if (!isThematicMapShown(layerName)) return;
+
+        content.appendChild(createThematicLegendEntry(layerName, thematicMaps[layerName], CONFIG.layers[layerName].name));
+    });
+
+    // Both sides of the map comparison
+    if (comparison) {
+        COMPARE_SIDES.forEach(side => {
+            content.appendChild(createThematicLegendEntry(comparison.layerName, comparison[side], COMPARE_SIDE_LABELS[side]));
+        });
+    }
+
+    const showResidencias = isResidenciaVisible();
+    if (showResidencias) {
+        content.appendChild(createResidenciaLegendEntry());
+    }
+
+    container.style.display = layerNames.length > 0 || comparison || showResidencias ? 'block' : 'none';
+}
+
+function createThematicLegendEntry(layerName, thematic, heading) {
+    const { breaks, colors, counts, gvf, settings } = thematic;
+
+    const entry = document.createElement('div');
+    entry.className = 'legend-layer';
+
+    const title = document.createElement('div');
+    title.className = 'legend-layer-title';
+    title.textContent = `${heading}: ${getThematicTitle(layerName, thematic)}`;
+    entry.appendChild(title);
+
+    const classes = document.createElement('div');
+    classes.className = 'legend-classes';
+    breaks.forEach((end, i) => {
+        const item = document.createElement('div');
+        item.className = 'legend-class-item';
+        item.innerHTML = `
+            <div class="legend-color-box" style="background: ${colors[i]}"></div>
+            <span class="legend-label">${getThematicClassLabel(i, layerName, thematic)} (${counts[i]})</span>
+        `;
+        classes.appendChild(item);
+    });
+    entry.appendChild(classes);
+
+    const gvfInfo = document.createElement('div');
+    gvfInfo.className = 'legend-gvf';
+    gvfInfo.textContent = `${CLASSIFICATION_METHODS[settings.method]} · GVF: ${gvf.toLocaleString('pt-BR', { maximumFractionDigits: 3 })}`;
+    entry.appendChild(gvfInfo);
+
+    return entry;
+}
+
+// ==================== Derived Indicators ====================
+const DERIVED_INDICATORS_STORAGE_KEY = 'geoportal-natividade:derived-indicators';
+
+const DEFAULT_DERIVED_INDICATORS = [
+    {
+        id: 'sem_rede_agua',
+        name: '% Domicílios sem Rede Geral de Água',
+        expression: '"TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZAM REDE GERAL DE DISTRIBUIÇÃO DE ÁGUA POR SETOR" / v0007 * 100',
+        unit: '%'
+    },
+    {
+        id: 'densidade_demografica',
+        name: 'Densidade Demográfica',
+        expression: 'v0001 / AREA_KM2',
+        unit: 'hab/km²'
+    }
+];
+
+// Denominators offered by the "Dividir por" option of the thematic map.
+// Most attributes (households, residences) do not count people, so divided
+// by the population they give a rate per 100 inhabitants, not a percentage.
+const NORMALIZATION_OPTIONS = {
+    v0001: { label: 'População Total', multiplier: 100, unit: 'por 100 hab.' },
+    v0003: { label: 'Domicílios Ocupados', multiplier: 1, unit: 'por domicílio' },
+    v0007: { label: 'Número de Residências', multiplier: 1, unit: 'por residência' },
+    AREA_KM2: { label: 'Área', multiplier: 1, unit: 'por km²' },
+    GROUP_TOTAL: { label: 'Total do grupo', multiplier: 100, unit: '%' }
+};
+
+// Category groups of the census sector attributes. The group total is the
+// `total` field when the data has one, otherwise the sum of `fields`.
+const ATTRIBUTE_GROUPS = {
+    analfabetismo: {
+        total: 'NÚMERO DE PESSOAS ANALFABETAS POR SETOR',
+        fields: ['15-29 Analfabetos', '30-59 Analfabetos', '60+ Analfabetos']
+    },
+    faixaEtaria: {
+        total: 'TOTAL DE CRIAÇAS DE 0-14 ANOS E IDOSOS +70 ANOS POR SETOR',
+        fields: ['0 a 4 anos', '5 a 9 anos', '9 a 14 anos', '70 anos +']
+    },
+    racaCor: {
+        fields: ['Branca', 'Preta', 'Amarela', 'Parda', 'Indígena']
+    },
+    agua: {
+        fields: [
+            'Utiliza rede geral de distribuição',
+            'Utiliza poço profundo ou artesiano',
+            'Utiliza poço raso, freático ou cacimba',
+            'Utiliza fonte, nascente ou mina',
+            'Utiliza carro-pipa',
+            'Utiliza água da chuva armazenada',
+            'Utiliza rios, açudes, córregos, lagos e igarapés',
+            'Utiliza outra forma de abastecimento de água'
+        ],
+        related: ['TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZAM REDE GERAL DE DISTRIBUIÇÃO DE ÁGUA POR SETOR']
+    },
+    esgoto: {
+        fields: [
+            'Rede geral ou pluvial',
+            'fossa séptica ou fossa filtro ligada à rede',
+            'fossa séptica ou fossa filtro não ligada à rede',
+            'fossa rudimentar ou buraco',
+            'vala',
+            'rio, lago, córrego ou mar',
+            'outra forma',
+            'Destinação do esgoto inexistente, pois não tinham banheiro nem sanitário'
+        ],
+        related: ['TOTAL DE RESIDÊNCIAS QUE NÃO UTILIZA REDE DE ESGOTO GERAL OU PLUVIAL POR SETOR']
+    },
+    lixo: {
+        fields: [
+            'Lixo coletado no domicílio por serviço de limpeza',
+            'Lixo depositado em caçamba de serviço de limpeza',
+            'Lixo queimado na propriedade',
+            'Lixo enterrado na propriedade',
+            'Lixo jogado em terreno baldio, encosta ou área pública',
+            ' Outro destino do lixo'
+        ],
+        related: ['TOTAL DE RESIDÊNCIAS SEM COLETA DE LIXO POR SERVIÇO DE LIMPEZA POR SETOR']
+    },
+    moradia: {
+        fields: [
+            'Casa',
+            'Casa de vila ou em condomínio',
+            '  apartamento',
+            'habitação em casa de cômodos ou cortiço',
+            ' habitação indígena sem paredes ou maloca'
+        ]
+    }
+};
+
+let derivedIndicators = [];
+
+function loadDerivedIndicators() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(DERIVED_INDICATORS_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Não foi possível ler os indicadores derivados salvos:', error);
+    }
+
+    const definitions = Array.isArray(stored) ? stored : DEFAULT_DERIVED_INDICATORS;
+    derivedIndicators = [];
+    definitions.forEach(definition => {
+        try {
+            derivedIndicators.push(compileDerivedIndicator(definition));
+        } catch (error) {
+            console.warn(`Indicador derivado "${definition.name}" ignorado:`, error.message);
+        }
+    });
+
+    renderDerivedIndicatorsList();
+    refreshDerivedIndicatorOptions();
+}
+
+function saveDerivedIndicators() {
+    const definitions = derivedIndicators.map(({ id, name, expression, unit }) => ({ id, name, expression, unit }));
+    try {
+        localStorage.setItem(DERIVED_INDICATORS_STORAGE_KEY, JSON.stringify(definitions));
+    } catch (error) {
+        console.warn('Não foi possível salvar os indicadores derivados:', error);
+    }
+}
+
+function compileDerivedIndicator(definition) {
+    const ast = parseExpression(definition.expression);
+    return { ...definition, ast, fields: collectExpressionFields(ast) };
+}
+
+function findDerivedIndicator(attribute) {
+    if (!attribute || !attribute.startsWith('derived:')) return null;
+    const id = attribute.slice('derived:'.length);
+    return derivedIndicators.find(indicator => indicator.id === id) || null;
+}
+
+// Numeric value of a raw attribute or of a derived indicator (`derived:<id>`);
+// null when the value is missing or cannot be computed
+function getAttributeValue(properties, attribute) {
+    const indicator = findDerivedIndicator(attribute);
+    if (indicator) {
+        return evaluateExpression(indicator.ast, properties);
+    }
+
+    return toNumber(properties[attribute]);
+}
+
+function getAttributeGroup(attribute) {
+    return Object.values(ATTRIBUTE_GROUPS).find(group =>
+        group.fields.includes(attribute) ||
+        group.total === attribute ||
+        (group.related && group.related.includes(attribute))
+    ) || null;
+}
+
+function getGroupTotal(properties, group) {
+    if (group.total && properties[group.total] !== undefined) {
+        return getAttributeValue(properties, group.total);
+    }
+
+    let total = 0;
+    for (const field of group.fields) {
+        const value = getAttributeValue(properties, field);
+        if (value === null) return null;
+        total += value;
+    }
+    return total;
+}
+
+function getNormalizationDenominator(properties, attribute, normalizeBy) {
+    if (normalizeBy === 'GROUP_TOTAL') {
+        const group = getAttributeGroup(attribute);
+        return group ? getGroupTotal(properties, group) : null;
+    }
+    return getAttributeValue(properties, normalizeBy);
+}
+
+function getNormalizedValue(properties, attribute, normalizeBy) {
+    const value = getAttributeValue(properties, attribute);
+    if (value === null || !normalizeBy) return value;
+
+    const denominator = getNormalizationDenominator(properties, attribute, normalizeBy);
+    if (!denominator) return null;
+
+    return value / denominator * NORMALIZATION_OPTIONS[normalizeBy].multiplier;
+}
+
+function getAttributeDisplayName(attribute) {
+    const indicator = findDerivedIndicator(attribute);
+    if (indicator) {
+        return indicator.unit ? `${indicator.name} (${indicator.unit})` : indicator.name;
+    }
+    return getAttributeLabel(attribute);
+}
+
+// Values of every derived indicator that can be computed for a feature
+function getDerivedIndicatorValues(properties) {
+    return derivedIndicators
+        .map(indicator => ({
+            indicator,
+            value: evaluateExpression(indicator.ast, properties)
+        }))
+        .filter(({ value }) => value !== null);
+}
+
+function formatDerivedValue(value, unit) {
+    const formatted = value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    return unit ? `${formatted} ${unit}` : formatted;
+}
+
+// ==================== Attribute Query ====================
+let activeQuery = null;
+
+const QUERY_MATCH_STYLE = {
+    color: '#00f2fe',
+    weight: 3,
+    opacity: 1
+};
+
+const QUERY_DIMMED_STYLE = {
+    opacity: 0.25,
+    fillOpacity: 0.05
+};
+
+function getQueryStyle(layer) {
+    return activeQuery.matches.has(layer) ? QUERY_MATCH_STYLE : QUERY_DIMMED_STYLE;
+}
+
+// Runs a query such as `SITUACAO = 'Urbana' AND "vala" > 0` over a layer.
+// mode 'highlight' dims the other features, 'isolate' hides them.
+function runAttributeQuery(layerName, text, mode = 'highlight') {
+    const layerGroup = dataLayers[layerName];
+    if (!layerGroup) return null;
+
+    const ast = parseExpression(text, { conditions: true });
+
+    const matches = new Set();
+    layerGroup.eachLayer(layer => {
+        if (evaluateCondition(ast, layer.feature.properties)) {
+            matches.add(layer);
+        }
     });
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            infoModal.classList.remove('active');
-            // Also close attribute table if open
-            const tablePanel = document.getElementById('attributeTablePanel');
-            if (tablePanel.style.display === 'block') {
-                tablePanel.style.display = 'none';
-            }
+    clearAttributeQuery();
+    activeQuery = { layerName, text, ast, mode, matches };
+    applyQueryStyles();
+    setDashboardTrigger({ type: 'query' });
+
+    return activeQuery;
+}
+
+function applyQueryStyles() {
+    if (!activeQuery) return;
+
+    const { layerName, mode, matches } = activeQuery;
+    const layerGroup = dataLayers[layerName];
+    const groupVisible = map.hasLayer(layerGroup);
+
+    layerGroup.eachLayer(layer => {
+        if (mode === 'isolate' && !matches.has(layer)) {
+            map.removeLayer(layer);
+            return;
+        }
+        if (groupVisible && !map.hasLayer(layer)) {
+            map.addLayer(layer);
+        }
+        layer.setStyle(getCurrentFeatureStyle(layer, layerName));
+        if (matches.has(layer) && layer.bringToFront) {
+            layer.bringToFront();
         }
     });
+    restoreLayersAbove(layerName);
+}
 
-    // Close table button
-    document.getElementById('closeTableBtn').addEventListener('click', () => {
-        document.getElementById('attributeTablePanel').style.display = 'none';
+// Showing a layer again adds all of its features back; those an isolating
+// query hides are taken off again
+function restoreQueryIsolation(layerName) {
+    if (!activeQuery || activeQuery.layerName !== layerName || activeQuery.mode !== 'isolate') return;
+
+    dataLayers[layerName].eachLayer(layer => {
+        if (!activeQuery.matches.has(layer)) {
+            map.removeLayer(layer);
+        }
     });
+}
 
-    // Thematic Mapping Buttons
-    const attributeSelect = document.getElementById('thematicAttributeSelect');
-    const applyBtn = document.getElementById('applyThematicBtn');
-    const resetBtn = document.getElementById('resetThematicBtn');
+// Restores the styling that was active before the query (thematic or default)
+function clearAttributeQuery() {
+    if (!activeQuery) return;
 
-    attributeSelect.addEventListener('change', () => {
-        applyBtn.disabled = !attributeSelect.value;
+    const { layerName } = activeQuery;
+    const layerGroup = dataLayers[layerName];
+    const groupVisible = map.hasLayer(layerGroup);
+    activeQuery = null;
+
+    layerGroup.eachLayer(layer => {
+        if (groupVisible && !map.hasLayer(layer)) {
+            map.addLayer(layer);
+        }
+        layer.setStyle(getCurrentFeatureStyle(layer, layerName));
     });
 
-    applyBtn.addEventListener('click', () => {
-        const attribute = attributeSelect.value;
-        if (attribute) {
-            applyThematicMapping(attribute);
-            resetBtn.style.display = 'flex';
+    // The dashboard goes back to the clicked feature, if any
+    if (dashboardTrigger && dashboardTrigger.type === 'query') {
+        setDashboardTrigger(selectedFeatureLayer ? { type: 'feature', layer: selectedFeatureLayer } : null);
+    }
+}
+
+function summarizeQueryResult(query) {
+    let population = 0;
+    query.matches.forEach(layer => {
+        population += getAttributeValue(layer.feature.properties, 'v0001') || 0;
+    });
+
+    return {
+        count: query.matches.size,
+        population
+    };
+}
+
+function zoomToQueryResult() {
+    if (!activeQuery || activeQuery.matches.size === 0) return;
+
+    const bounds = L.latLngBounds([]);
+    activeQuery.matches.forEach(layer => {
+        bounds.extend(layer.getBounds ? layer.getBounds() : layer.getLatLng());
+    });
+    map.fitBounds(bounds, { padding: [20, 20] });
+}
+
+function populateQueryFieldOptions() {
+    const select = document.getElementById('queryFieldSelect');
+    const layerGroup = dataLayers['setores'];
+    if (!layerGroup) return;
+
+    const fields = new Set();
+    layerGroup.eachLayer(layer => {
+        Object.keys(layer.feature.properties).forEach(key => fields.add(key));
+    });
+
+    select.innerHTML = '';
+    fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field.trim();
+        select.appendChild(option);
+    });
+
+    updateQueryValueSuggestions();
+}
+
+// Suggests the distinct values of the chosen field while typing the value
+function updateQueryValueSuggestions() {
+    const field = document.getElementById('queryFieldSelect').value;
+    const datalist = document.getElementById('queryValueOptions');
+    const layerGroup = dataLayers['setores'];
+    datalist.innerHTML = '';
+    if (!field || !layerGroup) return;
+
+    const values = new Set();
+    layerGroup.eachLayer(layer => {
+        const value = layer.feature.properties[field];
+        if (value !== null && value !== undefined && value !== '') {
+            values.add(String(value));
         }
     });
 
-    resetBtn.addEventListener('click', () => {
-        resetThematicMapping();
-        attributeSelect.value = '';
-        applyBtn.disabled = true;
-        resetBtn.style.display = 'none';
+    Array.from(values).slice(0, 50).forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        datalist.appendChild(option);
     });
 }
 
-function showLoading() {
-    loadingIndicator = document.getElementById('loadingIndicator');
-    if (loadingIndicator) {
-        loadingIndicator.classList.remove('hidden');
+function formatQueryField(field) {
+    return /^[\p{L}_][\p{L}\p{N}_]*$/u.test(field) && !EXPRESSION_KEYWORDS.includes(field.toUpperCase()) ?
+        field :
+        `"${field}"`;
+}
+
+function formatQueryValue(value) {
+    const trimmed = value.trim();
+    const numeric = trimmed.replace(',', '.');
+    if (numeric !== '' && !isNaN(numeric)) {
+        return numeric;
     }
+    return `'${trimmed.replace(/'/g, "''")}'`;
 }
 
-function hideLoading() {
-    loadingIndicator = document.getElementById('loadingIndicator');
-    if (loadingIndicator) {
-        loadingIndicator.classList.add('hidden');
+function buildQueryCondition() {
+    const field = document.getElementById('queryFieldSelect').value;
+    const operator = document.getElementById('queryOperatorSelect').value;
+    const value = document.getElementById('queryValueInput').value;
+    if (!field || value.trim() === '') return null;
+
+    return `${formatQueryField(field)} ${operator} ${formatQueryValue(value)}`;
+}
+
+function showQueryResult(query) {
+    const result = document.getElementById('queryResult');
+    const { count, population } = summarizeQueryResult(query);
+
+    result.innerHTML = `
+        <span><strong>${count.toLocaleString('pt-BR')}</strong> setor(es) selecionado(s)</span>
+        <span>População: <strong>${population.toLocaleString('pt-BR')}</strong> hab.</span>
+    `;
+    result.classList.remove('query-error');
+    result.style.display = 'flex';
+    document.getElementById('zoomQueryBtn').style.display = count > 0 ? 'flex' : 'none';
+}
+
+function showQueryError(message) {
+    const result = document.getElementById('queryResult');
+    result.textContent = message;
+    result.classList.add('query-error');
+    result.style.display = 'flex';
+    document.getElementById('zoomQueryBtn').style.display = 'none';
+}
+
+function resetQueryPanel() {
+    clearAttributeQuery();
+    document.getElementById('queryResult').style.display = 'none';
+    document.getElementById('zoomQueryBtn').style.display = 'none';
+}
+
+// ==================== Expression Parser ====================
+// Small arithmetic language for derived indicators: numbers, field names
+// (bare identifiers such as v0001 or "quoted names"), + - * / and parentheses.
+// With `conditions` enabled it also accepts 'strings', comparisons
+// (= != <> < <= > >=) and AND / OR / NOT, as used by the attribute query.
+// AND, OR and NOT are reserved in both, in any case: a field with one of
+// these names must be quoted.
+const EXPRESSION_KEYWORDS = ['AND', 'OR', 'NOT'];
+
+function tokenizeExpression(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+        const char = expression[i];
+        const twoChars = expression.slice(i, i + 2);
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (['<=', '>=', '!=', '<>'].includes(twoChars)) {
+            tokens.push({ type: 'comparison', value: twoChars === '<>' ? '!=' : twoChars });
+            i += 2;
+        } else if ('=<>'.includes(char)) {
+            tokens.push({ type: 'comparison', value: char });
+            i++;
+        } else if ('+-*/()'.includes(char)) {
+            tokens.push({ type: 'operator', value: char });
+            i++;
+        } else if (/[0-9.]/.test(char)) {
+            const match = expression.slice(i).match(/^\d*\.?\d+/);
+            if (!match) throw new Error(`Número inválido na posição ${i + 1}.`);
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            i += match[0].length;
+        } else if (char === '"') {
+            const end = expression.indexOf('"', i + 1);
+            if (end === -1) throw new Error('Aspas não fechadas na expressão.');
+            tokens.push({ type: 'field', value: expression.slice(i + 1, end) });
+            i = end + 1;
+        } else if (char === "'") {
+            // Single-quoted text; a doubled quote ('') stands for a literal quote
+            let value = '';
+            let end = i + 1;
+            while (end < expression.length) {
+                if (expression[end] === "'") {
+                    if (expression[end + 1] !== "'") break;
+                    end++;
+                }
+                value += expression[end];
+                end++;
+            }
+            if (end >= expression.length) throw new Error('Texto entre aspas simples não fechado.');
+            tokens.push({ type: 'string', value });
+            i = end + 1;
+        } else {
+            const match = expression.slice(i).match(/^[\p{L}_][\p{L}\p{N}_]*/u);
+            if (!match) throw new Error(`Símbolo inesperado: ${char}`);
+            const keyword = match[0].toUpperCase();
+            tokens.push(EXPRESSION_KEYWORDS.includes(keyword) ?
+                { type: 'keyword', value: keyword, text: match[0] } :
+                { type: 'field', value: match[0] });
+            i += match[0].length;
+        }
     }
+
+    return tokens;
 }
 
-// ==================== Thematic Mapping Functions ====================
-let currentThematicAttribute = null;
-let thematicBreaks = [];
-let thematicColors = [];
+function parseExpression(expression, options = {}) {
+    const tokens = tokenizeExpression(expression || '');
+    let position = 0;
 
-function applyThematicMapping(attribute) {
-    if (!dataLayers['setores']) return;
+    const peek = () => tokens[position];
+    const isOperator = (token, operators) => token && token.type === 'operator' && operators.includes(token.value);
+    const isKeyword = (token, keyword) => token && token.type === 'keyword' && token.value === keyword;
 
-    showLoading();
-    currentThematicAttribute = attribute;
+    function parseOr() {
+        let node = parseAnd();
+        while (isKeyword(peek(), 'OR')) {
+            position++;
+            node = { type: 'logical', op: 'OR', left: node, right: parseAnd() };
+        }
+        return node;
+    }
 
-    // 1. Extract values
-    const values = [];
-    dataLayers['setores'].eachLayer(layer => {
-        const val = parseFloat(layer.feature.properties[attribute]);
-        if (!isNaN(val)) {
-            values.push(val);
+    function parseAnd() {
+        let node = parseNot();
+        while (isKeyword(peek(), 'AND')) {
+            position++;
+            node = { type: 'logical', op: 'AND', left: node, right: parseNot() };
         }
-    });
+        return node;
+    }
 
-    if (values.length === 0) {
-        alert('Não há dados numéricos válidos para este atributo.');
-        hideLoading();
-        return;
+    function parseNot() {
+        if (isKeyword(peek(), 'NOT')) {
+            position++;
+            return { type: 'not', operand: parseNot() };
+        }
+        return parseComparison();
     }
 
-    // 2. Calculate Jenks Natural Breaks (simplified to quantiles or equal intervals for now)
-    // Using 5 classes
-    values.sort((a, b) => a - b);
-    thematicBreaks = calculateJenks(values, 5);
-    
-    // 3. Define colors (ColorBrewer YlOrRd)
-    thematicColors = [
-        '#ffffb2',
-        '#fecc5c',
-        '#fd8d3c',
-        '#f03b20',
-        '#bd0026'
-    ];
+    function parseComparison() {
+        const left = parseSum();
+        const token = peek();
+        if (token && token.type === 'comparison') {
+            position++;
+            return { type: 'compare', op: token.value, left, right: parseSum() };
+        }
+        return left;
+    }
 
-    // 4. Apply style
-    dataLayers['setores'].eachLayer(layer => {
-        const val = parseFloat(layer.feature.properties[attribute]);
-        const color = getColorForValue(val, thematicBreaks, thematicColors);
-        
-        layer.setStyle({
-            fillColor: color,
-            fillOpacity: 0.8,
-            weight: 1,
-            color: '#333'
-        });
+    function parseSum() {
+        let node = parseProduct();
+        while (isOperator(peek(), '+-')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseProduct() };
+        }
+        return node;
+    }
+
+    function parseProduct() {
+        let node = parseUnary();
+        while (isOperator(peek(), '*/')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOperator(peek(), '-')) {
+            position++;
+            return { type: 'negate', operand: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) throw new Error('Expressão incompleta.');
+
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === 'field') return { type: 'field', name: token.value };
+        if (token.type === 'string' && options.conditions) return { type: 'string', value: token.value };
+
+        if (isOperator(token, '(')) {
+            const node = options.conditions ? parseOr() : parseSum();
+            if (!isOperator(peek(), ')')) throw new Error('Parêntese não fechado na expressão.');
+            position++;
+            return node;
+        }
+
+        throw createUnexpectedTokenError(token);
+    }
+
+    if (tokens.length === 0) throw new Error('Informe uma expressão.');
+
+    const ast = options.conditions ? parseOr() : parseSum();
+    if (position < tokens.length) {
+        throw createUnexpectedTokenError(tokens[position]);
+    }
+    return ast;
+}
+
+function createUnexpectedTokenError(token) {
+    if (token.type === 'keyword') {
+        return new Error(`${token.text} é uma palavra reservada (AND, OR, NOT): para usar um campo com este nome, escreva-o entre aspas duplas ("${token.text}").`);
+    }
+    return new Error(`Símbolo inesperado: ${token.value}`);
+}
+
+function evaluateExpression(node, properties) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'field':
+            return toNumber(properties[node.name]);
+        case 'negate': {
+            const value = evaluateExpression(node.operand, properties);
+            return value === null ? null : -value;
+        }
+        case 'binary': {
+            const left = evaluateExpression(node.left, properties);
+            const right = evaluateExpression(node.right, properties);
+            if (left === null || right === null) return null;
+
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return right === 0 ? null : left / right;
+            }
+        }
+    }
+    return null;
+}
+
+// Evaluates a condition tree (logical/not/compare nodes) to true or false.
+// Missing values never match, so `"vala" > 0` skips sectors without the field.
+function evaluateCondition(node, properties) {
+    switch (node.type) {
+        case 'logical':
+            return node.op === 'AND' ?
+                evaluateCondition(node.left, properties) && evaluateCondition(node.right, properties) :
+                evaluateCondition(node.left, properties) || evaluateCondition(node.right, properties);
+        case 'not':
+            return !evaluateCondition(node.operand, properties);
+        case 'compare':
+            return compareValues(
+                evaluateOperand(node.left, properties),
+                node.op,
+                evaluateOperand(node.right, properties)
+            );
+        default:
+            throw new Error('A consulta deve conter uma comparação (ex.: v0001 > 100).');
+    }
+}
+
+// Fields keep their text value so they can be compared with 'strings'
+function evaluateOperand(node, properties) {
+    if (node.type === 'string') return node.value;
+    if (node.type === 'field') {
+        const value = properties[node.name];
+        if (value === undefined || value === null || value === '') return null;
+        const number = toNumber(value);
+        return number === null ? String(value) : number;
+    }
+    return evaluateExpression(node, properties);
+}
+
+function compareValues(left, op, right) {
+    if (left === null || right === null) return false;
+
+    let a = left;
+    let b = right;
+    if (typeof a !== 'number' || typeof b !== 'number') {
+        a = String(a).trim().toLocaleLowerCase('pt-BR');
+        b = String(b).trim().toLocaleLowerCase('pt-BR');
+    }
+
+    switch (op) {
+        case '=': return a === b;
+        case '!=': return a !== b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+    }
+    return false;
+}
+
+function collectExpressionFields(node, fields = new Set()) {
+    if (node.type === 'field') fields.add(node.name);
+    if (node.operand) collectExpressionFields(node.operand, fields);
+    if (node.left) collectExpressionFields(node.left, fields);
+    if (node.right) collectExpressionFields(node.right, fields);
+    return fields;
+}
+
+// ==================== Derived Indicators Panel ====================
+function getNumericFields(layerName) {
+    const layer = dataLayers[layerName];
+    if (!layer) return [];
+
+    const fields = new Set();
+    layer.eachLayer(featureLayer => {
+        for (const [key, value] of Object.entries(featureLayer.feature.properties)) {
+            if (value !== null && value !== '' && !isNaN(value)) {
+                fields.add(key);
+            }
+        }
     });
+    return Array.from(fields);
+}
 
-    // 5. Update Legend
-    updateLegend(attribute, thematicBreaks, thematicColors);
+function populateDerivedFieldOptions() {
+    const select = document.getElementById('derivedFieldSelect');
+    select.innerHTML = '<option value="">Inserir campo...</option>';
 
-    hideLoading();
+    getNumericFields('setores').forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field.trim();
+        select.appendChild(option);
+    });
 }
 
-function resetThematicMapping() {
-    if (!dataLayers['setores']) return;
-    
-    currentThematicAttribute = null;
-    const config = CONFIG.layers['setores'];
-    
-    dataLayers['setores'].eachLayer(layer => {
-        layer.setStyle(getFeatureStyle(layer.feature, config.color));
+function renderDerivedIndicatorsList() {
+    const list = document.getElementById('derivedIndicatorsList');
+    list.innerHTML = '';
+
+    derivedIndicators.forEach(indicator => {
+        const item = document.createElement('div');
+        item.className = 'derived-indicator-item';
+
+        const info = document.createElement('div');
+        info.className = 'derived-indicator-info';
+
+        const name = document.createElement('span');
+        name.className = 'derived-indicator-name';
+        name.textContent = getAttributeDisplayName(`derived:${indicator.id}`);
+
+        const expression = document.createElement('span');
+        expression.className = 'derived-indicator-expression';
+        expression.textContent = indicator.expression;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'close-table-btn';
+        removeBtn.title = 'Excluir indicador';
+        removeBtn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                <path d="M12 4L4 12M4 4L12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+            </svg>
+        `;
+        removeBtn.addEventListener('click', () => removeDerivedIndicator(indicator.id));
+
+        info.appendChild(name);
+        info.appendChild(expression);
+        item.appendChild(info);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
     });
+}
 
-    document.getElementById('legendContainer').style.display = 'none';
+// Keeps the "Indicadores Derivados" group of the attribute selects in sync
+function refreshDerivedIndicatorOptions() {
+    updateThematicAttributeOptions();
+    populateCompareAttributeOptions();
+    populateSpatialStatsAttributeOptions();
 }
 
-function getColorForValue(value, breaks, colors) {
-    if (value === undefined || value === null || isNaN(value)) return '#ccc';
-    
-    for (let i = 0; i < breaks.length; i++) {
-        if (value <= breaks[i]) {
-            return colors[i];
+function addDerivedIndicator(name, expression, unit) {
+    if (!name) throw new Error('Informe um nome para o indicador.');
+
+    const indicator = compileDerivedIndicator({
+        id: `ind_${Date.now().toString(36)}`,
+        name,
+        expression,
+        unit
+    });
+
+    const knownFields = new Set(getNumericFields('setores'));
+    if (knownFields.size > 0) {
+        const unknown = Array.from(indicator.fields).filter(field => !knownFields.has(field));
+        if (unknown.length > 0) {
+            throw new Error(`Campo(s) desconhecido(s): ${unknown.join(', ')}`);
         }
     }
-    return colors[colors.length - 1];
+
+    derivedIndicators.push(indicator);
+    saveDerivedIndicators();
+    renderDerivedIndicatorsList();
+    refreshDerivedIndicatorOptions();
 }
 
-// Simple implementation of Jenks/Quantiles (using Quantiles for robustness)
-function calculateJenks(values, classes) {
-    const breaks = [];
-    const step = Math.floor(values.length / classes);
-    
-    for (let i = 1; i < classes; i++) {
-        breaks.push(values[i * step]);
+function removeDerivedIndicator(id) {
+    derivedIndicators = derivedIndicators.filter(indicator => indicator.id !== id);
+    saveDerivedIndicators();
+    renderDerivedIndicatorsList();
+    refreshDerivedIndicatorOptions();
+
+    // Drop the thematic and symbol maps drawn with the removed indicator
+    Object.keys(thematicMaps)
+        .filter(name => thematicMaps[name].attribute === `derived:${id}`)
+        .forEach(name => resetThematicMapping(name));
+    Object.keys(symbolMaps)
+        .filter(name => symbolMaps[name].attribute === `derived:${id}`)
+        .forEach(name => resetSymbolMapping(name));
+    selectThematicLayer(thematicLayerName);
+}
+
+function insertAtCursor(input, text) {
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    input.selectionStart = input.selectionEnd = start + text.length;
+    input.focus();
+}
+
+// ==================== Benchmark ====================
+// Opening the page with ?benchmark times the loading of the largest layers
+// and the interactions that used to freeze the page, then downloads the
+// results as JSON and prints them to the console. Every measure is repeated
+// BENCHMARK_RUNS times (or ?runs=N) from the same view, on the same features,
+// and its median is reported. Layers are loaded by three paths:
+// - main-thread: the full GeoJSON, parsed and reprojected on the page;
+// - worker-geojson: the full GeoJSON, in the layer worker;
+// - worker: the TopoJSON copy in the layer worker, as the page loads it
+//   (the GeoJSON when there is no copy).
+// Besides the time taken, the longest gap between animation frames shows how
+// long the page stopped responding. Add &renderer=svg to draw the vector
+// layers as SVG instead of canvas. Open the page with the data already in the
+// browser's cache (run it twice) and reload it afterwards.
+const BENCHMARK_LAYERS = ['setores', 'residencia'];
+const BENCHMARK_RUNS = 5;
+const BENCHMARK_LOAD_PATHS = {
+    'main-thread': { useWorker: false, topojson: false },
+    'worker-geojson': { useWorker: true, topojson: false },
+    worker: { useWorker: true, topojson: true }
+};
+// Features hovered per run, spread evenly over the layer
+const BENCHMARK_HOVER_SAMPLES = 200;
+// Zoom levels stepped in from CONFIG.zoom per run
+const BENCHMARK_ZOOM_STEPS = 4;
+
+function getBenchmarkOptions() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('benchmark')) return null;
+
+    return {
+        runs: parseInt(params.get('runs'), 10) || BENCHMARK_RUNS,
+        renderer: params.get('renderer') === 'svg' ? 'svg' : 'canvas'
+    };
+}
+
+async function runBenchmark({ runs, renderer }) {
+    const results = {
+        date: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        cpus: navigator.hardwareConcurrency,
+        renderer,
+        runs,
+        layers: {}
+    };
+
+    try {
+        for (const layerName of BENCHMARK_LAYERS) {
+            console.log(`Benchmarking layer ${layerName}...`);
+            results.layers[layerName] = await benchmarkLayer(layerName, runs);
+        }
+    } catch (error) {
+        console.error('Benchmark failed:', error);
+        alert(`Erro no benchmark: ${error.message}`);
+        return;
     }
-    breaks.push(values[values.length - 1]);
-    
-    return breaks;
+
+    console.table(Object.entries(results.layers).flatMap(([layerName, { measures }]) =>
+        Object.entries(measures).map(([measure, { time, longestGap, file }]) => ({
+            layer: layerName,
+            measure,
+            file: file || '',
+            'time (ms)': time,
+            'longest frame gap (ms)': longestGap
+        }))));
+    downloadFile(JSON.stringify(results, null, 2), `benchmark-${renderer}-${results.date.slice(0, 10)}.json`, 'application/json');
 }
 
-function updateLegend(attribute, breaks, colors) {
-    const container = document.getElementById('legendContainer');
-    const content = document.getElementById('legendContent');
-    const title = container.querySelector('.legend-title');
-    
-    title.textContent = `Legenda: ${attribute}`;
-    content.innerHTML = '';
-    
-    let start = 0;
-    for (let i = 0; i < breaks.length; i++) {
-        const end = breaks[i];
-        const color = colors[i];
-        
-        // Format numbers
-        const startFmt = start.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
-        const endFmt = end.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
-        
-        const item = document.createElement('div');
-        item.className = 'legend-class-item';
-        item.innerHTML = `
-            <div class="legend-color-box" style="background: ${color}"></div>
-            <span class="legend-label">${startFmt} - ${endFmt}</span>
-        `;
-        
-        content.appendChild(item);
-        start = end;
+async function benchmarkLayer(layerName, runs) {
+    const config = CONFIG.layers[layerName];
+    const measures = {};
+    const repeat = async (measure, fn) => {
+        const samples = [];
+        for (let run = 0; run < runs; run++) {
+            map.setView(CONFIG.center, CONFIG.zoom, { animate: false });
+            samples.push(...await fn());
+        }
+        const median = key => Math.round(getMedian(samples.map(sample => sample[key])) * 1000) / 1000;
+        measures[measure] = { time: median('time'), longestGap: median('longestGap') };
+    };
+
+    // The default path goes last, so the page is left with the layer as it
+    // normally loads
+    // The TopoJSON path falls back to the GeoJSON like the page does; each
+    // load measure names the file it read
+    for (const [path, { useWorker, topojson }] of Object.entries(BENCHMARK_LOAD_PATHS)) {
+        let file = config.file;
+        await repeat(`load (${path})`, async () => {
+            await unloadBenchmarkLayer(layerName);
+            return [await measureFrameGaps(async () => {
+                const { geojsonData, zooms, ...loaded } = topojson
+                    ? await loadCatalogLayerData(config, { useWorker })
+                    : await loadLayerData(config, { file, useWorker });
+                file = loaded.file || file;
+                createDataLayer(layerName, geojsonData, zooms);
+            })];
+        });
+        measures[`load (${path})`].file = file;
+    }
+
+    await repeat('show', async () => {
+        const sample = await measureFrameGaps(() => setLayerVisibility(layerName, true));
+        await setLayerVisibility(layerName, false);
+        return [sample];
+    });
+
+    await setLayerVisibility(layerName, true);
+    const features = dataLayers[layerName].getLayers();
+    const step = Math.max(1, Math.floor(features.length / BENCHMARK_HOVER_SAMPLES));
+    const hovered = features.filter((feature, i) => i % step === 0).slice(0, BENCHMARK_HOVER_SAMPLES);
+
+    // Per feature: the mouseover and mouseout handlers, then the redraw
+    await repeat('hover', async () => {
+        const sample = await measureFrameGaps(() => {
+            hovered.forEach(feature => {
+                feature.fire('mouseover');
+                feature.fire('mouseout');
+            });
+        });
+        return [{ time: Math.round(sample.time / hovered.length * 1000) / 1000, longestGap: sample.longestGap }];
+    });
+
+    // Per zoom level, on the way in and out
+    await repeat('zoom', async () => {
+        const samples = [];
+        for (let i = 1; i <= BENCHMARK_ZOOM_STEPS * 2; i++) {
+            const zoom = CONFIG.zoom + (i <= BENCHMARK_ZOOM_STEPS ? i : BENCHMARK_ZOOM_STEPS * 2 - i);
+            samples.push(await measureFrameGaps(() => map.setZoom(zoom, { animate: false })));
+        }
+        return samples;
+    });
+    await setLayerVisibility(layerName, false);
+
+    return { features: features.length, measures };
+}
+
+async function unloadBenchmarkLayer(layerName) {
+    if (!dataLayers[layerName]) return;
+    await setLayerVisibility(layerName, false);
+    if (layerName === 'residencia') {
+        teardownResidenciaLayer();
     }
-    
-    container.style.display = 'block';
+    delete dataLayers[layerName];
+}
+
+// Time fn takes, up to the next frame drawn, and the longest the page went
+// without drawing a frame meanwhile
+async function measureFrameGaps(fn) {
+    let measuring = true;
+    let longestGap = 0;
+    let lastFrame = performance.now();
+    const onFrame = now => {
+        longestGap = Math.max(longestGap, now - lastFrame);
+        lastFrame = now;
+        if (measuring) requestAnimationFrame(onFrame);
+    };
+    requestAnimationFrame(onFrame);
+
+    const start = performance.now();
+    await fn();
+    await new Promise(resolve => requestAnimationFrame(resolve));
+    measuring = false;
+
+    return {
+        time: Math.round((performance.now() - start) * 10) / 10,
+        longestGap: Math.round(longestGap * 10) / 10
+    };
+}
+
+function getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
 }
 
 // Initialize map when DOM is ready
-document.addEventListener('DOMContentLoaded', initMap);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', initMap);
@@ -0,0 +1,318 @@
+// ==================== Layer Data ====================
+// Loading of the data layers, shared by the page (app.js) and the layer
+// worker (layer-worker.js): fetching a layer file, decoding TopoJSON,
+// reprojecting to WGS84 and computing the simplification zooms. Nothing here
+// may use the DOM or Leaflet, which the worker does not have; proj4 must be
+// loaded first.
+
+// Time a response was stored by the service worker; must match sw.js
+const CACHED_AT_HEADER = 'X-Geoportal-Cached-At';
+
+async function fetchLayerFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return { data: await response.json(), cachedAt: response.headers.get(CACHED_AT_HEADER) };
+}
+
+// GeoJSON or TopoJSON of a layer as WGS84 GeoJSON, with the zooms from which
+// the vertices of each feature are drawn (see Vertex Zooms)
+function prepareLayerData(data, config) {
+    const geojsonData = data.type === 'Topology' ? decodeTopology(data) : data;
+    reprojectGeoJSON(geojsonData, getLayerCRS(geojsonData, config));
+
+    const zooms = (geojsonData.features || []).map(feature => feature.geometry && getGeometryZooms(feature.geometry));
+    return { geojsonData, zooms };
+}
+
+// Features of the first object of a TopoJSON topology, such as those written
+// by tools/build-topojson.js (quantized, delta-encoded arcs)
+function decodeTopology(topology) {
+    const { scale, translate } = topology.transform || { scale: [1, 1], translate: [0, 0] };
+    const toPosition = ([x, y]) => [x * scale[0] + translate[0], y * scale[1] + translate[1]];
+
+    const arcs = topology.arcs.map(arc => {
+        if (!topology.transform) return arc;
+        let x = 0;
+        let y = 0;
+        return arc.map(([dx, dy]) => toPosition([x += dx, y += dy]));
+    });
+
+    // Negative indexes walk an arc backwards; each arc after the first
+    // starts on the last position of the previous one
+    const toLine = indexes => indexes.flatMap((index, i) => {
+        const positions = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+        return i > 0 ? positions.slice(1) : positions;
+    });
+
+    const toGeometry = geometry => {
+        switch (geometry.type) {
+            case 'Point':
+                return { type: 'Point', coordinates: toPosition(geometry.coordinates) };
+            case 'MultiPoint':
+                return { type: 'MultiPoint', coordinates: geometry.coordinates.map(toPosition) };
+            case 'LineString':
+                return { type: 'LineString', coordinates: toLine(geometry.arcs) };
+            case 'MultiLineString':
+            case 'Polygon':
+                return { type: geometry.type, coordinates: geometry.arcs.map(toLine) };
+            case 'MultiPolygon':
+                return { type: 'MultiPolygon', coordinates: geometry.arcs.map(polygon => polygon.map(toLine)) };
+            case 'GeometryCollection':
+                return { type: 'GeometryCollection', geometries: geometry.geometries.map(toGeometry) };
+            default:
+                return null;
+        }
+    };
+
+    const object = Object.values(topology.objects)[0];
+    const geometries = object.type === 'GeometryCollection' ? object.geometries : [object];
+
+    return {
+        type: 'FeatureCollection',
+        features: geometries.map(({ id, properties, ...geometry }) => {
+            const feature = { type: 'Feature', properties: properties || {}, geometry: toGeometry(geometry) };
+            if (id !== undefined) {
+                feature.id = id;
+            }
+            return feature;
+        })
+    };
+}
+
+// ==================== Coordinate Reference Systems ====================
+// Systems found in the municipal data. Files in any of them are reprojected to
+// WGS84 on load; anything else must already be known to proj4.
+const CRS_DEFINITIONS = {
+    'EPSG:4674': {
+        name: 'SIRGAS 2000',
+        proj: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs'
+    },
+    'EPSG:31983': {
+        name: 'SIRGAS 2000 / UTM 23S',
+        proj: '+proj=utm +zone=23 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs'
+    },
+    'EPSG:31984': {
+        name: 'SIRGAS 2000 / UTM 24S',
+        proj: '+proj=utm +zone=24 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs'
+    },
+    'EPSG:4618': {
+        name: 'SAD69',
+        proj: '+proj=longlat +ellps=aust_SA +towgs84=-66.87,4.37,-38.52,0,0,0,0 +no_defs'
+    },
+    'EPSG:29193': {
+        name: 'SAD69 / UTM 23S',
+        proj: '+proj=utm +zone=23 +south +ellps=aust_SA +towgs84=-66.87,4.37,-38.52,0,0,0,0 +units=m +no_defs'
+    },
+    'EPSG:29194': {
+        name: 'SAD69 / UTM 24S',
+        proj: '+proj=utm +zone=24 +south +ellps=aust_SA +towgs84=-66.87,4.37,-38.52,0,0,0,0 +units=m +no_defs'
+    }
+};
+
+// Names that mean plain longitude/latitude on WGS84 (GeoJSON's own CRS)
+const WGS84_CRS_NAMES = ['CRS84', 'EPSG:4326'];
+
+function registerCRSDefinitions() {
+    Object.entries(CRS_DEFINITIONS).forEach(([code, definition]) => {
+        proj4.defs(code, definition.proj);
+    });
+}
+
+// Accepts "EPSG:31983", "urn:ogc:def:crs:EPSG::31983",
+// "http://www.opengis.net/def/crs/EPSG/0/31983" and the CRS84 URN
+function normalizeCRSName(name) {
+    const text = String(name).trim();
+    if (/CRS:?84$/i.test(text)) return 'CRS84';
+
+    const epsg = text.match(/EPSG(?::+|\/\d+\/)(\d+)$/i);
+    if (epsg) return `EPSG:${epsg[1]}`;
+
+    return text;
+}
+
+// The per-layer `crs` in CONFIG.layers wins over the file's "crs" member
+function getLayerCRS(geojsonData, config) {
+    if (config.crs) {
+        return normalizeCRSName(config.crs);
+    }
+
+    const crs = geojsonData.crs;
+    if (crs && crs.type === 'name' && crs.properties && crs.properties.name) {
+        return normalizeCRSName(crs.properties.name);
+    }
+
+    return null;
+}
+
+function createCRSError(message, crs) {
+    const error = new Error(message);
+    error.crs = crs;
+    return error;
+}
+
+function reprojectGeoJSON(geojsonData, sourceCRS) {
+    const features = geojsonData.features || [];
+
+    if (!sourceCRS || WGS84_CRS_NAMES.includes(sourceCRS)) {
+        // RFC 7946 files carry no "crs" and are WGS84; anything outside
+        // longitude/latitude range is projected and needs an explicit CRS.
+        // Files declaring WGS84 are checked too, as some tools write CRS84
+        // over projected (e.g. UTM) coordinates.
+        const outOfRange = features.some(feature => feature.geometry &&
+            !geometryFitsLongLat(feature.geometry));
+        if (outOfRange && sourceCRS) {
+            throw createCRSError(`O arquivo declara longitude/latitude (${sourceCRS}), mas as coordenadas parecem projetadas.`, sourceCRS);
+        }
+        if (outOfRange) {
+            throw createCRSError('As coordenadas não estão em longitude/latitude e o sistema de referência não foi declarado.', null);
+        }
+        return geojsonData;
+    }
+
+    if (!proj4.defs(sourceCRS)) {
+        throw createCRSError(`Sistema de referência desconhecido: ${sourceCRS}.`, sourceCRS);
+    }
+
+    const transform = proj4(sourceCRS, 'EPSG:4326');
+    const label = CRS_DEFINITIONS[sourceCRS] ? CRS_DEFINITIONS[sourceCRS].name : sourceCRS;
+    console.log(`Reprojecting ${features.length} features from ${label} to WGS84...`);
+
+    features.forEach(feature => {
+        if (feature.geometry) {
+            reprojectGeometry(feature.geometry, transform);
+        }
+    });
+    delete geojsonData.crs;
+
+    return geojsonData;
+}
+
+function reprojectGeometry(geometry, transform) {
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(child => reprojectGeometry(child, transform));
+        return;
+    }
+
+    geometry.coordinates = mapCoordinates(geometry.coordinates, coord => {
+        const [lng, lat] = transform.forward([coord[0], coord[1]]);
+        return coord.length > 2 ? [lng, lat, ...coord.slice(2)] : [lng, lat];
+    });
+}
+
+// Applies fn to every position of a Point/LineString/Polygon/Multi* array
+function mapCoordinates(coordinates, fn) {
+    if (typeof coordinates[0] === 'number') {
+        return fn(coordinates);
+    }
+    return coordinates.map(child => mapCoordinates(child, fn));
+}
+
+function geometryFitsLongLat(geometry) {
+    if (geometry.type === 'GeometryCollection') {
+        return geometry.geometries.every(geometryFitsLongLat);
+    }
+
+    let fits = true;
+    mapCoordinates(geometry.coordinates, coord => {
+        if (Math.abs(coord[0]) > 180 || Math.abs(coord[1]) > 90) {
+            fits = false;
+        }
+        return coord;
+    });
+    return fits;
+}
+
+// ==================== Vertex Zooms ====================
+// Zoom from which each vertex of a line or polygon is drawn (see Geometry
+// Simplification in app.js).
+
+// Pixels a left-out vertex may be off the drawn outline; below Leaflet's own
+// smoothFactor, so the outlines look the same
+const SIMPLIFICATION_TOLERANCE = 0.5;
+// Zoom of the vertices that no zoom needs (repeated or on a straight line)
+const SIMPLIFICATION_MAX_ZOOM = 30;
+// Earth radius of Web Mercator (EPSG:3857), in meters
+const MERCATOR_RADIUS = 6378137;
+
+// Vertex zooms of a geometry, nested like its coordinates; null for points
+function getGeometryZooms(geometry) {
+    switch (geometry.type) {
+        case 'LineString':
+            return getLineZooms(geometry.coordinates, false);
+        case 'MultiLineString':
+            return geometry.coordinates.map(line => getLineZooms(line, false));
+        case 'Polygon':
+            return geometry.coordinates.map(ring => getLineZooms(ring, true));
+        case 'MultiPolygon':
+            return geometry.coordinates.map(polygon => polygon.map(ring => getLineZooms(ring, true)));
+        default:
+            return null;
+    }
+}
+
+// Douglas–Peucker keeps, between two kept vertices, the one farthest from
+// the segment joining them; that distance, capped by the one of the vertex
+// that split the segment, is how far off the outline is without it
+function getLineZooms(positions, isRing) {
+    if (positions.length <= 2) {
+        return positions.map(() => 0);
+    }
+
+    const points = positions.map(projectMercator);
+    const last = points.length - 1;
+    const distances = new Array(points.length).fill(0);
+    distances[0] = distances[last] = Infinity;
+
+    const segments = [[0, last, Infinity]];
+    while (segments.length > 0) {
+        const [start, end, cap] = segments.pop();
+        let farthest = -1;
+        let farthestDistance = -1;
+        for (let i = start + 1; i < end; i++) {
+            const distance = getSegmentDistance(points[i], points[start], points[end]);
+            if (distance > farthestDistance) {
+                farthest = i;
+                farthestDistance = distance;
+            }
+        }
+        if (farthest < 0) continue;
+
+        distances[farthest] = Math.min(farthestDistance, cap);
+        segments.push([start, farthest, distances[farthest]], [farthest, end, distances[farthest]]);
+    }
+
+    // Every zoom draws the vertices on the bounding box, so that getBounds()
+    // stays exact, and a ring keeps at least a triangle
+    const kept = [0, 1].flatMap(axis => {
+        const values = points.map(point => point[axis]);
+        return [values.indexOf(Math.min(...values)), values.indexOf(Math.max(...values))];
+    });
+    if (isRing) {
+        const interior = distances.map((distance, i) => i).slice(1, last);
+        kept.push(...interior.sort((a, b) => distances[b] - distances[a]).slice(0, 2));
+    }
+    kept.forEach(i => { distances[i] = Infinity; });
+
+    const metersPerPixel = 2 * Math.PI * MERCATOR_RADIUS / 256;
+    return distances.map(distance => Math.max(0, Math.min(SIMPLIFICATION_MAX_ZOOM,
+        Math.ceil(Math.log2(metersPerPixel * SIMPLIFICATION_TOLERANCE / distance)))));
+}
+
+function getSegmentDistance([x, y], [x1, y1], [x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length = dx * dx + dy * dy;
+    const t = length > 0 ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length)) : 0;
+    return Math.hypot(x - x1 - t * dx, y - y1 - t * dy);
+}
+
+function projectMercator([lng, lat]) {
+    return [
+        MERCATOR_RADIUS * lng * Math.PI / 180,
+        MERCATOR_RADIUS * Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360))
+    ];
+}
@@ -0,0 +1,16 @@
+// ==================== Layer Worker ====================
+// Loads catalog layers off the page's thread (see Layer Worker in app.js):
+// fetches the requested file, brings it to WGS84 GeoJSON with the
+// simplification zooms of its features and posts the result back. The page
+// passes the URL of its proj4 script in the `proj4` parameter.
+importScripts(new URL(self.location.href).searchParams.get('proj4'), 'layer-data.js');
+registerCRSDefinitions();
+
+self.addEventListener('message', async ({ data: { id, url, config } }) => {
+    try {
+        const { data, cachedAt } = await fetchLayerFile(url);
+        self.postMessage({ id, ...prepareLayerData(data, config), cachedAt });
+    } catch (error) {
+        self.postMessage({ id, error: { message: error.message, crs: error.crs, status: error.status } });
+    }
+});
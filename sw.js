@@ -0,0 +1,149 @@
+// ==================== Offline Mode Service Worker ====================
+// Keeps the geoportal usable without a connection (see Offline Mode in app.js):
+// - the app shell (index.html, its scripts and styles, the layer worker and
+//   the CDN libraries) and the data layers of the catalog (the TopoJSON
+//   copies the page loads, where there are any) are cached on install;
+// - same-origin requests go to the network first and fall back to the cache,
+//   so a deploy or a data update shows up as soon as there is a connection;
+//   a network that does not answer within NETWORK_TIMEOUT counts as down;
+// - CDN files are versioned, so they are served from the cache first;
+// - basemap tiles come only from the tiles the user downloaded, looked up
+//   without the {s} subdomain Leaflet spreads them over.
+// Responses served from the cache carry CACHED_AT_HEADER with the time they
+// were stored, which the page uses for its "offline" indicator.
+const SHELL_CACHE = 'geoportal-shell-v1';
+const DATA_CACHE = 'geoportal-data';
+const TILE_CACHE = 'geoportal-tiles';
+const CACHED_AT_HEADER = 'X-Geoportal-Cached-At';
+const CATALOG_URL = 'data/catalog.json';
+// Loaded by the page with new Worker(), so not linked from index.html
+const LAYER_WORKER_URL = 'layer-worker.js';
+// Milliseconds to wait for a response before serving the cached copy
+const NETWORK_TIMEOUT = 5000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([cacheShell(), cacheDataLayers()]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('geoportal-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        const cacheName = /\.(geo|topo)?json$/.test(url.pathname) ? DATA_CACHE : SHELL_CACHE;
+        event.respondWith(networkFirst(request, cacheName));
+    } else if (request.destination === 'image') {
+        event.respondWith(cachedTile(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// The page, the scripts and stylesheets it links and the manifest
+async function cacheShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    const html = await (await fetch('index.html', { cache: 'no-cache' })).text();
+    const scripts = [...html.matchAll(/<script\b[^>]*\bsrc="([^"]+)"/g)].map(match => match[1]);
+    const links = [...html.matchAll(/<link\b[^>]*>/g)]
+        .map(match => match[0])
+        .filter(tag => /\brel="(stylesheet|manifest|icon)"/.test(tag))
+        .map(tag => tag.match(/\bhref="([^"]+)"/)[1]);
+
+    // One by one, so that a file that fails (a CDN that is down) does not
+    // keep the others out of the cache and the service worker from installing
+    await Promise.all(['./', 'index.html', LAYER_WORKER_URL, ...scripts, ...links].map(async url => {
+        try {
+            await cache.add(new Request(url, { cache: 'no-cache' }));
+        } catch (error) {
+            console.warn(`Could not cache ${url} for offline use:`, error);
+        }
+    }));
+}
+
+// The catalog and the file of every layer it lists
+async function cacheDataLayers() {
+    const cache = await caches.open(DATA_CACHE);
+    const catalogResponse = await fetch(CATALOG_URL, { cache: 'no-cache' });
+    const catalog = await catalogResponse.clone().json();
+    await cache.put(CATALOG_URL, await stampResponse(catalogResponse));
+
+    await Promise.all(catalog.layers.map(async layer => {
+        let file = layer.topojson || layer.file;
+        let response = await fetch(file, { cache: 'no-cache' });
+        // Deploys without the TopoJSON copies serve the GeoJSON
+        if (response.status === 404 && layer.topojson) {
+            file = layer.file;
+            response = await fetch(file, { cache: 'no-cache' });
+        }
+        if (response.ok) {
+            await cache.put(file, await stampResponse(response));
+        }
+    }));
+}
+
+// Copy of a response with the time it is being cached
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+// Without a cached copy, the network is waited for as long as it takes
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(request);
+    let response;
+    try {
+        response = await withTimeout(network, NETWORK_TIMEOUT);
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        response = await network;
+    }
+
+    if (response.ok) {
+        await cache.put(request, await stampResponse(response.clone()));
+    }
+    return response;
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No response in ${ms} ms`)), ms);
+        promise.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    // Only what the page loads (scripts, styles, fonts) is kept; fetch()
+    // calls, such as the tile downloads, have no destination
+    const response = await fetch(request);
+    if (response.ok && request.destination) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Tiles are stored under the "a" subdomain, whichever one Leaflet asked
+function getTileCacheKey(url) {
+    return url.replace(/^(https?:\/\/)[abc]\./, '$1a.');
+}
+
+async function cachedTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(getTileCacheKey(request.url), { ignoreVary: true });
+    return cached || fetch(request);
+}
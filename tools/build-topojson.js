@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// ==================== TopoJSON Builder ====================
+// Writes the compact copy the geoportal loads in place of a layer's GeoJSON,
+// for every layer of the catalog with a "topojson" file. Coordinates are
+// quantized to QUANTIZATION degrees (about 1 cm) and stored as differences
+// between consecutive vertices, which takes a fraction of the space of the
+// full-precision GeoJSON; properties are kept as they are. Each ring or line
+// is an arc of its own: no topology is built. The page does not reproject
+// TopoJSON, so only WGS84 files are converted.
+//
+// The site is served as it is in the repository, so the copies are committed
+// next to their GeoJSON. Run it from the repository root whenever a layer's
+// GeoJSON changes, and commit both:
+//     node tools/build-topojson.js
+// With --check nothing is written; it fails when a copy is missing or does
+// not match its GeoJSON, so that stale geometry is not published:
+//     node tools/build-topojson.js --check
+const fs = require('fs');
+
+const CATALOG = 'data/catalog.json';
+const QUANTIZATION = 1e-7;
+// Names that mean plain longitude/latitude on WGS84 (see WGS84_CRS_NAMES in layer-data.js)
+const WGS84_CRS = /(CRS:?84|EPSG(::?|\/0\/)4326)$/i;
+
+function main() {
+    const check = process.argv.includes('--check');
+    const catalog = JSON.parse(fs.readFileSync(CATALOG, 'utf8'));
+
+    catalog.layers.filter(layer => layer.topojson).forEach(layer => {
+        const geojsonData = JSON.parse(fs.readFileSync(layer.file, 'utf8'));
+        const crs = layer.crs || (geojsonData.crs && geojsonData.crs.properties && geojsonData.crs.properties.name);
+        if (crs && !WGS84_CRS.test(crs)) {
+            console.error(`${layer.id}: ${layer.file} is in ${crs}; reproject it to WGS84 first`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const topojson = JSON.stringify(buildTopology(layer.id, geojsonData));
+        if (check) {
+            checkTopology(layer, topojson);
+            return;
+        }
+        fs.writeFileSync(layer.topojson, topojson);
+
+        const ratio = Math.round(Buffer.byteLength(topojson) / fs.statSync(layer.file).size * 100);
+        console.log(`${layer.id}: ${layer.file} -> ${layer.topojson} (${ratio}% of the size)`);
+    });
+}
+
+function checkTopology(layer, topojson) {
+    if (!fs.existsSync(layer.topojson)) {
+        console.error(`${layer.id}: ${layer.topojson} is missing; run node tools/build-topojson.js`);
+        process.exitCode = 1;
+    } else if (fs.readFileSync(layer.topojson, 'utf8') !== topojson) {
+        const newer = fs.statSync(layer.file).mtimeMs > fs.statSync(layer.topojson).mtimeMs ? ` (${layer.file} is newer)` : '';
+        console.error(`${layer.id}: ${layer.topojson} is out of date${newer}; run node tools/build-topojson.js`);
+        process.exitCode = 1;
+    } else {
+        console.log(`${layer.id}: ${layer.topojson} is up to date`);
+    }
+}
+
+function buildTopology(name, geojsonData) {
+    const features = geojsonData.features || [];
+    const [minX, minY, maxX, maxY] = getBBox(features);
+    const quantize = ([x, y]) => [Math.round((x - minX) / QUANTIZATION), Math.round((y - minY) / QUANTIZATION)];
+
+    const arcs = [];
+    const addArc = positions => {
+        let previous = [0, 0];
+        arcs.push(positions.map(position => {
+            const point = quantize(position);
+            const delta = [point[0] - previous[0], point[1] - previous[1]];
+            previous = point;
+            return delta;
+        }));
+        return [arcs.length - 1];
+    };
+
+    const geometries = features.map(feature => {
+        const geometry = encodeGeometry(feature.geometry, quantize, addArc);
+        if (feature.id !== undefined) {
+            geometry.id = feature.id;
+        }
+        geometry.properties = feature.properties || {};
+        return geometry;
+    });
+
+    return {
+        type: 'Topology',
+        bbox: [minX, minY, maxX, maxY],
+        transform: { scale: [QUANTIZATION, QUANTIZATION], translate: [minX, minY] },
+        objects: { [name]: { type: 'GeometryCollection', geometries } },
+        arcs
+    };
+}
+
+// Points keep their (quantized) coordinates; lines and rings become arcs
+function encodeGeometry(geometry, quantize, addArc) {
+    if (!geometry) {
+        return { type: null };
+    }
+
+    const { type, coordinates } = geometry;
+    switch (type) {
+        case 'Point':
+            return { type, coordinates: quantize(coordinates) };
+        case 'MultiPoint':
+            return { type, coordinates: coordinates.map(quantize) };
+        case 'LineString':
+            return { type, arcs: addArc(coordinates) };
+        case 'MultiLineString':
+        case 'Polygon':
+            return { type, arcs: coordinates.map(addArc) };
+        case 'MultiPolygon':
+            return { type, arcs: coordinates.map(polygon => polygon.map(addArc)) };
+        case 'GeometryCollection':
+            return { type, geometries: geometry.geometries.map(child => encodeGeometry(child, quantize, addArc)) };
+        default:
+            throw new Error(`Unknown geometry type: ${type}`);
+    }
+}
+
+function getBBox(features) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const extend = coordinates => {
+        if (typeof coordinates[0] === 'number') {
+            bbox[0] = Math.min(bbox[0], coordinates[0]);
+            bbox[1] = Math.min(bbox[1], coordinates[1]);
+            bbox[2] = Math.max(bbox[2], coordinates[0]);
+            bbox[3] = Math.max(bbox[3], coordinates[1]);
+        } else {
+            coordinates.forEach(extend);
+        }
+    };
+    const extendGeometry = geometry => {
+        if (!geometry) return;
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(extendGeometry);
+        } else {
+            extend(geometry.coordinates);
+        }
+    };
+
+    features.forEach(feature => extendGeometry(feature.geometry));
+    return bbox;
+}
+
+main();